@@ -1,13 +1,13 @@
 // Vercel Serverless: Upload CJ Products to Shopify
 const axios = require('axios');
+const { resolvePricingRules, priceProduct } = require('../backend/pricing-rules');
+const { buildMetafields } = require('../backend/shopify-product-input');
 
-async function uploadProductToShopify(product, markup, shopifyConfig) {
+async function uploadProductToShopify(product, pricingRules, shopifyConfig) {
   const { store, token } = shopifyConfig;
 
-  // Parse price
-  const priceMatch = product.price.match(/[\d.]+/);
-  const price = priceMatch ? parseFloat(priceMatch[0]) : 0;
-  const sellingPrice = price * (1 + markup / 100);
+  // Same pricing rules as the Express server's productSet upload
+  const { price, compareAtPrice } = priceProduct(product, pricingRules);
 
   const productData = {
     product: {
@@ -17,13 +17,15 @@ async function uploadProductToShopify(product, markup, shopifyConfig) {
       tags: ['dropship', 'cj', product.sourceKeyword || ''].filter(Boolean),
       variants: [
         {
-          price: sellingPrice.toFixed(2),
-          compare_at_price: (sellingPrice * 1.3).toFixed(2),
+          price: price.toFixed(2),
+          compare_at_price: compareAtPrice !== null ? compareAtPrice.toFixed(2) : null,
           inventory_management: null,
           inventory_quantity: 999
         }
       ],
-      images: product.url ? [{ src: product.url }] : []
+      images: product.url ? [{ src: product.url }] : [],
+      // Same cj.* source metafields as the productSet upload
+      metafields: buildMetafields(product)
     }
   };
 
@@ -85,7 +87,7 @@ module.exports = async (req, res) => {
     });
   }
 
-  const { products, markup = 250, shopifyStore, shopifyToken } = req.body;
+  const { products, shopifyStore, shopifyToken } = req.body;
 
   if (!products || !Array.isArray(products) || products.length === 0) {
     return res.status(400).json({ error: 'Products array is required' });
@@ -98,13 +100,20 @@ module.exports = async (req, res) => {
     });
   }
 
+  let pricingRules;
+  try {
+    pricingRules = await resolvePricingRules(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
   try {
     const results = [];
 
     // Upload products sequentially to avoid rate limits
     for (const product of products) {
       try {
-        const result = await uploadProductToShopify(product, markup, {
+        const result = await uploadProductToShopify(product, pricingRules, {
           store: shopifyStore,
           token: shopifyToken
         });
@@ -1,43 +1,219 @@
 /**
  * AI Keyword Generator
- * Uses Gemini Flash 2.0 for dynamic keyword generation
- * - Maps search terms to CJ categories
- * - Generates accept/reject labels for Vision API
+ * Asks a language model (pluggable provider, LLM_PROVIDER) to:
+ * - Map search terms to CJ categories
+ * - Generate accept/reject labels for Vision API
+ * and learns extra accept/reject labels per search term from review decisions.
+ *
+ * Providers (llm-providers/):
+ *   gemini - Google Gemini (GEMINI_API_KEY)
+ *   openai - Any OpenAI-compatible /chat/completions endpoint (LLM_BASE_URL),
+ *            e.g. a local llama.cpp or Ollama server
+ *   rules  - No model: category mapping by name matching, labels from the
+ *            filter rule sets
+ *   auto   - gemini, else openai, else rules (default)
+ * Model replies must be a JSON object matching the task's schema; malformed
+ * replies are retried (LLM_MAX_RETRIES) with the validation error.
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const fs = require('fs').promises;
 const path = require('path');
+const { searchCategories } = require('./category-service');
+
+const PROVIDERS = {
+    'gemini': require('./llm-providers/gemini'),
+    'openai': require('./llm-providers/openai-compatible'),
+    'rules': require('./llm-providers/rules')
+};
+
+const LLM_SETTING = (process.env.LLM_PROVIDER || 'auto').toLowerCase();
+const MAX_RETRIES = Number.isInteger(parseInt(process.env.LLM_MAX_RETRIES, 10))
+    ? parseInt(process.env.LLM_MAX_RETRIES, 10)
+    : 2;
 
 const CACHE_DIR = path.join(__dirname, 'cache');
 const KEYWORD_CACHE_FILE = path.join(CACHE_DIR, 'keyword-mappings.json');
+// Summed label confidence from review decisions before a label is learned
+const LEARN_MIN_WEIGHT = parseFloat(process.env.KEYWORD_LEARN_MIN_WEIGHT) || 2;
+// Share of a label's weight that must come from one decision, so labels seen on
+// both approved and rejected products (e.g. "textile") are never learned
+const LEARN_DOMINANCE = 0.8;
+
+let writeChain = Promise.resolve(); // Serialize cache updates so writes never interleave
+
+// Expected model replies (a small JSON Schema subset: type, required, properties, items, minItems)
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+const KEYWORDS_SCHEMA = {
+    type: 'object',
+    required: ['valid', 'reject'],
+    properties: {
+        valid: { ...STRING_LIST, minItems: 1 },
+        reject: STRING_LIST,
+        confidence: { type: 'string' }
+    }
+};
+const CATEGORIES_SCHEMA = {
+    type: 'object',
+    required: ['categories'],
+    properties: {
+        categories: STRING_LIST,
+        confidence: { type: 'string' },
+        reasoning: { type: 'string' }
+    }
+};
 
-// Initialize Gemini
-let genAI = null;
-let model = null;
+let activeProvider; // Resolved once
 
-function initGemini(apiKey) {
-    if (!genAI && apiKey) {
-        genAI = new GoogleGenerativeAI(apiKey);
-        model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
-        console.log('[AI Generator] Gemini 2.0 Flash initialized');
+/**
+ * The configured provider
+ * @returns {Object} Provider
+ * @throws {Error} If LLM_PROVIDER names an unknown provider
+ */
+function getLlmProvider() {
+    if (activeProvider) return activeProvider;
+
+    if (LLM_SETTING === 'auto') {
+        activeProvider = ['gemini', 'openai'].map(name => PROVIDERS[name]).find(provider => provider.isConfigured())
+            || PROVIDERS.rules;
+    } else if (PROVIDERS[LLM_SETTING]) {
+        activeProvider = PROVIDERS[LLM_SETTING];
+        if (!activeProvider.isConfigured()) {
+            console.warn(`⚠️  [AI Generator] LLM provider "${LLM_SETTING}" is not configured - using rules only`);
+            activeProvider = PROVIDERS.rules;
+        }
+    } else {
+        throw new Error(`Unknown LLM_PROVIDER "${LLM_SETTING}" (use ${Object.keys(PROVIDERS).join(', ')} or auto)`);
     }
-    return model;
+
+    return activeProvider;
+}
+
+/**
+ * Short description of the active provider for logs and health checks
+ * @returns {string} Description
+ */
+function describeLlmProvider() {
+    return getLlmProvider().describe();
+}
+
+/**
+ * @returns {boolean} True when a language model (not rules only) is configured
+ */
+function hasLanguageModel() {
+    return !getLlmProvider().rulesOnly;
+}
+
+/**
+ * Check a parsed reply against a schema
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - Schema
+ * @param {string} at - Path for error messages
+ * @returns {string|null} The first problem, or null if valid
+ */
+function schemaError(value, schema, at = 'reply') {
+    if (schema.type === 'object') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return `${at} must be an object`;
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) return `${at}.${key} is required`;
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] === undefined) continue;
+            const error = schemaError(value[key], propertySchema, `${at}.${key}`);
+            if (error) return error;
+        }
+        return null;
+    }
+    if (schema.type === 'array') {
+        if (!Array.isArray(value)) return `${at} must be an array`;
+        if (schema.minItems && value.length < schema.minItems) return `${at} needs at least ${schema.minItems} item(s)`;
+        for (let i = 0; i < value.length; i++) {
+            const error = schemaError(value[i], schema.items, `${at}[${i}]`);
+            if (error) return error;
+        }
+        return null;
+    }
+    return typeof value === schema.type ? null : `${at} must be a ${schema.type}`;
+}
+
+/**
+ * Parse a model reply as one JSON object (a ```json fence around it is allowed)
+ * @param {string} text - Raw reply
+ * @param {Object} schema - Expected shape
+ * @returns {Object} Parsed reply
+ * @throws {Error} If it isn't valid JSON or doesn't match the schema
+ */
+function parseJsonReply(text, schema) {
+    const body = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    let parsed;
+    try {
+        parsed = JSON.parse(body);
+    } catch (err) {
+        throw new Error(`not valid JSON (${err.message})`);
+    }
+    const error = schemaError(parsed, schema);
+    if (error) throw new Error(error);
+    return parsed;
+}
+
+/**
+ * Ask the model for a JSON object, retrying malformed replies with the error
+ * @param {Object} provider - LLM provider
+ * @param {string} prompt - Prompt
+ * @param {Object} schema - Expected shape
+ * @returns {Promise<Object>} Parsed, schema-valid reply
+ * @throws {Error} On a provider error, or when every attempt is malformed
+ */
+async function askForJson(provider, prompt, schema) {
+    let attemptPrompt = prompt;
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+        const text = await provider.complete(attemptPrompt);
+        try {
+            return parseJsonReply(text, schema);
+        } catch (err) {
+            lastError = err;
+            console.warn(`[AI Generator] ${provider.name} reply ${attempt + 1}/${MAX_RETRIES + 1} rejected: ${err.message}`);
+            attemptPrompt = `${prompt}
+
+Your previous reply was rejected: ${err.message}. Reply again with ONLY the JSON object described above.`;
+        }
+    }
+
+    throw new Error(`No valid JSON from ${provider.name} after ${MAX_RETRIES + 1} attempts: ${lastError.message}`);
+}
+
+/**
+ * Up to 3 level-3 categories whose names match the search words (category-service
+ * searchCategories), for the rules-only provider and when the model finds none
+ */
+function matchCategoriesByName(searchTerm, categoryIndex) {
+    const matches = searchCategories(categoryIndex, searchTerm)
+        .filter(match => match.score >= 60) // exact, contains, or two words overlapping
+        .slice(0, 3);
+
+    console.log(`[AI Generator] Name-matched "${searchTerm}" to categories: ${matches.map(m => m.level3).join(', ') || 'none'}`);
+    return {
+        categoryIds: matches.map(match => match.categoryId),
+        confidence: matches.length === 0 ? 'none' : matches[0].score >= 80 ? 'medium' : 'low',
+        reasoning: 'Matched search words against category names',
+        categories: matches.map(match => match.level3),
+        source: 'name-match'
+    };
 }
 
 /**
  * Map search term to CJ category IDs using AI
  * @param {string} searchTerm - User's search term
  * @param {Object} categoryIndex - Category index from category-service
- * @param {string} geminiKey - Gemini API key
- * @returns {Promise<Object>} { categoryIds: [], confidence: 'high'|'medium'|'low', categories: [] }
+ * @returns {Promise<Object>} { categoryIds: [], confidence: 'high'|'medium'|'low'|'none', categories: [], reasoning, source: 'ai'|'name-match', error? }
+ *   At most 3 level-3 categories; falls back to name matching when the model fails or picks none from the index
  */
-async function mapSearchToCategories(searchTerm, categoryIndex, geminiKey) {
-    const model = initGemini(geminiKey);
+async function mapSearchToCategories(searchTerm, categoryIndex) {
+    const provider = getLlmProvider();
 
-    if (!model) {
-        console.log('[AI Generator] No Gemini API key, skipping category mapping');
-        return { categoryIds: [], confidence: 'none', categories: [] };
+    if (provider.rulesOnly) {
+        return matchCategoriesByName(searchTerm, categoryIndex);
     }
 
     const categoryNames = Object.keys(categoryIndex).slice(0, 200).join(', '); // Limit for prompt size
@@ -65,45 +241,39 @@ Return ONLY valid JSON:
 }`;
 
     try {
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
-
-        // Parse JSON from response
-        const jsonMatch = text.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) {
-            throw new Error('AI did not return valid JSON');
-        }
-
-        const parsed = JSON.parse(jsonMatch[0]);
+        const parsed = await askForJson(provider, prompt, CATEGORIES_SCHEMA);
 
-        // Map category names to IDs
-        const categoryIds = parsed.categories
-            .map(name => categoryIndex[name.toLowerCase().trim()]?.categoryId)
-            .filter(Boolean);
+        // Map category names to IDs (names not in the index are dropped)
+        const known = parsed.categories
+            .filter(name => categoryIndex[name.toLowerCase().trim()])
+            .slice(0, 3);
+        const categoryIds = known.map(name => categoryIndex[name.toLowerCase().trim()].categoryId);
 
         console.log(`[AI Generator] Mapped "${searchTerm}" to categories: ${parsed.categories.join(', ')}`);
         console.log(`[AI Generator] Category IDs: ${categoryIds.join(', ')}`);
 
+        if (categoryIds.length === 0) {
+            return matchCategoriesByName(searchTerm, categoryIndex);
+        }
         return {
             categoryIds,
             confidence: parsed.confidence || 'medium',
             reasoning: parsed.reasoning,
-            categories: parsed.categories
+            categories: known,
+            source: 'ai'
         };
     } catch (error) {
         console.error('[AI Generator] Category mapping error:', error.message);
-        return { categoryIds: [], confidence: 'error', categories: [], error: error.message };
+        return { ...matchCategoriesByName(searchTerm, categoryIndex), error: error.message };
     }
 }
 
 /**
  * Generate dynamic valid/reject keywords for Vision API
  * @param {string} searchTerm - User's search term
- * @param {string} geminiKey - Gemini API key
- * @returns {Promise<Object>} { valid: [], reject: [], confidence: 'high'|'medium'|'low' }
+ * @returns {Promise<Object>} { valid: [], reject: [], confidence: 'high'|'medium'|'low'|'fallback' }
  */
-async function generateDynamicKeywords(searchTerm, geminiKey) {
+async function generateDynamicKeywords(searchTerm) {
     // Check cache first
     const cached = await getCachedKeywords(searchTerm);
     if (cached) {
@@ -111,10 +281,10 @@ async function generateDynamicKeywords(searchTerm, geminiKey) {
         return cached;
     }
 
-    const model = initGemini(geminiKey);
+    const provider = getLlmProvider();
 
-    if (!model) {
-        console.log('[AI Generator] No Gemini API key, using fallback keywords');
+    if (provider.rulesOnly) {
+        console.log('[AI Generator] No language model, using fallback keywords');
         return getFallbackKeywords(searchTerm);
     }
 
@@ -148,17 +318,7 @@ Return ONLY valid JSON:
 }`;
 
     try {
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
-
-        // Parse JSON from response
-        const jsonMatch = text.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) {
-            throw new Error('AI did not return valid JSON');
-        }
-
-        const parsed = JSON.parse(jsonMatch[0]);
+        const parsed = await askForJson(provider, prompt, KEYWORDS_SCHEMA);
 
         // SAFEGUARD: Ensure search term words are NEVER in reject labels
         const searchWords = searchTerm.toLowerCase().split(/[\s+]+/).filter(w => w.length > 2);
@@ -168,7 +328,7 @@ Return ONLY valid JSON:
             return !searchWords.some(word => lowerLabel.includes(word) || word.includes(lowerLabel));
         });
 
-        console.log(`[AI Generator] Generated keywords for "${searchTerm}":`);
+        console.log(`[AI Generator] Generated keywords for "${searchTerm}" with ${provider.describe()}:`);
         console.log(`  Valid: ${parsed.valid.join(', ')}`);
         console.log(`  Reject (original): ${parsed.reject.join(', ')}`);
         console.log(`  Reject (filtered): ${filteredReject.join(', ')}`);
@@ -176,7 +336,8 @@ Return ONLY valid JSON:
         const result_data = {
             valid: parsed.valid,
             reject: filteredReject,  // Use filtered reject list
-            confidence: parsed.confidence
+            confidence: parsed.confidence || 'medium',
+            provider: provider.name
         };
 
         // Cache the result
@@ -211,8 +372,9 @@ async function getCachedKeywords(searchTerm) {
         const cache = JSON.parse(data);
         const key = searchTerm.toLowerCase().trim();
 
-        if (cache[key]) {
-            return cache[key];
+        if (cache[key]?.valid) {
+            const { learned, ...keywords } = cache[key];
+            return keywords;
         }
     } catch (err) {
         // Cache doesn't exist
@@ -221,10 +383,11 @@ async function getCachedKeywords(searchTerm) {
 }
 
 /**
- * Cache keywords for a search term
+ * Read-modify-write the keyword cache file, one update at a time
+ * @param {Function} update - Mutates the cache object
  */
-async function cacheKeywords(searchTerm, keywords) {
-    try {
+function updateKeywordCache(update) {
+    const run = writeChain.then(async () => {
         await fs.mkdir(CACHE_DIR, { recursive: true });
 
         let cache = {};
@@ -235,13 +398,28 @@ async function cacheKeywords(searchTerm, keywords) {
             // File doesn't exist, start fresh
         }
 
-        const key = searchTerm.toLowerCase().trim();
-        cache[key] = {
-            ...keywords,
-            cachedAt: new Date().toISOString()
-        };
+        update(cache);
+        const tmpFile = `${KEYWORD_CACHE_FILE}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify(cache, null, 2));
+        await fs.rename(tmpFile, KEYWORD_CACHE_FILE);
+    });
+    writeChain = run.catch(() => {}); // A failed update mustn't block the next one
+    return run;
+}
 
-        await fs.writeFile(KEYWORD_CACHE_FILE, JSON.stringify(cache, null, 2));
+/**
+ * Cache keywords for a search term (keeps labels learned from reviews)
+ */
+async function cacheKeywords(searchTerm, keywords) {
+    try {
+        const key = searchTerm.toLowerCase().trim();
+        await updateKeywordCache(cache => {
+            cache[key] = {
+                ...cache[key],
+                ...keywords,
+                cachedAt: new Date().toISOString()
+            };
+        });
         console.log(`[AI Generator] Cached keywords for "${searchTerm}"`);
     } catch (err) {
         console.error('[AI Generator] Failed to cache keywords:', err.message);
@@ -249,22 +427,111 @@ async function cacheKeywords(searchTerm, keywords) {
 }
 
 /**
- * Clear keyword cache
+ * Feed a review decision back into a search term's labels: every label
+ * detected on the product counts towards valid (approved) or reject
+ * (rejected), weighted by its confidence. Changing an earlier decision
+ * undoes its counts first.
+ * @param {string} searchTerm - The search the product came from
+ * @param {Array} labels - Detected labels [{ label, score }]
+ * @param {string} decision - 'approved' or 'rejected'
+ * @param {string} previousDecision - Earlier decision to undo (optional)
+ */
+async function recordLabelFeedback(searchTerm, labels, decision, previousDecision = null) {
+    if (labels.length === 0) return;
+    const key = searchTerm.toLowerCase().trim();
+
+    const apply = (learned, outcome, sign) => {
+        const countField = outcome === 'approved' ? 'approved' : 'rejected';
+        const weightField = `${countField}Weight`;
+        learned[outcome === 'approved' ? 'approvals' : 'rejections'] += sign;
+        for (const { label, score } of labels) {
+            const name = label.toLowerCase();
+            const stats = learned.labels[name] || { approved: 0, rejected: 0, approvedWeight: 0, rejectedWeight: 0 };
+            stats[countField] = Math.max(0, stats[countField] + sign);
+            stats[weightField] = Math.max(0, Math.round((stats[weightField] + sign * (score ?? 1)) * 1000) / 1000);
+            if (stats.approved === 0 && stats.rejected === 0) delete learned.labels[name];
+            else learned.labels[name] = stats;
+        }
+    };
+
+    try {
+        await updateKeywordCache(cache => {
+            const entry = cache[key] || {};
+            const learned = entry.learned || { approvals: 0, rejections: 0, labels: {} };
+            if (previousDecision === 'approved' || previousDecision === 'rejected') apply(learned, previousDecision, -1);
+            apply(learned, decision, 1);
+            learned.updatedAt = new Date().toISOString();
+            cache[key] = { ...entry, learned };
+        });
+        console.log(`[AI Generator] Learned ${labels.length} labels from a ${decision} "${searchTerm}" product`);
+    } catch (err) {
+        console.error('[AI Generator] Failed to record label feedback:', err.message);
+    }
+}
+
+/**
+ * Add the labels learned from review decisions to a search's label sets.
+ * A label is learned once its weight on one side reaches LEARN_MIN_WEIGHT
+ * and makes up LEARN_DOMINANCE of its total; a learned label moves out of
+ * the opposite list. Words of the search term are never learned as reject.
+ * @param {string} searchTerm - Search keyword
+ * @param {Object} labelSets - { valid, reject } from Gemini or the static expansions
+ * @returns {Promise<Object>} { ...labelSets, valid, reject, learned: { valid: [], reject: [] } }
+ */
+async function applyLearnedLabels(searchTerm, labelSets) {
+    let learned = null;
+    try {
+        const data = await fs.readFile(KEYWORD_CACHE_FILE, 'utf8');
+        learned = JSON.parse(data)[searchTerm.toLowerCase().trim()]?.learned || null;
+    } catch (err) {
+        // Cache doesn't exist
+    }
+
+    const learnedValid = [];
+    const learnedReject = [];
+    const searchWords = searchTerm.toLowerCase().split(/[\s+]+/).filter(w => w.length > 2);
+    for (const [label, stats] of Object.entries(learned?.labels || {})) {
+        const total = stats.approvedWeight + stats.rejectedWeight;
+        if (stats.approvedWeight >= LEARN_MIN_WEIGHT && stats.approvedWeight / total >= LEARN_DOMINANCE) {
+            learnedValid.push(label);
+        } else if (stats.rejectedWeight >= LEARN_MIN_WEIGHT && stats.rejectedWeight / total >= LEARN_DOMINANCE
+            && !searchWords.some(word => label.includes(word) || word.includes(label))) {
+            learnedReject.push(label);
+        }
+    }
+
+    const valid = labelSets.valid.map(l => l.toLowerCase()).filter(l => !learnedReject.includes(l));
+    const reject = labelSets.reject.map(l => l.toLowerCase()).filter(l => !learnedValid.includes(l));
+    return {
+        ...labelSets,
+        valid: [...new Set([...valid, ...learnedValid])],
+        reject: [...new Set([...reject, ...learnedReject])],
+        learned: { valid: learnedValid, reject: learnedReject }
+    };
+}
+
+/**
+ * Clear generated keywords (labels learned from reviews are kept)
  */
 async function clearCache() {
     try {
-        await fs.unlink(KEYWORD_CACHE_FILE);
+        await updateKeywordCache(cache => {
+            for (const [key, entry] of Object.entries(cache)) {
+                if (entry.learned) cache[key] = { learned: entry.learned };
+                else delete cache[key];
+            }
+        });
         console.log('[AI Generator] Keyword cache cleared');
     } catch (err) {
-        // File doesn't exist
+        console.error('[AI Generator] Failed to clear keyword cache:', err.message);
     }
 }
 
 // Test function
-async function test(searchTerm, geminiKey) {
-    console.log('=== AI Keyword Generator Test ===\n');
+async function test(searchTerm) {
+    console.log(`=== AI Keyword Generator Test (${describeLlmProvider()}) ===\n`);
 
-    const keywords = await generateDynamicKeywords(searchTerm, geminiKey);
+    const keywords = await generateDynamicKeywords(searchTerm);
 
     console.log('\nResult:');
     console.log(JSON.stringify(keywords, null, 2));
@@ -273,9 +540,14 @@ async function test(searchTerm, geminiKey) {
 }
 
 module.exports = {
-    initGemini,
+    getLlmProvider,
+    describeLlmProvider,
+    hasLanguageModel,
+    parseJsonReply,
     mapSearchToCategories,
     generateDynamicKeywords,
+    recordLabelFeedback,
+    applyLearnedLabels,
     clearCache,
     test
 };
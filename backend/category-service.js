@@ -4,11 +4,10 @@
  * Used for pre-filtering products by category before Vision API
  */
 
-const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const { getCategories } = require('./cj-client');
 
-const CJ_API_BASE = 'https://developers.cjdropshipping.com/api2.0/v1';
 const CACHE_DIR = path.join(__dirname, 'cache');
 const CACHE_FILE = path.join(CACHE_DIR, 'cj-categories.json');
 const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
@@ -21,20 +20,10 @@ const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
 async function fetchCategoriesFromAPI(cjToken) {
     console.log('[Category Service] Fetching categories from CJ API...');
 
-    const response = await axios.get(`${CJ_API_BASE}/product/getCategory`, {
-        headers: {
-            'CJ-Access-Token': cjToken,
-            'Content-Type': 'application/json'
-        },
-        timeout: 30000
-    });
+    const categories = await getCategories(cjToken);
 
-    if (response.data.code !== 200) {
-        throw new Error(`CJ API Error: ${response.data.message}`);
-    }
-
-    console.log(`[Category Service] Retrieved ${response.data.data.length} top-level categories`);
-    return response.data.data;
+    console.log(`[Category Service] Retrieved ${categories.length} top-level categories`);
+    return categories;
 }
 
 /**
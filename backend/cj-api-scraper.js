@@ -1,6 +1,14 @@
-const axios = require('axios');
-
-const CJ_API_BASE = 'https://developers.cjdropshipping.com/api2.0/v1';
+const {
+  CJ_API_BASE,
+  PAGE_CONCURRENCY,
+  CJParamError,
+  listProducts,
+  getProductDetail,
+  getProductVariants,
+  getStockBySku,
+  getCategories,
+  calculateFreight
+} = require('./cj-client');
 
 // CJ API has a hard limit of 6000 max offset
 const MAX_OFFSET = 6000;
@@ -58,12 +66,16 @@ async function searchCJProducts(searchTerm, cjToken, options = {}) {
     startWarehouseInventory = null,
     endWarehouseInventory = null,
     countryCode = null,          // CN, US, GB, etc.
+    startSellPrice = null,       // Price band (USD), listV2 only
+    endSellPrice = null,
     pageNum = 1,                 // For backwards compatibility, maps to 'page'
     pageSize = 100,              // For backwards compatibility, maps to 'size'
     fetchAllPages = false,
     orderBy = 0,                 // 0=best match, 1=listing count, 2=price
     sort = 'desc',
     scrapeId = null,             // For cancellation support
+    pageConcurrency = PAGE_CONCURRENCY, // Pages fetched at once when fetchAllPages
+    onPage = null,               // async (products, { page, totalRecords, lastPage }) called after each page
     _useLegacy = false           // Internal flag to force legacy endpoint
   } = options;
 
@@ -74,228 +86,212 @@ async function searchCJProducts(searchTerm, cjToken, options = {}) {
     endpoint: useListV2 ? '/product/listV2' : '/product/list',
     searchTerm,
     categoryId: categoryId || 'NONE',
+    lv3categoryList: lv3categoryList || 'NONE',
     page: pageNum,
     size: pageSize,
     verifiedWarehouse
   });
 
-  let allProducts = [];
-  let currentPage = pageNum;
-  let totalRecords = 0;
-
-  // Register scrape session for cancellation
-  const sessionId = scrapeId || generateScrapeId();
-  if (fetchAllPages) {
-    activeScrapes.set(sessionId, { cancelled: false, startedAt: Date.now() });
-  }
-
-  try {
-    do {
-      // Check for cancellation
-      if (fetchAllPages && isCancelled(sessionId)) {
-        console.log(`[CJ API] ⛔ Scrape cancelled at page ${currentPage}`);
-        break;
-      }
+  // Helper function to generate URL slug
+  const generateSlug = (name) => {
+    return (name || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  };
 
-      const params = new URLSearchParams();
-
-      if (useListV2) {
-        // ========================================
-        // listV2 parameters (CORRECT per CJ docs)
-        // ========================================
-        params.append('keyWord', searchTerm);
-        params.append('page', currentPage.toString());
-        params.append('size', Math.min(pageSize, 100).toString()); // Max 100 for listV2
+  // Fetch and normalize one page: { products, rawCount, totalRecords, actualPageSize }
+  const fetchPage = async (page) => {
+    let params;
 
+    if (useListV2) {
+      // ========================================
+      // listV2 parameters (CORRECT per CJ docs)
+      // ========================================
+      params = {
+        keyWord: searchTerm,
+        page,
+        size: Math.min(pageSize, 100), // Max 100 for listV2
         // Category filtering (only add if validated)
-        if (categoryId) {
-          params.append('categoryId', categoryId);
-          console.log('[CJ API] ✓ Applying categoryId filter:', categoryId);
-        }
-
+        categoryId: categoryId || null,
         // Array category filters (if provided)
-        if (lv3categoryList && lv3categoryList.length > 0) {
-          lv3categoryList.forEach(id => params.append('lv3categoryList', id));
-        }
-        if (lv2categoryList && lv2categoryList.length > 0) {
-          lv2categoryList.forEach(id => params.append('lv2categoryList', id));
-        }
-
+        lv3categoryList: lv3categoryList && lv3categoryList.length > 0 ? lv3categoryList : null,
+        lv2categoryList: lv2categoryList && lv2categoryList.length > 0 ? lv2categoryList : null,
         // Warehouse filtering
-        if (verifiedWarehouse !== null && verifiedWarehouse !== undefined) {
-          params.append('verifiedWarehouse', verifiedWarehouse.toString());
-        }
-
+        verifiedWarehouse,
         // Inventory filtering (listV2 uses full names)
-        if (startWarehouseInventory !== null) {
-          params.append('startWarehouseInventory', startWarehouseInventory.toString());
-        }
-        if (endWarehouseInventory !== null) {
-          params.append('endWarehouseInventory', endWarehouseInventory.toString());
-        }
+        startWarehouseInventory,
+        endWarehouseInventory,
+        // Country, price band and sorting
+        countryCode: countryCode || null,
+        startSellPrice,
+        endSellPrice,
+        orderBy,
+        sort
+      };
 
-        // Country and sorting
-        if (countryCode) {
-          params.append('countryCode', countryCode);
-        }
-        params.append('orderBy', orderBy.toString());
-        params.append('sort', sort);
-
-      } else {
-        // ========================================
-        // Legacy /product/list parameters
-        // ========================================
-        params.append('productNameEn', searchTerm);
-        params.append('pageNum', currentPage.toString());
-        params.append('pageSize', Math.min(pageSize, 200).toString()); // Max 200 for legacy
-
-        if (categoryId) {
-          params.append('categoryId', categoryId);
-        }
-        if (verifiedWarehouse !== null && verifiedWarehouse !== undefined) {
-          params.append('verifiedWarehouse', verifiedWarehouse.toString());
-        }
+    } else {
+      // ========================================
+      // Legacy /product/list parameters
+      // ========================================
+      params = {
+        productNameEn: searchTerm,
+        pageNum: page,
+        pageSize: Math.min(pageSize, 200), // Max 200 for legacy
+        categoryId: categoryId || null,
+        verifiedWarehouse,
         // Legacy uses shorter param names
-        if (startWarehouseInventory !== null) {
-          params.append('startInventory', startWarehouseInventory.toString());
-        }
-        if (endWarehouseInventory !== null) {
-          params.append('endInventory', endWarehouseInventory.toString());
+        startInventory: startWarehouseInventory,
+        endInventory: endWarehouseInventory
+      };
+    }
+
+    // Throws a typed CJ error (CJParamError etc.) on anything but code 200
+    const data = await listProducts(params, cjToken, { legacy: !useListV2 });
+
+    // ========================================
+    // PARSE RESPONSE - Different structure for listV2 vs list
+    // ========================================
+    let products = [];
+    let pageTotalRecords;
+    let actualPageSize = pageSize;
+
+    if (useListV2) {
+      // listV2 response: { totalRecords, totalPages, content: [{ productList: [...] }] }
+      pageTotalRecords = data?.totalRecords || 0;
+      actualPageSize = Math.min(pageSize, 100);
+      const content = data?.content || [];
+
+      // Products are nested inside content[].productList
+      for (const item of content) {
+        if (item.productList && Array.isArray(item.productList)) {
+          products.push(...item.productList);
         }
       }
 
-      const endpoint = useListV2 ? '/product/listV2' : '/product/list';
-      const url = `${CJ_API_BASE}${endpoint}?${params.toString()}`;
+      console.log('[CJ API] listV2 Response:', {
+        page,
+        totalRecords: pageTotalRecords,
+        totalPages: data?.totalPages || 0,
+        contentItems: content.length,
+        productsExtracted: products.length
+      });
 
-      console.log('[CJ API] Request URL:', url.substring(0, 180) + '...');
+    } else {
+      // Legacy list response: { total, list: [...], pageNum, pageSize }
+      pageTotalRecords = data?.total || 0;
+      products = data?.list || [];
+      actualPageSize = data?.pageSize || pageSize;
 
-      const response = await axios.get(url, {
-        headers: {
-          'CJ-Access-Token': cjToken,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
+      console.log('[CJ API] list Response:', {
+        page,
+        total: pageTotalRecords,
+        returnedProducts: products.length
       });
+    }
 
-      // Log response
-      console.log('[CJ API] Response:', {
-        code: response.data.code,
-        message: response.data.message
-      });
+    // Normalize product structure (listV2 uses different field names!)
+    const normalizedProducts = products.map(p => {
+      // listV2 uses: id, nameEn, sku, bigImage
+      // Legacy uses: pid, productNameEn, productSku, productImage
+      const productName = p.nameEn || p.productNameEn || '';
+      const slug = generateSlug(productName);
+      const productId = p.id || p.pid || '';
+
+      return {
+        pid: productId,
+        title: productName,
+        productNameEn: productName,
+        productSku: p.sku || p.productSku || '',
+        sku: p.sku || p.productSku || '',
+        productImage: p.bigImage || p.productImage || '',
+        image: p.bigImage || p.productImage || '',
+        sellPrice: parseFloat(p.sellPrice) || 0,
+        price: `$${parseFloat(p.sellPrice) || 0}`,
+        categoryId: p.categoryId || '',
+        categoryName: p.threeCategoryName || p.categoryName || '',
+        warehouseInventoryNum: p.warehouseInventoryNum || 0,
+        verifiedWarehouse: p.verifiedWarehouse,
+        listedNum: p.listedNum || 0,
+        lists: p.listedNum || 0,
+        url: `https://cjdropshipping.com/product/${slug}-p-${productId}.html`,
+        warehouse: countryCode || null, // Warehouse country the search was limited to, if any
+        variants: p.variants || []
+      };
+    });
 
-      // Check for API errors
-      if (response.data.code !== 200) {
-        console.error('[CJ API] Error response:', {
-          code: response.data.code,
-          message: response.data.message
-        });
-        throw new Error(`CJ API Error: ${response.data.message} (code: ${response.data.code})`);
-      }
+    return { products: normalizedProducts, totalRecords: pageTotalRecords, actualPageSize };
+  };
 
-      // ========================================
-      // PARSE RESPONSE - Different structure for listV2 vs list
-      // ========================================
-      let products = [];
-      let actualPageSize = pageSize;
-
-      if (useListV2) {
-        // listV2 response: { totalRecords, totalPages, content: [{ productList: [...] }] }
-        totalRecords = response.data.data?.totalRecords || 0;
-        actualPageSize = Math.min(pageSize, 100);
-        const content = response.data.data?.content || [];
-
-        // Products are nested inside content[].productList
-        for (const item of content) {
-          if (item.productList && Array.isArray(item.productList)) {
-            products.push(...item.productList);
-          }
-        }
+  if (categoryId) {
+    console.log('[CJ API] ✓ Applying categoryId filter:', categoryId);
+  }
 
-        console.log('[CJ API] listV2 Response:', {
-          page: currentPage,
-          totalRecords,
-          totalPages: response.data.data?.totalPages || 0,
-          contentItems: content.length,
-          productsExtracted: products.length
-        });
+  let allProducts = [];
+  let currentPage = pageNum;
+  let totalRecords = 0;
+  let lastPage = null; // Known after the first page
 
-      } else {
-        // Legacy list response: { total, list: [...], pageNum, pageSize }
-        totalRecords = response.data.data?.total || 0;
-        products = response.data.data?.list || [];
-        actualPageSize = response.data.data?.pageSize || pageSize;
+  // Register scrape session for cancellation
+  const sessionId = scrapeId || generateScrapeId();
+  if (fetchAllPages) {
+    activeScrapes.set(sessionId, { cancelled: false, startedAt: Date.now() });
+  }
+  let pagesHandedOver = 0; // Pages given to onPage, which the caller may have checkpointed
 
-        console.log('[CJ API] list Response:', {
-          page: currentPage,
-          total: totalRecords,
-          returnedProducts: products.length
-        });
+  try {
+    while (true) {
+      // Check for cancellation
+      if (fetchAllPages && isCancelled(sessionId)) {
+        console.log(`[CJ API] ⛔ Scrape cancelled at page ${currentPage}`);
+        break;
       }
 
-      // Helper function to generate URL slug
-      const generateSlug = (name) => {
-        return (name || '')
-          .toLowerCase()
-          .replace(/[^a-z0-9]+/g, '-')
-          .replace(/^-+|-+$/g, '');
-      };
-
-      // Normalize product structure (listV2 uses different field names!)
-      const normalizedProducts = products.map(p => {
-        // listV2 uses: id, nameEn, sku, bigImage
-        // Legacy uses: pid, productNameEn, productSku, productImage
-        const productName = p.nameEn || p.productNameEn || '';
-        const slug = generateSlug(productName);
-        const productId = p.id || p.pid || '';
-
-        return {
-          pid: productId,
-          title: productName,
-          productNameEn: productName,
-          productSku: p.sku || p.productSku || '',
-          sku: p.sku || p.productSku || '',
-          productImage: p.bigImage || p.productImage || '',
-          image: p.bigImage || p.productImage || '',
-          sellPrice: parseFloat(p.sellPrice) || 0,
-          price: `$${parseFloat(p.sellPrice) || 0}`,
-          categoryId: p.categoryId || '',
-          categoryName: p.threeCategoryName || p.categoryName || '',
-          warehouseInventoryNum: p.warehouseInventoryNum || 0,
-          verifiedWarehouse: p.verifiedWarehouse,
-          listedNum: p.listedNum || 0,
-          lists: p.listedNum || 0,
-          url: `https://cjdropshipping.com/product/${slug}-p-${productId}.html`,
-          variants: p.variants || []
-        };
-      });
-
-      allProducts.push(...normalizedProducts);
-      currentPage++;
-
-      // Stop conditions
-      const totalPages = Math.ceil(totalRecords / actualPageSize);
-      const maxFetchablePages = Math.floor(MAX_OFFSET / actualPageSize);
+      // The first page gives the page count; after that fetch pageConcurrency pages at once
+      const windowSize = lastPage === null || !fetchAllPages ? 1 : Math.max(1, Math.min(pageConcurrency, lastPage - currentPage + 1));
+      const pages = Array.from({ length: windowSize }, (_, i) => currentPage + i);
+      const results = await Promise.all(pages.map(fetchPage));
+
+      // Hand pages over in order, so a checkpointed lastPage always covers every page before it
+      let exhausted = false;
+      for (const [i, result] of results.entries()) {
+        totalRecords = result.totalRecords;
+        allProducts.push(...result.products);
+
+        // Stop conditions
+        const totalPages = Math.ceil(totalRecords / result.actualPageSize);
+        const maxFetchablePages = Math.floor(MAX_OFFSET / result.actualPageSize);
+        lastPage = Math.min(totalPages, maxFetchablePages, useListV2 ? 1000 : 9999);
+
+        // Let the caller checkpoint each page as it arrives
+        if (onPage) {
+          await onPage(result.products, {
+            page: pages[i],
+            totalRecords,
+            lastPage: Math.min(totalPages, maxFetchablePages)
+          });
+          pagesHandedOver++;
+        }
 
-      if (!fetchAllPages) {
-        break;
+        if (result.products.length === 0) {
+          console.log('[CJ API] No more products returned');
+          exhausted = true;
+          break;
+        }
       }
+      currentPage += windowSize;
 
-      if (currentPage > Math.min(totalPages, maxFetchablePages, useListV2 ? 1000 : 9999)) {
-        console.log(`[CJ API] Reached max pages (${currentPage - 1})`);
+      if (!fetchAllPages || exhausted) {
         break;
       }
 
-      if (products.length === 0) {
-        console.log('[CJ API] No more products returned');
+      if (currentPage > lastPage) {
+        console.log(`[CJ API] Reached max pages (${currentPage - 1})`);
         break;
       }
 
-      // Rate limiting delay between pages
-      await new Promise(resolve => setTimeout(resolve, 150));
-
       console.log(`[CJ API] Fetched page ${currentPage - 1}, total so far: ${allProducts.length}`);
-
-    } while (fetchAllPages);
+    }
 
     // Cleanup session
     if (fetchAllPages) {
@@ -305,7 +301,7 @@ async function searchCJProducts(searchTerm, cjToken, options = {}) {
     console.log('[CJ API] ✅ Search complete:', {
       totalRecords,
       fetchedProducts: allProducts.length,
-      categoryFilterApplied: !!categoryId
+      categoryFilterApplied: !!categoryId || (lv3categoryList || []).length > 0
     });
 
     return {
@@ -326,8 +322,11 @@ async function searchCJProducts(searchTerm, cjToken, options = {}) {
       activeScrapes.delete(sessionId);
     }
 
-    // If listV2 fails with param error, try legacy endpoint
-    if (useListV2 && error.message && error.message.includes('Param error')) {
+    // If listV2 fails with param error, try legacy endpoint - but only while the caller
+    // holds no listV2 pages: legacy pages are a different size, so checkpointed pages
+    // would be fetched again and the page numbers would stop matching
+    const callerHasPages = pagesHandedOver > 0 || (onPage && pageNum > 1);
+    if (useListV2 && error instanceof CJParamError && !callerHasPages) {
       console.log('[CJ API] Retrying with legacy /product/list endpoint...');
       return searchCJProducts(searchTerm, cjToken, {
         ...options,
@@ -344,6 +343,141 @@ async function searchCJProducts(searchTerm, cjToken, options = {}) {
   }
 }
 
+// ========================================
+// FAN-OUT: Split searches past MAX_OFFSET
+// ========================================
+
+// Ways to split a search, tried in this order on any part still over MAX_OFFSET:
+// category = one part per lv3categoryList entry, price = halve the price band,
+// country = one part per warehouse country (products outside these are missed)
+const PARTITION_STRATEGIES = ['category', 'price', 'country'];
+const WAREHOUSE_COUNTRIES = ['CN', 'US', 'GB', 'DE', 'FR', 'IT', 'ES', 'PL', 'CZ', 'AU', 'CA', 'TH', 'ID', 'BR', 'MX'];
+
+// First upper bound for an open-ended price band (USD); doubled while the band is too big
+const FIRST_PRICE_BAND = 20;
+
+// Each partition costs a count request up front; caps how many a search can be split into
+const MAX_PARTITIONS = parseInt(process.env.CJ_MAX_PARTITIONS, 10) || 40;
+
+/**
+ * Count the products matching a search (one small page, no product data kept)
+ * @param {string} searchTerm - Search keyword
+ * @param {string} cjToken - CJ API token
+ * @param {Object} options - searchCJProducts filters
+ * @returns {Promise<number>} totalRecords
+ * @throws {Error} If the request fails
+ */
+async function countCJProducts(searchTerm, cjToken, options = {}) {
+  const result = await searchCJProducts(searchTerm, cjToken, {
+    ...options,
+    pageNum: 1,
+    pageSize: 10,
+    fetchAllPages: false,
+    onPage: null
+  });
+  if (!result.success) {
+    throw new Error(result.error || 'CJ API request failed');
+  }
+  return result.totalProducts;
+}
+
+// Split one partition's filters with a strategy; null when that strategy can't split it further
+function splitPartition(strategy, filters) {
+  if (strategy === 'category') {
+    const ids = filters.lv3categoryList || [];
+    if (ids.length < 2) return null;
+    return ids.map(id => ({ ...filters, lv3categoryList: [id] }));
+  }
+
+  if (strategy === 'price') {
+    const start = filters.startSellPrice ?? 0;
+    const end = filters.endSellPrice ?? null;
+    if (end === null) {
+      const bound = Math.max(FIRST_PRICE_BAND, start * 2);
+      return [
+        { ...filters, startSellPrice: start, endSellPrice: bound },
+        { ...filters, startSellPrice: bound, endSellPrice: null }
+      ];
+    }
+    if (end - start < 0.02) return null;
+    const middle = Math.round((start + end) * 50) / 100; // Halfway, in cents
+    return [
+      { ...filters, startSellPrice: start, endSellPrice: middle },
+      { ...filters, startSellPrice: middle, endSellPrice: end }
+    ];
+  }
+
+  if (strategy === 'country') {
+    if (filters.countryCode) return null;
+    return WAREHOUSE_COUNTRIES.map(countryCode => ({ ...filters, countryCode }));
+  }
+
+  throw new Error(`Unknown partition strategy "${strategy}" (use ${PARTITION_STRATEGIES.join(', ')})`);
+}
+
+function describePartition(filters) {
+  const parts = [];
+  if (filters.lv3categoryList && filters.lv3categoryList.length === 1) parts.push(`category ${filters.lv3categoryList[0]}`);
+  if (filters.startSellPrice != null || filters.endSellPrice != null) {
+    parts.push(filters.endSellPrice != null
+      ? `$${filters.startSellPrice}-$${filters.endSellPrice}`
+      : `$${filters.startSellPrice}+`);
+  }
+  if (filters.countryCode) parts.push(`warehouse ${filters.countryCode}`);
+  return parts.join(', ') || 'all';
+}
+
+/**
+ * Split a search with more than MAX_OFFSET results into partitions that each fit
+ * under the cap. Parts are split with the first strategy that can split them,
+ * and the price strategy keeps halving a band until it fits. Partitions can
+ * overlap (shared price band edges, products stocked in several countries), so
+ * de-duplicate the fetched products by pid.
+ * @param {string} searchTerm - Search keyword
+ * @param {string} cjToken - CJ API token
+ * @param {Object} filters - The search's searchCJProducts filters
+ * @param {Object} options
+ * @param {Array<string>} options.strategies - Subset of PARTITION_STRATEGIES, in order
+ * @param {number} options.maxPartitions - Stop splitting at this many partitions
+ * @returns {Promise<Array>} [{ label, filters, totalRecords, truncated }] - truncated parts are still over the cap
+ */
+async function planSearchPartitions(searchTerm, cjToken, filters, { strategies = PARTITION_STRATEGIES, maxPartitions = MAX_PARTITIONS } = {}) {
+  for (const strategy of strategies) {
+    if (!PARTITION_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown partition strategy "${strategy}" (use ${PARTITION_STRATEGIES.join(', ')})`);
+    }
+  }
+
+  const partitions = [];
+  // Depth-first, so a bounded plan covers whole price ranges rather than scattered slivers
+  const pending = [{ filters, totalRecords: null }];
+
+  while (pending.length > 0) {
+    const part = pending.shift();
+    const totalRecords = part.totalRecords ?? await countCJProducts(searchTerm, cjToken, part.filters);
+    if (totalRecords === 0) continue;
+
+    const children = totalRecords > MAX_OFFSET
+      ? strategies.map(strategy => splitPartition(strategy, part.filters)).find(Boolean)
+      : null;
+
+    if (children && partitions.length + pending.length + children.length <= maxPartitions) {
+      pending.unshift(...children.map(childFilters => ({ filters: childFilters, totalRecords: null })));
+      continue;
+    }
+
+    partitions.push({
+      label: describePartition(part.filters),
+      filters: part.filters,
+      totalRecords,
+      truncated: totalRecords > MAX_OFFSET
+    });
+  }
+
+  console.log(`[CJ API] Split "${searchTerm}" into ${partitions.length} partitions:`, partitions.map(p => `${p.label} (${p.totalRecords}${p.truncated ? ', over cap' : ''})`));
+  return partitions;
+}
+
 /**
  * Get CJ product categories
  * @param {string} cjToken - CJ API token
@@ -352,19 +486,7 @@ async function getCJCategories(cjToken) {
   try {
     console.log('[CJ API] Fetching category list...');
 
-    const response = await axios.get(`${CJ_API_BASE}/product/getCategory`, {
-      headers: {
-        'CJ-Access-Token': cjToken,
-        'Content-Type': 'application/json'
-      },
-      timeout: 15000
-    });
-
-    if (response.data.code !== 200) {
-      throw new Error(`CJ API Error: ${response.data.message || 'Unknown error'}`);
-    }
-
-    const categories = response.data.data || [];
+    const categories = await getCategories(cjToken);
     console.log(`[CJ API] Retrieved ${categories.length} top-level categories`);
 
     // Flatten the category tree for easier searching
@@ -404,11 +526,123 @@ async function getCJCategories(cjToken) {
   }
 }
 
+/**
+ * Normalize a CJ variant (from /product/variant/query or /product/query)
+ * @param {Object} v - Raw CJ variant
+ * @returns {Object} { vid, pid, sku, name, key, image, sellPrice, weight }
+ */
+function normalizeVariant(v) {
+  return {
+    vid: v.vid || '',
+    pid: v.pid || '',
+    sku: v.variantSku || '',
+    name: v.variantNameEn || v.variantName || '',
+    key: v.variantKey || '',               // e.g. "Black-XL", one value per option
+    image: v.variantImage || '',
+    sellPrice: parseFloat(v.variantSellPrice) || 0,
+    weight: parseFloat(v.variantWeight) || 0
+  };
+}
+
+/**
+ * Get all variants of a CJ product
+ * @param {string} pid - CJ product ID
+ * @param {string} cjToken - CJ API token
+ * @returns {Promise<Object>} { success, variants, error? }
+ */
+async function getCJProductVariants(pid, cjToken) {
+  try {
+    const variants = (await getProductVariants(pid, cjToken)).map(normalizeVariant);
+    return { success: true, variants };
+
+  } catch (error) {
+    console.error(`[CJ API] Error fetching variants for ${pid}:`, error.message);
+    return { success: false, error: error.message, variants: [] };
+  }
+}
+
+/**
+ * Get full CJ product detail (description, image set, weight, material, packing, variants)
+ * @param {string} pid - CJ product ID
+ * @param {string} cjToken - CJ API token
+ * @returns {Promise<Object>} { success, product, error? } - product is the raw CJ detail
+ */
+async function getCJProductDetail(pid, cjToken) {
+  try {
+    return { success: true, product: await getProductDetail(pid, cjToken) };
+
+  } catch (error) {
+    console.error(`[CJ API] Error fetching detail for ${pid}:`, error.message);
+    return { success: false, error: error.message, product: null };
+  }
+}
+
+/**
+ * Get CJ stock for a SKU, summed across warehouses
+ * @param {string} sku - CJ variant SKU
+ * @param {string} cjToken - CJ API token
+ * @returns {Promise<Object>} { success, stock, warehouses: [{ area, countryCode, stock }], error? }
+ */
+async function getCJStockBySku(sku, cjToken) {
+  try {
+    const warehouses = (await getStockBySku(sku, cjToken)).map(entry => ({
+      area: entry.areaEn || entry.areaId || null,
+      countryCode: entry.countryCode || null,
+      // Newer responses split CJ/factory stock and report the total; older ones only storageNum
+      stock: parseInt(entry.totalInventoryNum ?? entry.storageNum, 10) || 0
+    }));
+
+    return {
+      success: true,
+      stock: warehouses.reduce((sum, w) => sum + w.stock, 0),
+      warehouses
+    };
+
+  } catch (error) {
+    console.error(`[CJ API] Error fetching stock for SKU ${sku}:`, error.message);
+    return { success: false, error: error.message, stock: null, warehouses: [] };
+  }
+}
+
+/**
+ * Calculate CJ freight options for a variant shipped to a country
+ * @param {Object} params
+ * @param {string} params.vid - CJ variant ID
+ * @param {string} params.endCountryCode - Destination country (US, GB, ...)
+ * @param {string} params.startCountryCode - Ship-from country (default CN)
+ * @param {number} params.quantity - Units in the shipment
+ * @param {string} cjToken - CJ API token
+ * @returns {Promise<Object>} { success, options, error? } - options are raw CJ freight entries
+ */
+async function getCJFreight({ vid, endCountryCode, startCountryCode = 'CN', quantity = 1 }, cjToken) {
+  try {
+    const options = await calculateFreight({
+      startCountryCode,
+      endCountryCode,
+      products: [{ vid, quantity }]
+    }, cjToken);
+
+    return { success: true, options };
+
+  } catch (error) {
+    console.error(`[CJ API] Error calculating freight for ${vid} -> ${endCountryCode}:`, error.message);
+    return { success: false, error: error.message, options: [] };
+  }
+}
+
 module.exports = {
   searchCJProducts,
   getCJCategories,
+  getCJProductVariants,
+  getCJProductDetail,
+  getCJFreight,
+  getCJStockBySku,
+  normalizeVariant,
+  countCJProducts,
+  planSearchPartitions,
   cancelScrape,
   generateScrapeId,
   MAX_OFFSET,
+  PARTITION_STRATEGIES,
   CJ_API_BASE
 };
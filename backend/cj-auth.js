@@ -0,0 +1,221 @@
+/**
+ * CJ Authentication
+ * Access tokens for the CJ API. With CJ_API_KEY (plus CJ_EMAIL for accounts
+ * that log in with email + API key) tokens come from CJ's authentication
+ * endpoint: the access and refresh tokens are stored with their expiry dates
+ * in backend/cache/cj-auth.json (or CJ_AUTH_FILE), the access token is refreshed
+ * CJ_TOKEN_REFRESH_HOURS before it expires, and again whenever CJ rejects it.
+ * When the refresh token has expired too, a new pair is requested.
+ * Without an API key, the static CJ_API_TOKEN is used as-is (no refresh).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { CJAuthError, CJRateLimitError, CJUpstreamError, toCJError, sendCJRequest } = require('./cj-http');
+
+const AUTH_FILE = process.env.CJ_AUTH_FILE || path.join(__dirname, 'cache', 'cj-auth.json');
+
+const CJ_EMAIL = process.env.CJ_EMAIL || '';
+const CJ_API_KEY = process.env.CJ_API_KEY || '';
+const STATIC_TOKEN = process.env.CJ_API_TOKEN || '';
+
+// Refresh this long before the access token expires (CJ issues them for 15 days)
+const REFRESH_MARGIN_MS = (parseFloat(process.env.CJ_TOKEN_REFRESH_HOURS) || 24) * 60 * 60 * 1000;
+
+let session = null;        // { accessToken, accessTokenExpiryDate, refreshToken, refreshTokenExpiryDate, obtainedAt, refreshedAt }
+let sessionLoad = null;    // Promise of reading AUTH_FILE, once
+let pendingRenewal = null; // Promise of the refresh in progress, shared by every caller
+const retiredTokens = new Set(); // Access tokens replaced by a refresh
+
+function isManaged() {
+    return Boolean(CJ_API_KEY);
+}
+
+/**
+ * Whether any CJ credentials are configured
+ * @returns {boolean}
+ */
+function isCJAuthConfigured() {
+    return isManaged() || Boolean(STATIC_TOKEN);
+}
+
+function loadSession() {
+    if (!sessionLoad) {
+        sessionLoad = fs.readFile(AUTH_FILE, 'utf8')
+            .then(data => {
+                session = JSON.parse(data);
+            })
+            .catch(() => {
+                session = null;
+            });
+    }
+    return sessionLoad;
+}
+
+async function saveSession() {
+    await fs.mkdir(path.dirname(AUTH_FILE), { recursive: true });
+    const tmpFile = `${AUTH_FILE}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(session, null, 2), { mode: 0o600 });
+    await fs.rename(tmpFile, AUTH_FILE);
+}
+
+// Expiry dates come back as ISO strings with an offset; unknown = treat as expired
+function expiresAt(date) {
+    const time = Date.parse(date);
+    return Number.isNaN(time) ? 0 : time;
+}
+
+async function callAuthEndpoint(endpoint, body) {
+    const requestPath = `/authentication/${endpoint}`;
+    let reply;
+    try {
+        reply = await sendCJRequest({ method: 'POST', path: requestPath, data: body, timeout: 15000 });
+    } catch (err) {
+        throw toCJError({ path: requestPath, cause: err });
+    }
+
+    if (reply.status === 200 && reply.data?.code === 200 && reply.data.data?.accessToken) {
+        return reply.data.data;
+    }
+
+    // Rate limits and CJ outages keep their type; anything else means CJ won't take the credentials
+    const error = toCJError({ status: reply.status, body: reply.data, headers: reply.headers, path: requestPath });
+    if (error instanceof CJRateLimitError || (error instanceof CJUpstreamError && error.code === null)) {
+        throw error;
+    }
+    throw new CJAuthError(`CJ auth: ${endpoint} failed: ${reply.data?.message || 'no token returned'} (code: ${reply.data?.code ?? reply.status})`, {
+        code: reply.data?.code ?? null,
+        status: reply.status,
+        path: requestPath
+    });
+}
+
+function storeTokens(data, field) {
+    if (session?.accessToken && session.accessToken !== data.accessToken) {
+        retiredTokens.add(session.accessToken);
+    }
+    session = {
+        ...session,
+        accessToken: data.accessToken,
+        accessTokenExpiryDate: data.accessTokenExpiryDate,
+        // A refresh may or may not rotate the refresh token
+        refreshToken: data.refreshToken || session?.refreshToken || null,
+        refreshTokenExpiryDate: data.refreshTokenExpiryDate || session?.refreshTokenExpiryDate || null,
+        [field]: new Date().toISOString()
+    };
+}
+
+// Refresh the access token, or log in again when there's no usable refresh token
+async function renewSession() {
+    const now = Date.now();
+
+    if (session?.refreshToken && expiresAt(session.refreshTokenExpiryDate) > now) {
+        try {
+            storeTokens(await callAuthEndpoint('refreshAccessToken', { refreshToken: session.refreshToken }), 'refreshedAt');
+            await saveSession();
+            console.log(`[CJ Auth] 🔑 Access token refreshed, valid until ${session.accessTokenExpiryDate}`);
+            return session.accessToken;
+        } catch (err) {
+            console.error(`[CJ Auth] Refresh failed, requesting a new token: ${err.message}`);
+        }
+    }
+
+    // Accounts using email login send the API key as the password
+    const credentials = CJ_EMAIL ? { email: CJ_EMAIL, password: CJ_API_KEY } : { apiKey: CJ_API_KEY };
+    storeTokens(await callAuthEndpoint('getAccessToken', credentials), 'obtainedAt');
+    await saveSession();
+    console.log(`[CJ Auth] 🔑 New access token, valid until ${session.accessTokenExpiryDate}`);
+    return session.accessToken;
+}
+
+function renewOnce() {
+    if (!pendingRenewal) {
+        pendingRenewal = renewSession().finally(() => {
+            pendingRenewal = null;
+        });
+    }
+    return pendingRenewal;
+}
+
+/**
+ * A valid CJ access token, refreshed when it's close to expiring
+ * @returns {Promise<string>} Access token
+ * @throws {CJAuthError} If no credentials are configured or CJ won't issue a token
+ */
+async function getAccessToken() {
+    if (!isManaged()) {
+        if (!STATIC_TOKEN) {
+            throw new CJAuthError('CJ auth: set CJ_API_KEY (and CJ_EMAIL) or CJ_API_TOKEN');
+        }
+        return STATIC_TOKEN;
+    }
+
+    await loadSession();
+    if (session?.accessToken && expiresAt(session.accessTokenExpiryDate) - REFRESH_MARGIN_MS > Date.now()) {
+        return session.accessToken;
+    }
+    return renewOnce();
+}
+
+/**
+ * The token to send for a request: the caller's token, unless a refresh has
+ * since replaced it (or there is none)
+ * @param {string} token - Token the caller holds
+ * @returns {Promise<string>} Access token
+ */
+async function resolveAccessToken(token) {
+    if (!token || retiredTokens.has(token)) {
+        return getAccessToken();
+    }
+    return token;
+}
+
+/**
+ * Renew the access token after CJ rejected it
+ * @param {string} rejectedToken - The token CJ rejected
+ * @returns {Promise<string|null>} Token to retry with, or null if it can't be renewed (static token)
+ */
+async function handleAuthError(rejectedToken) {
+    if (!isManaged()) {
+        console.error('[CJ Auth] CJ rejected CJ_API_TOKEN - replace it, or set CJ_API_KEY to have tokens refreshed automatically');
+        return null;
+    }
+
+    await loadSession();
+    // Another request already renewed it
+    if (session?.accessToken && session.accessToken !== rejectedToken && !retiredTokens.has(session.accessToken)) {
+        return session.accessToken;
+    }
+    if (session?.accessToken === rejectedToken) {
+        retiredTokens.add(rejectedToken);
+    }
+    console.log('[CJ Auth] Access token rejected, renewing');
+    return renewOnce();
+}
+
+/**
+ * Auth mode and token expiry (no token values)
+ * @returns {Object} Status for /health
+ */
+function getCJAuthStatus() {
+    if (!isManaged()) {
+        return { mode: STATIC_TOKEN ? 'static' : 'none', autoRefresh: false };
+    }
+    return {
+        mode: 'api-key',
+        autoRefresh: true,
+        hasToken: Boolean(session?.accessToken),
+        accessTokenExpiryDate: session?.accessTokenExpiryDate || null,
+        refreshTokenExpiryDate: session?.refreshTokenExpiryDate || null,
+        obtainedAt: session?.obtainedAt || null,
+        refreshedAt: session?.refreshedAt || null
+    };
+}
+
+module.exports = {
+    isCJAuthConfigured,
+    getAccessToken,
+    resolveAccessToken,
+    handleAuthError,
+    getCJAuthStatus
+};
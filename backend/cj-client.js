@@ -0,0 +1,309 @@
+/**
+ * CJ API Client
+ * The one way the app talks to the CJ API: a method per endpoint (product
+ * list/detail/variants/stock, categories, freight) on top of cjRequest(), which
+ *   - paces requests with one token-bucket rate limiter shared by the whole
+ *     process, so two batch searches running at once stay under the account's
+ *     limit together instead of each pacing itself
+ *   - retries rate limits (HTTP 429 / CJ code 1600200), 5xx and dropped
+ *     connections with exponential backoff; a rate limit pauses the bucket for
+ *     every caller
+ *   - takes tokens from cj-auth, and retries once with a renewed token when CJ
+ *     rejects one
+ *   - logs each request, and reports failures as the typed errors from
+ *     cj-http (CJAuthError, CJRateLimitError, CJParamError, CJUpstreamError)
+ * Requests go out through cj-http's transport, so setCJTransport() can point
+ * the whole client at a mock. Counters for /health come from getCJClientMetrics().
+ */
+
+const {
+    CJ_API_BASE,
+    CJApiError,
+    CJAuthError,
+    CJRateLimitError,
+    CJParamError,
+    CJUpstreamError,
+    toCJError,
+    setCJTransport,
+    sendCJRequest
+} = require('./cj-http');
+const { resolveAccessToken, handleAuthError } = require('./cj-auth');
+
+// Requests per second and bucket size; match these to the CJ account level
+const RATE_PER_SECOND = parseFloat(process.env.CJ_RATE_LIMIT_PER_SECOND) || 4;
+const BURST = parseInt(process.env.CJ_RATE_LIMIT_BURST, 10) || Math.max(1, Math.floor(RATE_PER_SECOND));
+
+// Retries after a rate limit, 5xx or network error (not after other CJ errors)
+const MAX_RETRIES = parseInt(process.env.CJ_MAX_RETRIES, 10) || 3;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+
+// Search pages fetched at once (still paced by the rate limiter)
+const PAGE_CONCURRENCY = parseInt(process.env.CJ_PAGE_CONCURRENCY, 10) || 3;
+
+// One log line per request; failures are logged either way
+const LOG_REQUESTS = process.env.CJ_LOG_REQUESTS !== 'false';
+
+const metrics = {
+    requests: 0,        // Requests sent (retries included)
+    retries: 0,
+    rateLimited: 0,     // Rate-limit answers from CJ
+    throttled: 0,       // Requests that had to wait for the bucket
+    throttledMs: 0,     // Total time spent waiting for the bucket
+    failed: 0,          // Requests that ended in an error
+    authRenewals: 0,    // Retries with a renewed token after CJ rejected one
+    inFlight: 0,
+    lastRateLimitAt: null
+};
+
+let tokens = BURST;
+let lastRefill = Date.now();
+let pausedUntil = 0;
+let limiterChain = Promise.resolve();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function refill() {
+    const now = Date.now();
+    tokens = Math.min(BURST, tokens + ((now - lastRefill) / 1000) * RATE_PER_SECOND);
+    lastRefill = now;
+}
+
+/**
+ * Wait for a token; callers are served first come, first served
+ * @returns {Promise<void>}
+ */
+function takeToken() {
+    const turn = limiterChain.then(async () => {
+        let waitMs = Math.max(0, pausedUntil - Date.now());
+        refill();
+        if (tokens < 1) {
+            waitMs = Math.max(waitMs, Math.ceil(((1 - tokens) / RATE_PER_SECOND) * 1000));
+        }
+        if (waitMs > 0) {
+            metrics.throttled++;
+            metrics.throttledMs += waitMs;
+            await sleep(waitMs);
+            refill();
+        }
+        tokens = Math.max(0, tokens - 1);
+    });
+    limiterChain = turn.catch(() => {});
+    return turn;
+}
+
+// Rate limits, 5xx and no response at all are worth another try
+function isRetryable(error) {
+    return error instanceof CJRateLimitError ||
+        (error instanceof CJUpstreamError && (error.status === null || error.status >= 500));
+}
+
+// Exponential backoff with jitter; Retry-After wins when CJ sends one
+function backoffDelay(attempt, retryAfterMs) {
+    if (retryAfterMs > 0) return Math.min(retryAfterMs, BACKOFF_MAX_MS);
+    const delay = BACKOFF_BASE_MS * Math.pow(2, attempt - 1);
+    return Math.min(delay + Math.floor(Math.random() * delay * 0.2), BACKOFF_MAX_MS);
+}
+
+// Hold every caller back after a rate limit, not just the one that hit it
+function pauseBucket(ms) {
+    pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    tokens = 0;
+}
+
+// Query string with null/undefined dropped and arrays as repeated keys (lv3categoryList=a&lv3categoryList=b)
+function buildQuery(params = {}) {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+        if (value === null || value === undefined) continue;
+        for (const item of Array.isArray(value) ? value : [value]) {
+            query.append(key, String(item));
+        }
+    }
+    const text = query.toString();
+    return text ? `?${text}` : '';
+}
+
+// One attempt: the CJ payload, or a typed error
+async function sendOnce({ method, path, data, accessToken, timeout }) {
+    let reply;
+    try {
+        reply = await sendCJRequest({ method, path, data, headers: { 'CJ-Access-Token': accessToken }, timeout });
+    } catch (err) {
+        throw toCJError({ path, cause: err });
+    }
+
+    if (reply.status === 200 && reply.data?.code === 200) {
+        return reply.data.data;
+    }
+    throw toCJError({ status: reply.status, body: reply.data, headers: reply.headers, path });
+}
+
+/**
+ * Send a CJ API request
+ * @param {Object} request
+ * @param {string} request.path - Path under CJ_API_BASE (e.g. '/product/query')
+ * @param {Object} request.params - Query parameters (arrays become repeated keys)
+ * @param {string} request.method - HTTP method (default GET)
+ * @param {Object} request.data - JSON body
+ * @param {string} request.token - CJ access token (default: the current one from cj-auth)
+ * @param {number} request.timeout - Per-attempt timeout in ms (default 30000)
+ * @returns {Promise<*>} The response's data field
+ * @throws {CJApiError} CJAuthError, CJRateLimitError, CJParamError or CJUpstreamError
+ */
+async function cjRequest({ path, params, method = 'GET', data, token, timeout = 30000 }) {
+    const fullPath = `${path}${buildQuery(params)}`;
+    let accessToken = await resolveAccessToken(token);
+    let renewedToken = false;
+
+    for (let attempt = 1; ; attempt++) {
+        await takeToken();
+        metrics.requests++;
+        metrics.inFlight++;
+        const startedAt = Date.now();
+
+        try {
+            const payload = await sendOnce({ method, path: fullPath, data, accessToken, timeout });
+            if (LOG_REQUESTS) {
+                console.log(`[CJ Client] ${method} ${path} ✓ ${Date.now() - startedAt}ms`);
+            }
+            return payload;
+        } catch (error) {
+            const took = Date.now() - startedAt;
+
+            if (error instanceof CJAuthError && !renewedToken) {
+                renewedToken = true;
+                let renewed;
+                try {
+                    renewed = await handleAuthError(accessToken);
+                } catch (renewError) {
+                    metrics.failed++;
+                    console.error(`[CJ Client] ✗ ${method} ${path} ${error.name} after ${took}ms, token renewal failed: ${renewError.message}`);
+                    throw renewError;
+                }
+                if (renewed) {
+                    accessToken = renewed;
+                    metrics.authRenewals++;
+                    attempt--; // A token renewal isn't a backoff retry
+                    continue;
+                }
+            }
+
+            if (error instanceof CJRateLimitError) {
+                metrics.rateLimited++;
+                metrics.lastRateLimitAt = new Date().toISOString();
+            }
+
+            if (isRetryable(error) && attempt <= MAX_RETRIES) {
+                const delay = backoffDelay(attempt, error.retryAfterMs);
+                if (error instanceof CJRateLimitError) pauseBucket(delay);
+                metrics.retries++;
+                console.log(`[CJ Client] ⚠️ ${method} ${path} ${error.name} after ${took}ms: ${error.message}, retry ${attempt}/${MAX_RETRIES} in ${delay}ms`);
+                await sleep(delay);
+                continue;
+            }
+
+            metrics.failed++;
+            console.error(`[CJ Client] ✗ ${method} ${path} ${error.name} after ${took}ms: ${error.message}`);
+            throw error;
+        } finally {
+            metrics.inFlight--;
+        }
+    }
+}
+
+/**
+ * Search products
+ * @param {Object} params - listV2 (or legacy /product/list) query parameters
+ * @param {string} token - CJ access token (optional)
+ * @param {Object} options
+ * @param {boolean} options.legacy - Use the legacy /product/list endpoint
+ * @returns {Promise<Object>} listV2: { totalRecords, totalPages, content: [{ productList }] }; legacy: { total, list, pageSize }
+ */
+function listProducts(params, token, { legacy = false } = {}) {
+    return cjRequest({ path: legacy ? '/product/list' : '/product/listV2', params, token, timeout: 30000 });
+}
+
+/**
+ * Full product detail (description, images, weight, variants)
+ * @param {string} pid - CJ product ID
+ * @param {string} token - CJ access token (optional)
+ * @returns {Promise<Object|null>} Raw CJ product
+ */
+async function getProductDetail(pid, token) {
+    return (await cjRequest({ path: '/product/query', params: { pid }, token, timeout: 15000 })) || null;
+}
+
+/**
+ * All variants of a product
+ * @param {string} pid - CJ product ID
+ * @param {string} token - CJ access token (optional)
+ * @returns {Promise<Array>} Raw CJ variants
+ */
+async function getProductVariants(pid, token) {
+    return (await cjRequest({ path: '/product/variant/query', params: { pid }, token, timeout: 15000 })) || [];
+}
+
+/**
+ * Stock of a SKU per warehouse
+ * @param {string} sku - CJ variant SKU
+ * @param {string} token - CJ access token (optional)
+ * @returns {Promise<Array>} Raw CJ warehouse entries
+ */
+async function getStockBySku(sku, token) {
+    return (await cjRequest({ path: '/product/stock/queryBySku', params: { sku }, token, timeout: 15000 })) || [];
+}
+
+/**
+ * The three-level category tree
+ * @param {string} token - CJ access token (optional)
+ * @returns {Promise<Array>} Raw CJ category tree
+ */
+async function getCategories(token) {
+    return (await cjRequest({ path: '/product/getCategory', token, timeout: 30000 })) || [];
+}
+
+/**
+ * Freight options for a shipment
+ * @param {Object} shipment - { startCountryCode, endCountryCode, products: [{ vid, quantity }] }
+ * @param {string} token - CJ access token (optional)
+ * @returns {Promise<Array>} Raw CJ freight options
+ */
+async function calculateFreight(shipment, token) {
+    return (await cjRequest({ method: 'POST', path: '/logistic/freightCalculate', data: shipment, token, timeout: 15000 })) || [];
+}
+
+/**
+ * Rate limiter settings and request counters
+ * @returns {Object} Metrics snapshot
+ */
+function getCJClientMetrics() {
+    refill();
+    return {
+        ratePerSecond: RATE_PER_SECOND,
+        burst: BURST,
+        pageConcurrency: PAGE_CONCURRENCY,
+        tokensAvailable: Math.floor(tokens),
+        pausedForMs: Math.max(0, pausedUntil - Date.now()),
+        ...metrics
+    };
+}
+
+module.exports = {
+    CJ_API_BASE,
+    PAGE_CONCURRENCY,
+    cjRequest,
+    listProducts,
+    getProductDetail,
+    getProductVariants,
+    getStockBySku,
+    getCategories,
+    calculateFreight,
+    getCJClientMetrics,
+    setCJTransport,
+    CJApiError,
+    CJAuthError,
+    CJRateLimitError,
+    CJParamError,
+    CJUpstreamError
+};
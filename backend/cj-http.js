@@ -0,0 +1,125 @@
+/**
+ * CJ HTTP Layer
+ * The transport every CJ request goes out through, and the error types CJ
+ * failures are reported as. The transport takes { method, url, data, headers,
+ * timeout } and resolves { status, data, headers } for any HTTP status,
+ * rejecting only when no response came back; setCJTransport() swaps it out,
+ * e.g. to run the CJ client and auth against canned responses.
+ */
+
+const axios = require('axios');
+
+const CJ_API_BASE = 'https://developers.cjdropshipping.com/api2.0/v1';
+
+/**
+ * Base class for CJ API failures
+ * code = CJ's response code (null for HTTP/network failures), status = HTTP status
+ */
+class CJApiError extends Error {
+    constructor(message, { code = null, status = null, path = null, cause = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.status = status;
+        this.path = path;
+        if (cause) this.cause = cause;
+    }
+}
+
+// The access token is missing, expired or wrong
+class CJAuthError extends CJApiError {}
+
+// Over the account's request limit
+class CJRateLimitError extends CJApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.retryAfterMs = details.retryAfterMs ?? null;
+    }
+}
+
+// CJ didn't accept the request parameters
+class CJParamError extends CJApiError {}
+
+// CJ failed: 5xx, no response, or any other error code
+class CJUpstreamError extends CJApiError {}
+
+const AUTH_MESSAGE = /access.?token|unauthori[sz]ed|authenticat|not logged in/i;
+const RATE_LIMIT_CODES = [429, 1600200];
+const RATE_LIMIT_MESSAGE = /too many|too much|rate limit|frequen/i;
+const PARAM_MESSAGE = /param/i;
+
+/**
+ * Turn a failed CJ reply into a typed error
+ * @param {Object} reply
+ * @param {number} reply.status - HTTP status (null when there was no response)
+ * @param {Object} reply.body - CJ response body ({ code, message })
+ * @param {Object} reply.headers - Response headers
+ * @param {string} reply.path - Request path, for the message
+ * @param {Error} reply.cause - Network error, when there was no response
+ * @returns {CJApiError}
+ */
+function toCJError({ status = null, body = null, headers = {}, path = null, cause = null }) {
+    const code = body?.code ?? null;
+    const cjMessage = body?.message || '';
+    const message = code !== null
+        ? `CJ API Error: ${cjMessage || 'unknown error'} (code: ${code})`
+        : `CJ API Error: ${cause ? cause.message : `HTTP ${status}`}`;
+    const details = { code, status, path, cause };
+
+    if (status === 401 || AUTH_MESSAGE.test(cjMessage)) {
+        return new CJAuthError(message, details);
+    }
+    if (status === 429 || RATE_LIMIT_CODES.includes(code) || RATE_LIMIT_MESSAGE.test(cjMessage)) {
+        const retryAfter = parseInt(headers?.['retry-after'], 10);
+        return new CJRateLimitError(message, { ...details, retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null });
+    }
+    if (status === 400 || PARAM_MESSAGE.test(cjMessage)) {
+        return new CJParamError(message, details);
+    }
+    return new CJUpstreamError(message, details);
+}
+
+async function axiosTransport({ method, url, data, headers, timeout }) {
+    const response = await axios.request({ method, url, data, headers, timeout, validateStatus: () => true });
+    return { status: response.status, data: response.data, headers: response.headers };
+}
+
+let transport = axiosTransport;
+
+/**
+ * Replace the transport (null restores the axios one)
+ * @param {Function|null} fn - async ({ method, url, data, headers, timeout }) => { status, data, headers }
+ * @returns {Function} The previous transport
+ */
+function setCJTransport(fn) {
+    const previous = transport;
+    transport = fn || axiosTransport;
+    return previous;
+}
+
+/**
+ * Send one request through the current transport
+ * @param {Object} request - { method, path, data, headers, timeout }; path is under CJ_API_BASE, query string included
+ * @returns {Promise<Object>} { status, data, headers }
+ */
+function sendCJRequest({ method = 'GET', path, data, headers = {}, timeout = 30000 }) {
+    return transport({
+        method,
+        url: `${CJ_API_BASE}${path}`,
+        data,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        timeout
+    });
+}
+
+module.exports = {
+    CJ_API_BASE,
+    CJApiError,
+    CJAuthError,
+    CJRateLimitError,
+    CJParamError,
+    CJUpstreamError,
+    toCJError,
+    setCJTransport,
+    sendCJRequest
+};
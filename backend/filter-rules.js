@@ -0,0 +1,359 @@
+/**
+ * Filter Rule Sets
+ * Per-niche rules for the text and image filters, stored as data instead of
+ * hard-coded objects. A rule set applies to a search when the search
+ * contains one of its keywords, and then can:
+ *   - reject titles with an exclude term (unless they also have an
+ *     excludeUnless term) or matching an exclude pattern (regex)
+ *   - require one of its include terms / include patterns in the title
+ *   - limit products to its CJ categoryIds
+ *   - add reject labels for the image filter
+ *   - expand search words into related image labels (labelExpansions, used
+ *     when there are no AI-generated keywords; a search word containing, or
+ *     contained in, an expansion key picks up its labels)
+ * Stored in backend/cache/filter-rules.json and read at the start of each
+ * scrape. Edits go through one chain so two of them never overwrite each other.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const CACHE_DIR = path.join(__dirname, 'cache');
+const RULES_FILE = path.join(CACHE_DIR, 'filter-rules.json');
+
+let editChain = Promise.resolve(); // Serialize read-modify-write edits
+
+const TERM_LISTS = ['keywords', 'includeTerms', 'excludeTerms', 'excludeUnless', 'includePatterns', 'excludePatterns', 'categoryIds', 'rejectLabels'];
+
+/**
+ * Defaults reproduce the old hard-coded text reject patterns and keyword expansions
+ */
+const DEFAULT_RULE_SETS = [
+    {
+        id: 'blankets',
+        name: 'Blankets & throws',
+        keywords: ['throw', 'blanket'],
+        excludeTerms: ['pillow', 'cushion', 'pillowcase', 'cushion cover'],
+        excludeUnless: ['blanket'],
+        // "throw pillow" is explicitly a pillow, even next to "blanket"
+        excludePatterns: ['throw pillows?'],
+        labelExpansions: {
+            blanket: ['blanket', 'throw', 'textile', 'fabric', 'fleece', 'bedding', 'wool', 'fur', 'plush', 'soft'],
+            throw: ['throw', 'blanket', 'textile', 'fabric', 'wool', 'fur', 'soft', 'cozy', 'plush']
+        }
+    },
+    {
+        id: 'fur',
+        name: 'Fur',
+        keywords: ['fur'],
+        excludeTerms: ['keychain', 'key chain', 'pendant', 'earring']
+    },
+    {
+        id: 'pillows',
+        name: 'Pillows',
+        keywords: ['pillow'],
+        labelExpansions: { pillow: ['pillow', 'cushion', 'textile', 'fabric', 'bedding', 'soft'] }
+    },
+    {
+        id: 'phones',
+        name: 'Phones',
+        keywords: ['phone'],
+        labelExpansions: { phone: ['phone', 'mobile', 'smartphone', 'device', 'electronic', 'screen', 'case'] }
+    },
+    {
+        id: 'pets',
+        name: 'Pets',
+        keywords: ['dog', 'cat'],
+        labelExpansions: {
+            dog: ['dog', 'pet', 'animal', 'canine', 'collar', 'leash', 'toy'],
+            cat: ['cat', 'pet', 'animal', 'feline', 'toy']
+        }
+    },
+    {
+        id: 'lighting',
+        name: 'Lighting',
+        keywords: ['light'],
+        labelExpansions: { light: ['light', 'lamp', 'led', 'lighting', 'bulb'] }
+    },
+    {
+        id: 'kitchen',
+        name: 'Kitchen',
+        keywords: ['kitchen'],
+        labelExpansions: { kitchen: ['kitchen', 'cookware', 'utensil', 'cooking'] }
+    },
+    {
+        id: 'bags',
+        name: 'Bags',
+        keywords: ['bag'],
+        labelExpansions: { bag: ['bag', 'handbag', 'purse', 'backpack', 'luggage'] }
+    }
+];
+
+function isStringList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+// Lower-case, trimmed, non-empty, unique
+function cleanTerms(list) {
+    return [...new Set(list.map(item => item.toLowerCase().trim()).filter(Boolean))];
+}
+
+/**
+ * Fill in a rule set's optional fields and validate it
+ * @param {Object} ruleSet - Partial rule set
+ * @returns {Object} Complete rule set
+ * @throws {Error} If a field is malformed or a pattern isn't a valid regex
+ */
+function normalizeRuleSet(ruleSet = {}) {
+    const name = typeof ruleSet.name === 'string' ? ruleSet.name.trim() : '';
+    if (!name) {
+        throw new Error('Filter rules: name is required');
+    }
+
+    const normalized = {
+        id: ruleSet.id ? String(ruleSet.id) : null,
+        name,
+        enabled: ruleSet.enabled !== false
+    };
+
+    for (const field of TERM_LISTS) {
+        const value = ruleSet[field] ?? [];
+        if (!isStringList(value)) {
+            throw new Error(`Filter rules: ${field} must be an array of strings (${name})`);
+        }
+        // Category IDs and regexes are case-sensitive
+        normalized[field] = field === 'categoryIds' || field.endsWith('Patterns')
+            ? [...new Set(value.map(item => item.trim()).filter(Boolean))]
+            : cleanTerms(value);
+    }
+
+    if (normalized.keywords.length === 0) {
+        throw new Error(`Filter rules: keywords must name at least one search word (${name})`);
+    }
+
+    for (const pattern of [...normalized.includePatterns, ...normalized.excludePatterns]) {
+        try {
+            new RegExp(pattern, 'i');
+        } catch (err) {
+            throw new Error(`Filter rules: invalid pattern /${pattern}/ (${name}): ${err.message}`);
+        }
+    }
+
+    const expansions = ruleSet.labelExpansions ?? {};
+    if (typeof expansions !== 'object' || Array.isArray(expansions)) {
+        throw new Error(`Filter rules: labelExpansions must map a word to a list of labels (${name})`);
+    }
+    normalized.labelExpansions = {};
+    for (const [word, labels] of Object.entries(expansions)) {
+        if (!isStringList(labels)) {
+            throw new Error(`Filter rules: labelExpansions["${word}"] must be an array of strings (${name})`);
+        }
+        const key = word.toLowerCase().trim();
+        if (key) normalized.labelExpansions[key] = cleanTerms(labels);
+    }
+
+    return normalized;
+}
+
+function slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'rules';
+}
+
+/**
+ * All rule sets, enabled or not (the defaults until the first edit)
+ * @returns {Promise<Array>} Rule sets
+ * @throws {Error} If the rules file can't be read or holds a malformed rule set
+ */
+async function loadRuleSets() {
+    let data;
+    try {
+        data = await fs.readFile(RULES_FILE, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return DEFAULT_RULE_SETS.map(normalizeRuleSet);
+        throw new Error(`Filter rules: cannot read ${RULES_FILE}: ${err.message}`);
+    }
+
+    let ruleSets;
+    try {
+        ruleSets = JSON.parse(data);
+    } catch (err) {
+        throw new Error(`Filter rules: ${RULES_FILE} is not valid JSON: ${err.message}`);
+    }
+    if (!Array.isArray(ruleSets)) {
+        throw new Error(`Filter rules: ${RULES_FILE} must hold an array of rule sets`);
+    }
+    return ruleSets.map(normalizeRuleSet);
+}
+
+// Run an edit after the ones before it have saved
+function queueEdit(edit) {
+    const run = editChain.then(edit);
+    editChain = run.catch(() => {});
+    return run;
+}
+
+async function saveRuleSets(ruleSets) {
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    const tmpFile = `${RULES_FILE}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(ruleSets, null, 2));
+    await fs.rename(tmpFile, RULES_FILE);
+}
+
+/**
+ * One rule set
+ * @param {string} id - Rule set ID
+ * @returns {Promise<Object|null>} The rule set, or null if not found
+ */
+async function getRuleSet(id) {
+    const ruleSets = await loadRuleSets();
+    return ruleSets.find(ruleSet => ruleSet.id === id) || null;
+}
+
+/**
+ * Validate and add a rule set
+ * @param {Object} ruleSet - Rule set (its ID is generated from the name)
+ * @returns {Promise<Object>} The saved rule set
+ * @throws {Error} If the rule set is malformed
+ */
+async function createRuleSet(ruleSet) {
+    const normalized = normalizeRuleSet(ruleSet);
+    return queueEdit(async () => {
+        const ruleSets = await loadRuleSets();
+
+        const base = slugify(normalized.name);
+        let id = base;
+        for (let n = 2; ruleSets.some(existing => existing.id === id); n++) id = `${base}-${n}`;
+        normalized.id = id;
+
+        await saveRuleSets([...ruleSets, normalized]);
+        console.log(`[Filter Rules] Created "${normalized.name}" (${id})`);
+        return normalized;
+    });
+}
+
+/**
+ * Validate and replace a rule set
+ * @param {string} id - Rule set ID
+ * @param {Object} ruleSet - New contents
+ * @returns {Promise<Object|null>} The saved rule set, or null if not found
+ * @throws {Error} If the rule set is malformed
+ */
+async function updateRuleSet(id, ruleSet) {
+    const normalized = normalizeRuleSet({ ...ruleSet, id });
+    return queueEdit(async () => {
+        const ruleSets = await loadRuleSets();
+        const index = ruleSets.findIndex(existing => existing.id === id);
+        if (index === -1) return null;
+
+        ruleSets[index] = normalized;
+        await saveRuleSets(ruleSets);
+        console.log(`[Filter Rules] Updated "${normalized.name}" (${id})`);
+        return normalized;
+    });
+}
+
+/**
+ * Delete a rule set
+ * @param {string} id - Rule set ID
+ * @returns {Promise<boolean>} False if not found
+ */
+function deleteRuleSet(id) {
+    return queueEdit(async () => {
+        const ruleSets = await loadRuleSets();
+        const remaining = ruleSets.filter(ruleSet => ruleSet.id !== id);
+        if (remaining.length === ruleSets.length) return false;
+
+        await saveRuleSets(remaining);
+        console.log(`[Filter Rules] Deleted ${id}`);
+        return true;
+    });
+}
+
+/**
+ * Go back to the default rule sets
+ * @returns {Promise<Array>} Rule sets
+ */
+function resetRuleSets() {
+    return queueEdit(async () => {
+        const ruleSets = DEFAULT_RULE_SETS.map(normalizeRuleSet);
+        await saveRuleSets(ruleSets);
+        console.log('[Filter Rules] Reset to defaults');
+        return ruleSets;
+    });
+}
+
+/**
+ * Enabled rule sets whose keywords appear in the search
+ * @param {Array} ruleSets - Rule sets
+ * @param {string} searchTerm - Search keyword
+ * @returns {Array} Matching rule sets
+ */
+function ruleSetsForSearch(ruleSets, searchTerm) {
+    const lowerSearch = (searchTerm || '').toLowerCase();
+    return ruleSets.filter(ruleSet => ruleSet.enabled && ruleSet.keywords.some(keyword => lowerSearch.includes(keyword)));
+}
+
+/**
+ * Compile the rule sets' patterns once, before checking a scrape's products
+ * @param {Array} ruleSets - Rule sets (see ruleSetsForSearch)
+ * @returns {Array} Copies with excludeRegexes and includeRegexes added
+ */
+function compileRuleSets(ruleSets) {
+    return ruleSets.map(ruleSet => ({
+        ...ruleSet,
+        excludeRegexes: ruleSet.excludePatterns.map(pattern => ({ pattern, regex: new RegExp(pattern, 'i') })),
+        includeRegexes: ruleSet.includePatterns.map(pattern => new RegExp(pattern, 'i'))
+    }));
+}
+
+/**
+ * Apply the matching rule sets to a product's title and category
+ * @param {Object} product - Product with title and categoryId
+ * @param {Array} ruleSets - Rule sets matching the search, compiled (see compileRuleSets)
+ * @returns {Object|null} { ruleSet, rejectTerm, reason } for the first rule that rejects it, null if none does
+ */
+function checkRuleSets(product, ruleSets) {
+    const lowerTitle = (product.title || '').toLowerCase();
+
+    for (const ruleSet of ruleSets) {
+        const reject = (rejectTerm, reason) => ({ ruleSet: ruleSet.id, rejectTerm, reason: `${reason} (${ruleSet.name})` });
+
+        if (ruleSet.categoryIds.length > 0 && product.categoryId && !ruleSet.categoryIds.includes(product.categoryId)) {
+            return reject(null, `Category ${product.categoryName || product.categoryId} is not allowed`);
+        }
+
+        for (const { pattern, regex } of ruleSet.excludeRegexes) {
+            const match = lowerTitle.match(regex);
+            if (match) return reject(match[0], `Title matches exclude pattern /${pattern}/`);
+        }
+
+        const excludeTerm = ruleSet.excludeTerms.find(term => lowerTitle.includes(term));
+        if (excludeTerm && !ruleSet.excludeUnless.some(term => lowerTitle.includes(term))) {
+            return reject(excludeTerm, `Title contains reject term "${excludeTerm}"`);
+        }
+
+        if (ruleSet.includeTerms.length > 0 && !ruleSet.includeTerms.some(term => lowerTitle.includes(term))) {
+            return reject(null, `Title has none of "${ruleSet.includeTerms.join('", "')}"`);
+        }
+
+        if (ruleSet.includeRegexes.length > 0 && !ruleSet.includeRegexes.some(regex => regex.test(lowerTitle))) {
+            return reject(null, 'Title matches no include pattern');
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    DEFAULT_RULE_SETS,
+    normalizeRuleSet,
+    loadRuleSets,
+    getRuleSet,
+    createRuleSet,
+    updateRuleSet,
+    deleteRuleSet,
+    resetRuleSets,
+    ruleSetsForSearch,
+    compileRuleSets,
+    checkRuleSets
+};
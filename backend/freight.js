@@ -0,0 +1,257 @@
+/**
+ * Freight Calculation
+ * Shipping methods, costs and delivery estimates per destination country
+ * from CJ's logistics freight endpoint (/logistic/freightCalculate).
+ * Quotes are cached per variant/route under backend/cache and feed the
+ * pricing step as landed cost.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getCJFreight } = require('./cj-api-scraper');
+const { getProductDetail, saveDetailCache } = require('./product-enrichment');
+
+const CACHE_DIR = path.join(__dirname, 'cache');
+const FREIGHT_CACHE_FILE = path.join(CACHE_DIR, 'freight-quotes.json');
+const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours - CJ freight rates move more than product detail
+const DEFAULT_START_COUNTRY = 'CN';
+
+let freightCache = null; // cacheKey -> quote, loaded lazily
+let writeChain = Promise.resolve(); // Serialize saves so writes never interleave
+
+/**
+ * Validate a two-letter country code
+ * @param {string} code - Country code
+ * @returns {string|null} Upper-case code, or null if invalid
+ */
+function normalizeCountryCode(code) {
+    const upper = String(code || '').trim().toUpperCase();
+    return /^[A-Z]{2}$/.test(upper) ? upper : null;
+}
+
+/**
+ * CJ reports delivery time as "7-12" or "7" days
+ * @param {string} aging - Raw logisticAging
+ * @returns {Object|null} { min, max } in days
+ */
+function parseDeliveryDays(aging) {
+    const numbers = (String(aging || '').match(/\d+/g) || []).map(Number);
+    if (numbers.length === 0) return null;
+    return { min: Math.min(...numbers), max: Math.max(...numbers) };
+}
+
+/**
+ * Normalize one raw CJ freight entry
+ * @param {Object} raw - Raw freight option
+ * @returns {Object} { name, cost, shippingCost, taxesFee, clearanceFee, currency, deliveryDays, aging }
+ */
+function normalizeFreightOption(raw) {
+    const shippingCost = parseFloat(raw.logisticPrice) || 0;
+    const taxesFee = parseFloat(raw.taxesFee) || 0;
+    const clearanceFee = parseFloat(raw.clearanceOperationFee) || 0;
+    const total = parseFloat(raw.totalPostageFee);
+
+    return {
+        name: raw.logisticName || 'Unknown',
+        // Everything the buyer's parcel costs us to deliver
+        cost: Math.round((Number.isFinite(total) && total > 0 ? total : shippingCost + taxesFee + clearanceFee) * 100) / 100,
+        shippingCost,
+        taxesFee,
+        clearanceFee,
+        currency: 'USD',
+        deliveryDays: parseDeliveryDays(raw.logisticAging),
+        aging: raw.logisticAging || null
+    };
+}
+
+async function loadFreightCache() {
+    if (freightCache) return freightCache;
+    try {
+        const data = await fs.readFile(FREIGHT_CACHE_FILE, 'utf8');
+        freightCache = new Map(Object.entries(JSON.parse(data)));
+    } catch (err) {
+        freightCache = new Map(); // Cache doesn't exist yet
+    }
+    return freightCache;
+}
+
+function saveFreightCache() {
+    writeChain = writeChain.then(async () => {
+        try {
+            await fs.mkdir(CACHE_DIR, { recursive: true });
+            const tmpFile = `${FREIGHT_CACHE_FILE}.tmp`;
+            await fs.writeFile(tmpFile, JSON.stringify(Object.fromEntries(freightCache)));
+            await fs.rename(tmpFile, FREIGHT_CACHE_FILE);
+        } catch (err) {
+            console.error('[Freight] Failed to save freight cache:', err.message);
+        }
+    });
+    return writeChain;
+}
+
+// Write the caches a run of quotes added to (see quoteShipping)
+async function saveChangedCaches(changed) {
+    if (changed.details) await saveDetailCache();
+    if (changed.quotes) await saveFreightCache();
+}
+
+/**
+ * Work out which variant to quote: the one asked for, else the product's first
+ * @param {string} pid - CJ product ID
+ * @param {string} vid - Requested variant ID (optional)
+ * @param {string} cjToken - CJ API token
+ * @param {Object} changed - Set to { details: true } when product detail was fetched
+ * @returns {Promise<string|null>} Variant ID
+ */
+async function resolveVariantId(pid, vid, cjToken, changed) {
+    if (vid) return vid;
+    const result = await getProductDetail(pid, cjToken);
+    if (result && !result.cached) changed.details = true;
+    return result?.detail?.variants?.[0]?.vid || null;
+}
+
+/**
+ * Get shipping options for a product/variant to a destination (cache first, then CJ)
+ * @param {Object} params
+ * @param {string} params.pid - CJ product ID
+ * @param {string} params.vid - CJ variant ID (defaults to the product's first variant)
+ * @param {string} params.country - Destination country code
+ * @param {string} params.from - Ship-from country code (default CN)
+ * @param {number} params.quantity - Units (default 1)
+ * @param {string} cjToken - CJ API token
+ * @returns {Promise<Object>} { success, quote?, cached?, error? }
+ *   quote: { pid, vid, country, from, quantity, methods, cheapest, fastest, quotedAt }
+ */
+async function getShippingQuote(params, cjToken) {
+    const changed = {};
+    const result = await quoteShipping(params, cjToken, changed);
+    await saveChangedCaches(changed);
+    return result;
+}
+
+// getShippingQuote without writing the caches; records in `changed` which ones it added to
+async function quoteShipping({ pid, vid, country, from = DEFAULT_START_COUNTRY, quantity = 1 }, cjToken, changed) {
+    const endCountryCode = normalizeCountryCode(country);
+    const startCountryCode = normalizeCountryCode(from);
+    if (!endCountryCode || !startCountryCode) {
+        return { success: false, error: 'Country codes must be two letters (e.g. US, GB)' };
+    }
+
+    const variantId = await resolveVariantId(pid, vid, cjToken, changed);
+    if (!variantId) {
+        return { success: false, error: `No variant found for product ${pid}` };
+    }
+
+    const cacheKey = `${variantId}:${startCountryCode}:${endCountryCode}:${quantity}`;
+    const cache = await loadFreightCache();
+    const cached = cache.get(cacheKey);
+    if (cached && Date.now() - new Date(cached.quotedAt).getTime() < CACHE_DURATION) {
+        return { success: true, quote: { ...cached, pid }, cached: true };
+    }
+
+    const result = await getCJFreight({ vid: variantId, endCountryCode, startCountryCode, quantity }, cjToken);
+    if (!result.success) {
+        return { success: false, error: result.error };
+    }
+
+    const methods = result.options
+        .map(normalizeFreightOption)
+        .sort((a, b) => a.cost - b.cost);
+
+    const fastest = methods
+        .filter(method => method.deliveryDays)
+        .sort((a, b) => a.deliveryDays.max - b.deliveryDays.max || a.cost - b.cost)[0] || null;
+
+    const quote = {
+        pid,
+        vid: variantId,
+        country: endCountryCode,
+        from: startCountryCode,
+        quantity,
+        methods,
+        cheapest: methods[0] || null,
+        fastest,
+        quotedAt: new Date().toISOString()
+    };
+
+    cache.set(cacheKey, quote);
+    changed.quotes = true;
+    return { success: true, quote, cached: false };
+}
+
+/**
+ * Pick the method a product ships with: the named one if available, else the cheapest
+ * @param {Object} quote - Shipping quote
+ * @param {string} methodName - Preferred logistic name (optional, case-insensitive)
+ * @returns {Object|null} Freight method
+ */
+function selectShippingMethod(quote, methodName = null) {
+    if (methodName) {
+        const wanted = methodName.toLowerCase();
+        const match = quote.methods.find(method => method.name.toLowerCase() === wanted);
+        if (match) return match;
+    }
+    return quote.cheapest;
+}
+
+/**
+ * Attach a shipping quote to each product so pricing can use landed cost.
+ * Sets product.shipping = { country, from, method, cost, deliveryDays }; products
+ * that can't be quoted are left without it (priced on product cost alone).
+ * @param {Array} products - Normalized (optionally enriched) products
+ * @param {Object} options
+ * @param {string} options.country - Destination country code
+ * @param {string} options.method - Preferred logistic name (optional)
+ * @param {string} cjToken - CJ API token
+ * @returns {Promise<Object>} { products, stats: { quoted, cached, failed } }
+ */
+async function attachShippingCosts(products, { country, method = null }, cjToken) {
+    const stats = { quoted: 0, cached: 0, failed: 0 };
+    const withShipping = [];
+    const changed = {}; // Caches are written once, after the last quote
+
+    for (const product of products) {
+        if (!product.pid) {
+            withShipping.push(product);
+            continue;
+        }
+
+        const result = await quoteShipping({
+            pid: product.pid,
+            vid: product.detailVariants?.[0]?.vid,
+            country,
+            from: product.warehouse || DEFAULT_START_COUNTRY
+        }, cjToken, changed);
+
+        const selected = result.success ? selectShippingMethod(result.quote, method) : null;
+        if (!selected) {
+            stats.failed++;
+            withShipping.push(product);
+            continue;
+        }
+
+        stats[result.cached ? 'cached' : 'quoted']++;
+        withShipping.push({
+            ...product,
+            shipping: {
+                country: result.quote.country,
+                from: result.quote.from,
+                method: selected.name,
+                cost: selected.cost,
+                deliveryDays: selected.deliveryDays
+            }
+        });
+    }
+
+    await saveChangedCaches(changed);
+    console.log(`[Freight] ${products.length} products to ${country}: ${stats.quoted} quoted, ${stats.cached} cached, ${stats.failed} failed`);
+    return { products: withShipping, stats };
+}
+
+module.exports = {
+    normalizeCountryCode,
+    normalizeFreightOption,
+    getShippingQuote,
+    selectShippingMethod,
+    attachShippingCosts
+};
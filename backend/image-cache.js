@@ -0,0 +1,269 @@
+/**
+ * Image Analysis Cache
+ * Content-addressed cache of image classifier output, so a supplier photo
+ * reused across CJ listings (or scrapes) is only downloaded and classified
+ * once. Images are keyed by a perceptual hash (dHash), which barely changes
+ * when CJ re-encodes or resizes the same picture for another listing:
+ * hashes within IMAGE_CACHE_MAX_DISTANCE bits count as the same image.
+ * URLs map to the hash they were seen with, so a known URL skips the
+ * download too. Stored in backend/cache/image-analysis.json.
+ *
+ * Each image holds one result per analysis key (provider + what was asked
+ * of it), since e.g. CLIP scores depend on the labels or search text.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const CACHE_DIR = path.join(__dirname, 'cache');
+const CACHE_FILE = path.join(CACHE_DIR, 'image-analysis.json');
+const CACHE_ENABLED = process.env.IMAGE_CACHE !== 'false';
+const MAX_IMAGES = parseInt(process.env.IMAGE_CACHE_MAX_IMAGES, 10) || 50000;
+const HASH_SIZE = 8; // 8x8 gradient bits = 64-bit hash
+// Max differing bits for two hashes to be the same picture (0 = exact only)
+const MAX_DISTANCE = Number.isInteger(parseInt(process.env.IMAGE_CACHE_MAX_DISTANCE, 10))
+    ? parseInt(process.env.IMAGE_CACHE_MAX_DISTANCE, 10)
+    : 4;
+
+let imageCache = null; // { urls: { [url]: hash }, images: { [hash]: { lastUsed, results: { [key]: value } } } }, loaded lazily
+let writeChain = Promise.resolve(); // Serialize saves so writes never interleave
+let dirty = false;
+const totals = { urlHits: 0, hashHits: 0, misses: 0 }; // Since server start
+
+async function loadImageCache() {
+    if (imageCache) return imageCache;
+    try {
+        const data = await fs.readFile(CACHE_FILE, 'utf8');
+        imageCache = JSON.parse(data);
+    } catch (err) {
+        imageCache = { urls: {}, images: {} }; // Cache doesn't exist yet
+    }
+    return imageCache;
+}
+
+// Drop the least recently used images (and their URLs) past MAX_IMAGES
+function pruneImageCache() {
+    const hashes = Object.keys(imageCache.images);
+    if (hashes.length <= MAX_IMAGES) return;
+
+    hashes
+        .sort((a, b) => imageCache.images[a].lastUsed.localeCompare(imageCache.images[b].lastUsed))
+        .slice(0, hashes.length - MAX_IMAGES)
+        .forEach(hash => delete imageCache.images[hash]);
+
+    for (const [url, hash] of Object.entries(imageCache.urls)) {
+        if (!imageCache.images[hash]) delete imageCache.urls[url];
+    }
+}
+
+/**
+ * Write the cache to disk if it changed (atomically, via a temp file + rename)
+ * @returns {Promise<void>}
+ */
+function saveImageCache() {
+    writeChain = writeChain.then(async () => {
+        if (!dirty || !imageCache) return;
+        dirty = false;
+        try {
+            pruneImageCache();
+            await fs.mkdir(CACHE_DIR, { recursive: true });
+            const tmpFile = `${CACHE_FILE}.tmp`;
+            await fs.writeFile(tmpFile, JSON.stringify(imageCache));
+            await fs.rename(tmpFile, CACHE_FILE);
+        } catch (err) {
+            console.error('[Image Cache] Failed to save image cache:', err.message);
+        }
+    });
+    return writeChain;
+}
+
+/**
+ * Perceptual hash (dHash) of an image: shrink to 9x8 greyscale and record
+ * whether each pixel is brighter than its right-hand neighbour
+ * @param {Buffer} imageBuffer - Image bytes
+ * @returns {Promise<string>} 16-char hex hash
+ */
+async function hashImage(imageBuffer) {
+    const pixels = await sharp(imageBuffer)
+        .greyscale()
+        .resize(HASH_SIZE + 1, HASH_SIZE, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let hash = 0n;
+    for (let row = 0; row < HASH_SIZE; row++) {
+        for (let col = 0; col < HASH_SIZE; col++) {
+            const offset = row * (HASH_SIZE + 1) + col;
+            hash = (hash << 1n) | (pixels[offset] > pixels[offset + 1] ? 1n : 0n);
+        }
+    }
+    return hash.toString(16).padStart(HASH_SIZE * HASH_SIZE / 4, '0');
+}
+
+/**
+ * Number of differing bits between two perceptual hashes
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number} Hamming distance (0-64)
+ */
+function hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let bits = 0;
+    while (diff) {
+        diff &= diff - 1n;
+        bits++;
+    }
+    return bits;
+}
+
+/**
+ * Key for one kind of analysis, e.g. "local-clip:labels:<digest of labels>"
+ * @param {string} providerName - Classifier provider
+ * @param {string} kind - 'labels' or 'similarity'
+ * @param {string|Array<string>} input - What the result depends on besides the image (optional)
+ * @returns {string} Analysis key
+ */
+function analysisKey(providerName, kind, input = null) {
+    if (input === null || input === undefined) return `${providerName}:${kind}`;
+    const text = Array.isArray(input) ? [...input].sort().join('|') : String(input).toLowerCase().trim();
+    const digest = crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
+    return `${providerName}:${kind}:${digest}`;
+}
+
+function touch(hash) {
+    imageCache.images[hash].lastUsed = new Date().toISOString();
+    dirty = true;
+}
+
+/**
+ * Cached result for an image URL seen before
+ * @param {string} imageUrl - Image URL
+ * @param {string} key - Analysis key
+ * @returns {Promise<*>} The result, or undefined on a miss
+ */
+async function lookupByUrl(imageUrl, key) {
+    if (!CACHE_ENABLED) return undefined;
+    const cache = await loadImageCache();
+    const hash = cache.urls[imageUrl];
+    const result = hash ? cache.images[hash]?.results[key] : undefined;
+    if (result !== undefined) touch(hash);
+    return result;
+}
+
+/**
+ * Cached result for this picture: the exact hash, else the closest one
+ * within MAX_DISTANCE bits that has this analysis
+ * @param {string} hash - Perceptual hash
+ * @param {string} key - Analysis key
+ * @returns {Promise<*>} The result, or undefined on a miss
+ */
+async function lookupByHash(hash, key) {
+    if (!CACHE_ENABLED) return undefined;
+    const cache = await loadImageCache();
+
+    let bestHash = cache.images[hash]?.results[key] !== undefined ? hash : null;
+    if (!bestHash && MAX_DISTANCE > 0) {
+        let bestDistance = MAX_DISTANCE + 1;
+        for (const [candidate, image] of Object.entries(cache.images)) {
+            if (image.results[key] === undefined) continue;
+            const distance = hammingDistance(hash, candidate);
+            if (distance < bestDistance) {
+                bestHash = candidate;
+                bestDistance = distance;
+            }
+        }
+    }
+
+    if (!bestHash) return undefined;
+    const result = cache.images[bestHash].results[key];
+    touch(bestHash);
+    // Copy to this hash too, so its URLs hit directly next time
+    if (bestHash !== hash && cache.images[hash]) cache.images[hash].results[key] = result;
+    return result;
+}
+
+/**
+ * Perceptual hash recorded for a URL, if it was downloaded before
+ * @param {string} imageUrl - Image URL
+ * @returns {Promise<string|null>} Hash
+ */
+async function getUrlHash(imageUrl) {
+    if (!CACHE_ENABLED) return null;
+    const cache = await loadImageCache();
+    return cache.urls[imageUrl] || null;
+}
+
+/**
+ * Remember which image a URL points at
+ * @param {string} imageUrl - Image URL
+ * @param {string} hash - Perceptual hash of its content
+ */
+async function rememberUrl(imageUrl, hash) {
+    if (!CACHE_ENABLED) return;
+    const cache = await loadImageCache();
+    if (!cache.images[hash]) cache.images[hash] = { lastUsed: new Date().toISOString(), results: {} };
+    cache.urls[imageUrl] = hash;
+    dirty = true;
+}
+
+/**
+ * Store an analysis result for an image
+ * @param {string} hash - Perceptual hash
+ * @param {string} key - Analysis key
+ * @param {*} result - JSON-serializable result
+ */
+async function storeResult(hash, key, result) {
+    if (!CACHE_ENABLED) return;
+    const cache = await loadImageCache();
+    if (!cache.images[hash]) cache.images[hash] = { lastUsed: null, results: {} };
+    cache.images[hash].results[key] = result;
+    touch(hash);
+}
+
+/**
+ * @returns {boolean} False when IMAGE_CACHE=false
+ */
+function isImageCacheEnabled() {
+    return CACHE_ENABLED;
+}
+
+/**
+ * Count a lookup outcome towards the since-start totals
+ * @param {string} outcome - 'url', 'hash' or 'miss'
+ */
+function recordCacheOutcome(outcome) {
+    if (outcome === 'url') totals.urlHits++;
+    else if (outcome === 'hash') totals.hashHits++;
+    else if (outcome === 'miss') totals.misses++;
+}
+
+/**
+ * Cache size and hit/miss totals since the server started
+ * @returns {Promise<Object>} { enabled, images, urls, urlHits, hashHits, misses }
+ */
+async function getImageCacheStats() {
+    const cache = await loadImageCache();
+    return {
+        enabled: CACHE_ENABLED,
+        images: Object.keys(cache.images).length,
+        urls: Object.keys(cache.urls).length,
+        ...totals
+    };
+}
+
+module.exports = {
+    hashImage,
+    hammingDistance,
+    analysisKey,
+    lookupByUrl,
+    lookupByHash,
+    getUrlHash,
+    rememberUrl,
+    storeResult,
+    isImageCacheEnabled,
+    recordCacheOutcome,
+    saveImageCache,
+    getImageCacheStats
+};
@@ -0,0 +1,408 @@
+/**
+ * Image Classifier
+ * Decides whether a product image matches the search, using a pluggable
+ * label provider selected by IMAGE_CLASSIFIER:
+ *   google-vision - Google Vision label detection (cloud, per-image cost)
+ *   local-clip    - CLIP zero-shot on CPU (offline once the model is cached)
+ *   stub          - Deterministic labels for tests
+ *   none          - Skip image checks (every product passes)
+ *   auto          - google-vision if credentials exist, else none (default)
+ * Providers only produce labels; matching them against the valid/reject
+ * keywords is shared here so every provider filters the same way.
+ *
+ * IMAGE_MATCH_MODE=similarity replaces label matching with an image-text
+ * similarity score (providers with `similarity`, i.e. local-clip or stub):
+ * a product passes when its score reaches the search's threshold.
+ *
+ * Provider output for downloaded images goes through the image cache
+ * (image-cache.js), so an identical picture is never classified twice.
+ *
+ * A product can be judged on several gallery images, combined by voting
+ * (IMAGE_VOTE_MODE any/majority/all over up to IMAGE_VOTE_MAX_IMAGES).
+ *
+ * Verdicts the classifier isn't sure of are flagged `borderline` (score
+ * within REVIEW_MARGIN of the threshold, deciding label below
+ * REVIEW_MIN_CONFIDENCE, or an error) so they can go to human review.
+ */
+
+const axios = require('axios');
+const { hashImage, analysisKey, lookupByUrl, lookupByHash, rememberUrl, storeResult, isImageCacheEnabled, recordCacheOutcome } = require('./image-cache');
+
+const PROVIDERS = {
+    'google-vision': require('./image-classifiers/google-vision'),
+    'local-clip': require('./image-classifiers/local-clip'),
+    'stub': require('./image-classifiers/stub')
+};
+
+const CLASSIFIER_SETTING = (process.env.IMAGE_CLASSIFIER || 'auto').toLowerCase();
+// What happens to a product whose image can't be classified: pass (old behaviour) or reject
+const ON_ERROR = process.env.IMAGE_CLASSIFIER_ON_ERROR === 'reject' ? 'reject' : 'pass';
+const MATCH_MODE = process.env.IMAGE_MATCH_MODE === 'similarity' ? 'similarity' : 'labels';
+// Default similarity cut-off; a scrape can pass its own relevanceThreshold
+const DEFAULT_RELEVANCE_THRESHOLD = parseFloat(process.env.RELEVANCE_THRESHOLD) || 0.25;
+
+// Borderline: similarity this close to the threshold, or deciding labels scored below this
+const REVIEW_MARGIN = parseFloat(process.env.REVIEW_MARGIN) || 0.03;
+const REVIEW_MIN_CONFIDENCE = parseFloat(process.env.REVIEW_MIN_CONFIDENCE) || 0.7;
+
+const VOTE_MODES = ['any', 'majority', 'all'];
+const DEFAULT_VOTE_MODE = VOTE_MODES.includes(process.env.IMAGE_VOTE_MODE) ? process.env.IMAGE_VOTE_MODE : 'any';
+// Images judged per product: the main image first, then the CJ gallery
+const DEFAULT_VOTE_MAX_IMAGES = parseInt(process.env.IMAGE_VOTE_MAX_IMAGES, 10) || 1;
+const MAX_VOTE_IMAGES = 10;
+
+let activeProvider; // Resolved once, undefined until then (null = image checks off)
+
+/**
+ * The configured provider
+ * @returns {Object|null} Provider, or null when image checks are off
+ * @throws {Error} If IMAGE_CLASSIFIER names an unknown provider, or one that
+ *   can't score similarity in similarity mode
+ */
+function getImageClassifier() {
+    if (activeProvider !== undefined) return activeProvider;
+
+    if (CLASSIFIER_SETTING === 'none') {
+        activeProvider = null;
+    } else if (CLASSIFIER_SETTING === 'auto') {
+        activeProvider = PROVIDERS['google-vision'].isConfigured() ? PROVIDERS['google-vision'] : null;
+    } else if (PROVIDERS[CLASSIFIER_SETTING]) {
+        activeProvider = PROVIDERS[CLASSIFIER_SETTING];
+        if (!activeProvider.isConfigured()) {
+            console.warn(`⚠️  [Image Classifier] "${CLASSIFIER_SETTING}" is not configured - image checks will fail`);
+        }
+    } else {
+        throw new Error(`Unknown IMAGE_CLASSIFIER "${CLASSIFIER_SETTING}" (use ${Object.keys(PROVIDERS).join(', ')}, none or auto)`);
+    }
+
+    if (MATCH_MODE === 'similarity' && activeProvider && !activeProvider.similarity) {
+        throw new Error(`IMAGE_MATCH_MODE=similarity needs a provider that scores similarity (local-clip or stub), not "${activeProvider.name}"`);
+    }
+
+    return activeProvider;
+}
+
+/**
+ * Short description of the active provider for logs and health checks
+ * @returns {string} Description
+ */
+function describeImageClassifier() {
+    const provider = getImageClassifier();
+    if (!provider) return 'disabled (text filter only)';
+    return MATCH_MODE === 'similarity' ? `${provider.describe()}, similarity >= ${DEFAULT_RELEVANCE_THRESHOLD}` : provider.describe();
+}
+
+/**
+ * How images are matched and combined, with their defaults
+ * @returns {Object} { mode: 'labels' | 'similarity', defaultThreshold, voteMode, voteModes, maxImages, maxImagesLimit }
+ */
+function getImageMatchSettings() {
+    return {
+        mode: MATCH_MODE,
+        defaultThreshold: DEFAULT_RELEVANCE_THRESHOLD,
+        voteMode: DEFAULT_VOTE_MODE,
+        voteModes: VOTE_MODES,
+        maxImages: Math.min(DEFAULT_VOTE_MAX_IMAGES, MAX_VOTE_IMAGES),
+        maxImagesLimit: MAX_VOTE_IMAGES
+    };
+}
+
+/**
+ * Labels that make an image pass or fail for a search
+ * @param {string} searchTerm - Search keyword
+ * @param {Object} dynamicKeywords - AI-generated { valid, reject } (optional)
+ * @param {Array} ruleSets - Filter rule sets matching the search: their reject
+ *   labels always apply, their label expansions when there are no AI keywords
+ * @returns {Object} { valid: [], reject: [] } lower-case labels
+ */
+function buildLabelSets(searchTerm, dynamicKeywords = null, ruleSets = []) {
+    const ruleRejects = ruleSets.flatMap(ruleSet => ruleSet.rejectLabels);
+
+    if (dynamicKeywords && dynamicKeywords.valid && dynamicKeywords.reject) {
+        return {
+            valid: dynamicKeywords.valid.map(l => l.toLowerCase()),
+            reject: [...new Set([...dynamicKeywords.reject.map(l => l.toLowerCase()), ...ruleRejects])]
+        };
+    }
+
+    const searchWords = (searchTerm || '').toLowerCase().split(/[\s+]+/).filter(w => w.length > 2);
+    const valid = new Set();
+    searchWords.forEach(word => {
+        valid.add(word);
+        ruleSets.forEach(ruleSet => {
+            Object.entries(ruleSet.labelExpansions).forEach(([key, related]) => {
+                if (word.includes(key) || key.includes(word)) {
+                    related.forEach(label => valid.add(label));
+                }
+            });
+        });
+    });
+
+    return { valid: Array.from(valid), reject: [...new Set(ruleRejects)] };
+}
+
+const labelsOverlap = (a, b) => a.includes(b) || b.includes(a);
+
+/**
+ * Match detected labels against the label sets. Reject labels are checked
+ * first so e.g. pillows are caught in a throw search.
+ * @param {Array<string>} detectedLabels - Labels from the provider
+ * @param {Object} labelSets - { valid, reject }
+ * @returns {Object} { passed, matched: [], rejectedBy: [] }
+ */
+function matchLabels(detectedLabels, { valid, reject }) {
+    const rejectedBy = detectedLabels.filter(label => reject.some(r => labelsOverlap(label, r)));
+    if (rejectedBy.length > 0) {
+        return { passed: false, matched: [], rejectedBy };
+    }
+
+    const matched = detectedLabels.filter(label => valid.some(v => labelsOverlap(label, v)));
+    return { passed: matched.length > 0, matched, rejectedBy: [] };
+}
+
+// Retry wrapper with exponential backoff
+async function withRetry(fn, maxRetries = 3, baseDelayMs = 1000) {
+    let lastError;
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            lastError = error;
+            const isRetryable = error.code === 'ECONNRESET' ||
+                error.code === 'ETIMEDOUT' ||
+                error.code === 'ECONNREFUSED' ||
+                error.message?.includes('timeout') ||
+                error.message?.includes('429') ||
+                (error.response?.status >= 500);
+
+            if (!isRetryable || attempt === maxRetries) {
+                throw error;
+            }
+
+            const delay = baseDelayMs * Math.pow(2, attempt - 1);
+            console.log(`  ⚠️ Retry ${attempt}/${maxRetries} after ${delay}ms: ${error.message}`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+    throw lastError;
+}
+
+/**
+ * Download an image
+ * @param {string} imageUrl - Image URL
+ * @returns {Promise<Buffer>} Image bytes
+ */
+async function downloadImage(imageUrl) {
+    const response = await axios.get(imageUrl, {
+        responseType: 'arraybuffer',
+        timeout: 15000,
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+        }
+    });
+    return Buffer.from(response.data);
+}
+
+/**
+ * Run a provider analysis through the image cache: a known URL skips the
+ * download, a known picture (same perceptual hash) skips the provider
+ * @param {Object} provider - Active provider
+ * @param {string} imageUrl - Product image URL
+ * @param {string} key - Analysis key (see image-cache analysisKey)
+ * @param {Function} analyze - async (imageBuffer) => result
+ * @returns {Promise<Object>} { result, cache: 'url' | 'hash' | 'miss' | null } (null = not cacheable)
+ */
+async function cachedAnalysis(provider, imageUrl, key, analyze) {
+    // Providers that never look at the pixels are cheap and have nothing to hash
+    if (!provider.needsImage) {
+        return { result: await withRetry(() => analyze(null)), cache: null };
+    }
+    if (!isImageCacheEnabled()) {
+        const imageBuffer = await withRetry(() => downloadImage(imageUrl));
+        return { result: await withRetry(() => analyze(imageBuffer)), cache: null };
+    }
+
+    const byUrl = await lookupByUrl(imageUrl, key);
+    if (byUrl !== undefined) return { result: byUrl, cache: 'url' };
+
+    const imageBuffer = await withRetry(() => downloadImage(imageUrl));
+
+    let hash = null;
+    try {
+        hash = await hashImage(imageBuffer);
+        await rememberUrl(imageUrl, hash);
+    } catch (err) {
+        console.warn(`[Image Classifier] Could not hash ${imageUrl}: ${err.message} - not caching`);
+    }
+
+    if (hash) {
+        const byHash = await lookupByHash(hash, key);
+        if (byHash !== undefined) return { result: byHash, cache: 'hash' };
+    }
+
+    const result = await withRetry(() => analyze(imageBuffer));
+    if (hash) await storeResult(hash, key, result);
+    return { result, cache: hash ? 'miss' : null };
+}
+
+/**
+ * Classify one product image for a search
+ * @param {string} imageUrl - Product image URL
+ * @param {Object} options
+ * @param {string} options.searchTerm - Search keyword
+ * @param {Object} options.dynamicKeywords - AI-generated { valid, reject } (optional)
+ * @param {Array} options.ruleSets - Filter rule sets matching the search (optional)
+ * @param {number} options.threshold - Similarity cut-off for this search (similarity mode)
+ * @returns {Promise<Object>} { passed, borderline, provider, mode, score, labels: [{ label, score }], matched, rejectedBy, cache, error, reason }
+ *   score is the image-search similarity in similarity mode, else null;
+ *   borderline is true when the verdict is low-confidence;
+ *   cache is 'url' / 'hash' (hit), 'miss' or null (not cached);
+ *   reason is a short human-readable explanation of the verdict
+ */
+async function classifyProductImage(imageUrl, { searchTerm, dynamicKeywords = null, ruleSets = [], threshold = DEFAULT_RELEVANCE_THRESHOLD } = {}) {
+    const provider = getImageClassifier();
+    const empty = { mode: MATCH_MODE, borderline: false, score: null, labels: [], matched: [], rejectedBy: [], cache: null, error: null };
+    if (!provider) {
+        return { ...empty, passed: true, provider: null, reason: 'Image checks off' };
+    }
+    const errorReason = message => `Classifier error, ${ON_ERROR === 'pass' ? 'passed' : 'rejected'} by default: ${message}`;
+
+    if (MATCH_MODE === 'similarity') {
+        try {
+            const { result: score, cache } = await cachedAnalysis(
+                provider,
+                imageUrl,
+                analysisKey(provider.name, 'similarity', searchTerm),
+                imageBuffer => provider.similarity({ imageUrl, imageBuffer }, searchTerm)
+            );
+            recordCacheOutcome(cache);
+            const rounded = Math.round(score * 10000) / 10000;
+            const passed = score >= threshold;
+            return {
+                ...empty,
+                passed,
+                borderline: Math.abs(score - threshold) < REVIEW_MARGIN,
+                provider: provider.name,
+                score: rounded,
+                cache,
+                reason: `Relevance ${rounded} ${passed ? '>=' : '<'} threshold ${threshold}`
+            };
+        } catch (error) {
+            console.error(`[Image Classifier] ${provider.name} similarity error: ${error.message} - ${ON_ERROR === 'pass' ? 'passing' : 'rejecting'} product`);
+            return { ...empty, passed: ON_ERROR === 'pass', borderline: true, provider: provider.name, error: error.message, reason: errorReason(error.message) };
+        }
+    }
+
+    const labelSets = buildLabelSets(searchTerm, dynamicKeywords, ruleSets);
+
+    try {
+        const candidateLabels = [...new Set([...labelSets.valid, ...labelSets.reject])];
+        const { result: labels, cache } = await cachedAnalysis(
+            provider,
+            imageUrl,
+            // Only providers that score the candidates (CLIP) give different labels per search
+            analysisKey(provider.name, 'labels', provider.usesCandidateLabels ? candidateLabels : null),
+            imageBuffer => provider.classify({ imageUrl, imageBuffer, candidateLabels })
+        );
+        recordCacheOutcome(cache);
+
+        const result = matchLabels(labels.map(l => l.label), labelSets);
+        let reason;
+        if (result.rejectedBy.length > 0) {
+            reason = `Reject label "${result.rejectedBy[0]}"`;
+        } else if (result.passed) {
+            reason = `Matched label "${result.matched[0]}"`;
+        } else {
+            const seen = labels.slice(0, 5).map(l => l.label).join(', ');
+            reason = seen ? `No valid label (saw: ${seen})` : 'No labels detected';
+        }
+        // Confidence of the labels that decided it; a plain "no valid label" miss counts as sure
+        const deciding = result.rejectedBy.length > 0 ? result.rejectedBy : result.matched;
+        const decidingScores = labels.filter(l => deciding.includes(l.label)).map(l => l.score);
+        const borderline = decidingScores.length > 0 && Math.max(...decidingScores) < REVIEW_MIN_CONFIDENCE;
+
+        return { ...empty, ...result, borderline, provider: provider.name, labels, cache, reason };
+
+    } catch (error) {
+        console.error(`[Image Classifier] ${provider.name} error: ${error.message} - ${ON_ERROR === 'pass' ? 'passing' : 'rejecting'} product`);
+        return { ...empty, passed: ON_ERROR === 'pass', borderline: true, provider: provider.name, error: error.message, reason: errorReason(error.message) };
+    }
+}
+
+/**
+ * Judge a product on several images and combine the verdicts by vote.
+ * Images are classified in order and stop once the outcome is certain
+ * (any: first pass, all: first fail, majority: more than half either way).
+ * @param {Array<string>} imageUrls - Product images, main image first
+ * @param {Object} options - classifyProductImage options, plus:
+ * @param {string} options.voteMode - 'any', 'majority' or 'all' (default IMAGE_VOTE_MODE)
+ * @returns {Promise<Object>} { passed, borderline, provider, mode, score, voteMode, decidedBy, reason, votes: [{ image, passed, borderline, score, labels, matched, rejectedBy, cache, error, reason }] }
+ *   decidedBy is the image whose vote settled the outcome (borderline if its vote was);
+ *   score is the best image score (similarity mode)
+ */
+async function classifyProductImages(imageUrls, { voteMode = DEFAULT_VOTE_MODE, ...options } = {}) {
+    const images = [...new Set(imageUrls.filter(Boolean))];
+    const mode = VOTE_MODES.includes(voteMode) ? voteMode : DEFAULT_VOTE_MODE;
+    const needed = mode === 'any' ? 1 : mode === 'all' ? images.length : Math.floor(images.length / 2) + 1;
+
+    const votes = [];
+    let passed = false;
+    let decidedBy = null;
+    let provider = null;
+
+    for (const image of images) {
+        const result = await classifyProductImage(image, options);
+        provider = result.provider;
+        votes.push({
+            image,
+            passed: result.passed,
+            borderline: result.borderline,
+            score: result.score,
+            labels: result.labels,
+            matched: result.matched,
+            rejectedBy: result.rejectedBy,
+            cache: result.cache,
+            error: result.error,
+            reason: result.reason
+        });
+
+        const passes = votes.filter(v => v.passed).length;
+        const fails = votes.length - passes;
+        if (passes >= needed || fails > images.length - needed) {
+            passed = passes >= needed;
+            decidedBy = image;
+            break;
+        }
+    }
+
+    const scores = votes.map(v => v.score).filter(score => score !== null && score !== undefined);
+    const decidingVote = votes.find(v => v.image === decidedBy);
+    let reason = decidingVote ? decidingVote.reason : 'No image to check';
+    if (images.length > 1 && decidingVote) {
+        const passes = votes.filter(v => v.passed).length;
+        reason = `${passes}/${votes.length} images passed (${mode} vote); image ${votes.length} decided: ${reason}`;
+    }
+
+    return {
+        passed,
+        borderline: decidingVote ? decidingVote.borderline : false,
+        provider,
+        mode: MATCH_MODE,
+        score: scores.length > 0 ? Math.max(...scores) : null,
+        voteMode: mode,
+        decidedBy,
+        reason,
+        votes
+    };
+}
+
+module.exports = {
+    getImageClassifier,
+    describeImageClassifier,
+    getImageMatchSettings,
+    buildLabelSets,
+    matchLabels,
+    downloadImage,
+    classifyProductImage,
+    classifyProductImages
+};
@@ -0,0 +1,87 @@
+/**
+ * Google Vision Image Classifier
+ * Label detection via a service account (@google-cloud/vision) or,
+ * failing that, the REST API with GOOGLE_VISION_API_KEY
+ */
+
+const fs = require('fs');
+const axios = require('axios');
+
+const GOOGLE_VISION_API_KEY = process.env.GOOGLE_VISION_API_KEY || '';
+const GOOGLE_CREDENTIALS_JSON = process.env.GOOGLE_CREDENTIALS_JSON || '';
+const MAX_LABELS = 15;
+
+// If service account JSON provided as env var, write to file
+if (GOOGLE_CREDENTIALS_JSON) {
+    try {
+        // Parse and re-stringify to validate JSON and handle escaped characters
+        let credentials;
+        try {
+            credentials = JSON.parse(GOOGLE_CREDENTIALS_JSON);
+        } catch (parseErr) {
+            // Try replacing escaped newlines first
+            credentials = JSON.parse(GOOGLE_CREDENTIALS_JSON.replace(/\\n/g, '\n'));
+        }
+
+        fs.writeFileSync('./google-credentials.json', JSON.stringify(credentials, null, 2));
+        process.env.GOOGLE_APPLICATION_CREDENTIALS = './google-credentials.json';
+        console.log('✅ Google Vision credentials loaded from JSON');
+    } catch (e) {
+        console.error('Failed to parse/write credentials:', e.message);
+    }
+}
+
+let client = null; // One ImageAnnotatorClient for the whole process
+
+function hasServiceAccount() {
+    return Boolean(process.env.GOOGLE_APPLICATION_CREDENTIALS);
+}
+
+module.exports = {
+    name: 'google-vision',
+    needsImage: true,
+
+    isConfigured() {
+        return hasServiceAccount() || Boolean(GOOGLE_VISION_API_KEY);
+    },
+
+    describe() {
+        return hasServiceAccount() ? 'Google Vision (service account)' : 'Google Vision (API key)';
+    },
+
+    /**
+     * @param {Object} input - { imageBuffer }
+     * @returns {Promise<Array>} [{ label, score }]
+     */
+    async classify({ imageBuffer }) {
+        let annotations = [];
+
+        // Try service account first, fallback to API key
+        if (hasServiceAccount()) {
+            if (!client) {
+                const vision = require('@google-cloud/vision');
+                client = new vision.ImageAnnotatorClient();
+            }
+            const [result] = await client.labelDetection({ image: { content: imageBuffer } });
+            annotations = result.labelAnnotations || [];
+        } else {
+            const response = await axios.post(
+                `https://vision.googleapis.com/v1/images:annotate?key=${GOOGLE_VISION_API_KEY}`,
+                {
+                    requests: [{
+                        image: { content: imageBuffer.toString('base64') },
+                        features: [{ type: 'LABEL_DETECTION', maxResults: MAX_LABELS }]
+                    }]
+                },
+                { timeout: 15000 }
+            );
+            const annotated = response.data.responses[0] || {};
+            if (annotated.error) {
+                throw new Error(`Vision API Error: ${annotated.error.message}`);
+            }
+            annotations = annotated.labelAnnotations || [];
+        }
+
+        return annotations.map(a => ({ label: a.description.toLowerCase(), score: a.score }));
+    }
+};
@@ -0,0 +1,166 @@
+/**
+ * Local CLIP Image Classifier
+ * CLIP on CPU in ONNX format via @huggingface/transformers (optional
+ * dependency). Images and text are embedded into the same space, which
+ * gives both zero-shot labels (image vs. each candidate label) and a
+ * direct image-search similarity score - no per-image cloud cost.
+ *
+ * Offline use: put the model under LOCAL_CLIP_MODEL_DIR and set
+ * LOCAL_CLIP_ALLOW_DOWNLOAD=false.
+ */
+
+const path = require('path');
+
+const MODEL_ID = process.env.LOCAL_CLIP_MODEL || 'Xenova/clip-vit-base-patch32';
+const MODEL_DIR = process.env.LOCAL_CLIP_MODEL_DIR || path.join(__dirname, '..', 'models');
+const ALLOW_DOWNLOAD = process.env.LOCAL_CLIP_ALLOW_DOWNLOAD !== 'false';
+// Labels scoring at least this (softmax over the candidates) count as detected
+const MIN_SCORE = parseFloat(process.env.LOCAL_CLIP_MIN_SCORE) || 0.15;
+const PROMPT_TEMPLATE = 'a product photo of {}';
+const LOGIT_SCALE = 100; // CLIP's learned temperature for zero-shot softmax
+const MAX_TEXT_CACHE = 500;
+
+let transformersAvailable = null;
+let modelPromise = null; // Models load once, on first use
+const textEmbeddingCache = new Map(); // prompt -> normalized embedding
+
+function hasTransformers() {
+    if (transformersAvailable === null) {
+        try {
+            require.resolve('@huggingface/transformers');
+            transformersAvailable = true;
+        } catch (err) {
+            transformersAvailable = false;
+        }
+    }
+    return transformersAvailable;
+}
+
+function loadModels() {
+    if (!modelPromise) {
+        modelPromise = (async () => {
+            const transformers = await import('@huggingface/transformers');
+            const { env, AutoTokenizer, AutoProcessor, CLIPTextModelWithProjection, CLIPVisionModelWithProjection, RawImage } = transformers;
+            env.localModelPath = MODEL_DIR;
+            env.cacheDir = MODEL_DIR;
+            env.allowRemoteModels = ALLOW_DOWNLOAD;
+
+            console.log(`[Local CLIP] Loading ${MODEL_ID} (CPU)...`);
+            const [tokenizer, textModel, processor, visionModel] = await Promise.all([
+                AutoTokenizer.from_pretrained(MODEL_ID),
+                CLIPTextModelWithProjection.from_pretrained(MODEL_ID, { device: 'cpu' }),
+                AutoProcessor.from_pretrained(MODEL_ID),
+                CLIPVisionModelWithProjection.from_pretrained(MODEL_ID, { device: 'cpu' })
+            ]);
+            console.log('[Local CLIP] ✓ Model ready');
+            return { tokenizer, textModel, processor, visionModel, RawImage };
+        })().catch(err => {
+            modelPromise = null; // Let the next image retry the load
+            throw err;
+        });
+    }
+    return modelPromise;
+}
+
+function normalize(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return Array.from(vector, v => v / norm);
+}
+
+function cosine(a, b) {
+    return a.reduce((sum, v, i) => sum + v * b[i], 0);
+}
+
+/**
+ * Embed an image
+ * @param {Buffer} imageBuffer - Image bytes
+ * @returns {Promise<Array<number>>} Unit-length embedding
+ */
+async function embedImage(imageBuffer) {
+    const { processor, visionModel, RawImage } = await loadModels();
+    const image = await RawImage.fromBlob(new Blob([imageBuffer]));
+    const inputs = await processor(image);
+    const { image_embeds } = await visionModel(inputs);
+    return normalize(image_embeds.data);
+}
+
+/**
+ * Embed text as a product-photo prompt (cached per prompt)
+ * @param {string} text - Label or search term
+ * @returns {Promise<Array<number>>} Unit-length embedding
+ */
+async function embedText(text) {
+    const prompt = PROMPT_TEMPLATE.replace('{}', text.toLowerCase().trim());
+    if (textEmbeddingCache.has(prompt)) return textEmbeddingCache.get(prompt);
+
+    const { tokenizer, textModel } = await loadModels();
+    const inputs = tokenizer([prompt], { padding: true, truncation: true });
+    const { text_embeds } = await textModel(inputs);
+    const embedding = normalize(text_embeds.data);
+
+    if (textEmbeddingCache.size >= MAX_TEXT_CACHE) {
+        textEmbeddingCache.delete(textEmbeddingCache.keys().next().value);
+    }
+    textEmbeddingCache.set(prompt, embedding);
+    return embedding;
+}
+
+/**
+ * Cosine similarity between an image and a text in CLIP space
+ * @param {Object} input - { imageBuffer }
+ * @param {string} text - Search term
+ * @returns {Promise<number>} Similarity (-1..1; matching product photos typically score 0.25-0.35)
+ */
+async function similarity({ imageBuffer }, text) {
+    const [imageEmbedding, textEmbedding] = await Promise.all([embedImage(imageBuffer), embedText(text)]);
+    return cosine(imageEmbedding, textEmbedding);
+}
+
+/**
+ * Zero-shot scores for an image against candidate labels
+ * @param {Buffer} imageBuffer - Image bytes
+ * @param {Array<string>} candidateLabels - Labels to score
+ * @returns {Promise<Array>} [{ label, score }] softmax scores, best first
+ */
+async function scoreLabels(imageBuffer, candidateLabels) {
+    const imageEmbedding = await embedImage(imageBuffer);
+    const logits = [];
+    for (const label of candidateLabels) {
+        logits.push(LOGIT_SCALE * cosine(imageEmbedding, await embedText(label)));
+    }
+
+    const max = Math.max(...logits);
+    const exps = logits.map(l => Math.exp(l - max));
+    const total = exps.reduce((sum, e) => sum + e, 0);
+
+    return candidateLabels
+        .map((label, i) => ({ label: label.toLowerCase(), score: exps[i] / total }))
+        .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+    name: 'local-clip',
+    needsImage: true,
+    usesCandidateLabels: true, // Labels are scores against the candidates, not fixed per image
+    similarity,
+
+    isConfigured() {
+        return hasTransformers();
+    },
+
+    describe() {
+        return `Local CLIP (${MODEL_ID}, CPU)`;
+    },
+
+    /**
+     * @param {Object} input - { imageBuffer, candidateLabels }
+     * @returns {Promise<Array>} [{ label, score }] - the top label plus any above LOCAL_CLIP_MIN_SCORE
+     */
+    async classify({ imageBuffer, candidateLabels }) {
+        if (!candidateLabels || candidateLabels.length === 0) {
+            throw new Error('Local CLIP needs candidate labels to score against');
+        }
+        const scored = await scoreLabels(imageBuffer, candidateLabels);
+        return scored.filter((r, i) => i === 0 || r.score >= MIN_SCORE);
+    }
+};
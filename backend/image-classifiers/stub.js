@@ -0,0 +1,63 @@
+/**
+ * Stub Image Classifier
+ * Deterministic, offline classifier for tests and dry runs. Never downloads
+ * the image: it "detects" the words in the image URL's file name, plus any
+ * labels listed in IMAGE_CLASSIFIER_STUB_LABELS (comma-separated). Its
+ * similarity score is the share of search words found among those labels.
+ */
+
+const STUB_LABELS = (process.env.IMAGE_CLASSIFIER_STUB_LABELS || '')
+    .split(',')
+    .map(label => label.trim().toLowerCase())
+    .filter(Boolean);
+
+function fileNameWords(imageUrl) {
+    let fileName = '';
+    try {
+        fileName = new URL(imageUrl).pathname.split('/').pop() || '';
+    } catch (err) {
+        fileName = String(imageUrl || '');
+    }
+    return fileName
+        .replace(/\.[a-z0-9]+$/i, '')
+        .toLowerCase()
+        .split(/[^a-z]+/)
+        .filter(word => word.length > 2);
+}
+
+function stubLabels(imageUrl) {
+    return [...new Set([...fileNameWords(imageUrl), ...STUB_LABELS])];
+}
+
+module.exports = {
+    name: 'stub',
+    needsImage: false,
+
+    isConfigured() {
+        return true;
+    },
+
+    describe() {
+        return 'Stub (labels from image file name)';
+    },
+
+    /**
+     * @param {Object} input - { imageUrl }
+     * @returns {Promise<Array>} [{ label, score: 1 }]
+     */
+    async classify({ imageUrl }) {
+        return stubLabels(imageUrl).map(label => ({ label, score: 1 }));
+    },
+
+    /**
+     * @param {Object} input - { imageUrl }
+     * @param {string} text - Search term
+     * @returns {Promise<number>} 0..1
+     */
+    async similarity({ imageUrl }, text) {
+        const words = String(text || '').toLowerCase().split(/[^a-z]+/).filter(word => word.length > 2);
+        if (words.length === 0) return 0;
+        const labels = stubLabels(imageUrl);
+        return words.filter(word => labels.includes(word)).length / words.length;
+    }
+};
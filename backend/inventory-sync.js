@@ -0,0 +1,293 @@
+/**
+ * Inventory Sync
+ * Periodically checks CJ stock for every uploaded product and keeps the
+ * Shopify listing in step: products whose CJ stock drops below the
+ * threshold are set to DRAFT (and re-activated when stock returns), and
+ * in `inventory` mode each variant's Shopify quantity mirrors CJ stock.
+ */
+
+const { getCJStockBySku } = require('./cj-api-scraper');
+const { isCJAuthConfigured, getAccessToken } = require('./cj-auth');
+const { shopifyGraphQL, cleanStoreDomain } = require('./shopify-admin');
+const { listStores, listMappings, updateMapping, updateMappedVariant, saveProductMap } = require('./product-map');
+
+const SYNC_INTERVAL_MINUTES = parseInt(process.env.INVENTORY_SYNC_INTERVAL_MINUTES, 10);
+const DEFAULT_SYNC_INTERVAL_MINUTES = 60;
+const DEFAULT_STOCK_THRESHOLD = parseInt(process.env.INVENTORY_SYNC_THRESHOLD, 10) || 5;
+const DEFAULT_SYNC_MODE = process.env.INVENTORY_SYNC_MODE === 'inventory' ? 'inventory' : 'draft';
+
+let syncChain = Promise.resolve(); // Syncs run one at a time, each with its own options
+let activeSyncs = 0;    // Syncs running or waiting their turn
+let lastRun = null;     // Summary of the last finished sync
+let syncTimer = null;
+
+const PRODUCT_STATUS_QUERY = `
+    query ProductStatus($id: ID!) {
+        product(id: $id) { status }
+    }
+`;
+
+const PRODUCT_STATUS_MUTATION = `
+    mutation SetProductStatus($product: ProductUpdateInput!) {
+        productUpdate(product: $product) {
+            product { id status }
+            userErrors { field message }
+        }
+    }
+`;
+
+const TRACK_INVENTORY_MUTATION = `
+    mutation TrackInventory($id: ID!, $locationId: ID!) {
+        inventoryItemUpdate(id: $id, input: { tracked: true }) {
+            userErrors { field message }
+        }
+        inventoryActivate(inventoryItemId: $id, locationId: $locationId) {
+            userErrors { field message }
+        }
+    }
+`;
+
+const SET_QUANTITIES_MUTATION = `
+    mutation SetQuantities($input: InventorySetQuantitiesInput!) {
+        inventorySetQuantities(input: $input) {
+            userErrors { field message }
+        }
+    }
+`;
+
+function throwUserErrors(result) {
+    const userErrors = result?.userErrors || [];
+    if (userErrors.length > 0) {
+        throw new Error(userErrors.map(e => e.message).join(', '));
+    }
+}
+
+/**
+ * Current CJ stock for each mapped variant of a product
+ * @param {Object} mapping - Product mapping (see product-map.js)
+ * @param {string} cjToken - CJ API token
+ * @returns {Promise<Object>} { total, variants: [{ ...variant, stock }] } - stock null if CJ failed
+ */
+async function fetchProductStock(mapping, cjToken) {
+    const variants = [];
+    for (const variant of mapping.variants) {
+        const sku = variant.sku || mapping.sku;
+        if (!sku) {
+            variants.push({ ...variant, stock: null });
+            continue;
+        }
+        const result = await getCJStockBySku(sku, cjToken);
+        variants.push({ ...variant, stock: result.success ? result.stock : null });
+    }
+
+    const known = variants.filter(v => v.stock !== null);
+    return {
+        total: known.length > 0 ? known.reduce((sum, v) => sum + v.stock, 0) : null,
+        variants
+    };
+}
+
+// The product's status on Shopify now (the mapping's copy misses merchant edits); null if it's gone
+async function getProductStatus(shop, productId) {
+    const data = await shopifyGraphQL(shop, PRODUCT_STATUS_QUERY, { id: productId });
+    return data.product?.status || null;
+}
+
+async function setProductStatus(shop, productId, status) {
+    const data = await shopifyGraphQL(shop, PRODUCT_STATUS_MUTATION, { product: { id: productId, status } });
+    throwUserErrors(data.productUpdate);
+}
+
+async function getPrimaryLocationId(shop) {
+    const data = await shopifyGraphQL(shop, '{ location { id } }');
+    return data.location?.id || null;
+}
+
+/**
+ * Mirror CJ stock into Shopify quantities at the store's primary location.
+ * Variants created untracked are switched to tracked and stocked there first.
+ */
+async function setVariantQuantities(shop, pid, locationId, variants) {
+    const quantities = [];
+    for (const variant of variants) {
+        if (!variant.inventoryItemId || variant.stock === null) continue;
+
+        if (!variant.tracked) {
+            const data = await shopifyGraphQL(shop, TRACK_INVENTORY_MUTATION, { id: variant.inventoryItemId, locationId });
+            throwUserErrors(data.inventoryItemUpdate);
+            throwUserErrors(data.inventoryActivate);
+            await updateMappedVariant(shop.store, pid, variant.shopifyVariantId, { tracked: true });
+        }
+
+        quantities.push({ inventoryItemId: variant.inventoryItemId, locationId, quantity: variant.stock });
+    }
+
+    if (quantities.length === 0) return 0;
+
+    const data = await shopifyGraphQL(shop, SET_QUANTITIES_MUTATION, {
+        input: {
+            name: 'available',
+            reason: 'correction',
+            ignoreCompareQuantity: true,
+            quantities
+        }
+    });
+    throwUserErrors(data.inventorySetQuantities);
+    return quantities.length;
+}
+
+async function syncStore(shop, { threshold, mode }, cjToken, summary) {
+    const mappings = await listMappings(shop.store);
+    const locationId = mode === 'inventory' ? await getPrimaryLocationId(shop) : null;
+
+    for (const mapping of mappings) {
+        try {
+            const { total, variants } = await fetchProductStock(mapping, cjToken);
+            summary.checked++;
+
+            if (total === null) {
+                summary.failed++;
+                summary.errors.push({ store: shop.store, pid: mapping.pid, error: 'CJ stock unavailable' });
+                continue;
+            }
+
+            const patch = { lastStock: total, lastSyncedAt: new Date().toISOString() };
+
+            if (locationId) {
+                summary.inventoryUpdated += await setVariantQuantities(shop, mapping.pid, locationId, variants);
+            }
+
+            const wantsDraft = total < threshold;
+            const mayReactivate = !wantsDraft && mapping.draftedBySync;
+            if (wantsDraft || mayReactivate) {
+                const liveStatus = await getProductStatus(shop, mapping.shopifyProductId);
+                if (liveStatus) patch.status = liveStatus;
+
+                if (wantsDraft && liveStatus === 'ACTIVE') {
+                    await setProductStatus(shop, mapping.shopifyProductId, 'DRAFT');
+                    Object.assign(patch, { status: 'DRAFT', draftedBySync: true });
+                    summary.drafted++;
+                    console.log(`[Inventory Sync] ⬇ ${mapping.title} drafted (CJ stock ${total} < ${threshold})`);
+                } else if (mayReactivate && liveStatus === 'DRAFT') {
+                    // Only re-activate products we drafted, never ones the merchant drafted
+                    await setProductStatus(shop, mapping.shopifyProductId, 'ACTIVE');
+                    Object.assign(patch, { status: 'ACTIVE', draftedBySync: false });
+                    summary.reactivated++;
+                    console.log(`[Inventory Sync] ⬆ ${mapping.title} re-activated (CJ stock ${total})`);
+                } else if (mayReactivate) {
+                    // The merchant changed the status since we drafted it, so it's theirs to manage
+                    patch.draftedBySync = false;
+                }
+            }
+
+            await updateMapping(shop.store, mapping.pid, patch);
+        } catch (error) {
+            summary.failed++;
+            summary.errors.push({ store: shop.store, pid: mapping.pid, error: error.message });
+            console.error(`[Inventory Sync] ❌ ${mapping.pid} on ${shop.store}:`, error.message);
+        }
+    }
+
+    await saveProductMap();
+}
+
+/**
+ * Run one sync over every store (or one store). A call made while another
+ * sync is running waits for it, then runs with its own options.
+ * @param {string} cjToken - CJ API token
+ * @param {Object} options
+ * @param {string} options.store - Only sync this store (optional)
+ * @param {number} options.threshold - Draft products whose CJ stock is below this
+ * @param {string} options.mode - 'draft' (status only) or 'inventory' (also set quantities)
+ * @returns {Promise<Object>} Summary { startedAt, finishedAt, stores, checked, drafted, reactivated, inventoryUpdated, failed, errors }
+ */
+function runInventorySync(cjToken, { store = null, threshold = DEFAULT_STOCK_THRESHOLD, mode = DEFAULT_SYNC_MODE } = {}) {
+    activeSyncs++;
+    const run = syncChain.then(async () => {
+        const summary = {
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            threshold,
+            mode,
+            stores: 0,
+            checked: 0,
+            drafted: 0,
+            reactivated: 0,
+            inventoryUpdated: 0,
+            failed: 0,
+            errors: []
+        };
+
+        const stores = (await listStores()).filter(s => !store || s.store === cleanStoreDomain(store));
+        console.log(`[Inventory Sync] Syncing ${stores.length} store(s), threshold ${threshold}, mode ${mode}`);
+
+        for (const shop of stores) {
+            summary.stores++;
+            try {
+                if (!shop.token) {
+                    throw new Error('No Admin API token - upload to the store again or set SHOPIFY_STORE_TOKENS');
+                }
+                await syncStore(shop, { threshold, mode }, cjToken, summary);
+            } catch (error) {
+                summary.errors.push({ store: shop.store, error: error.message });
+                console.error(`[Inventory Sync] ❌ Store ${shop.store} failed:`, error.message);
+            }
+        }
+
+        summary.finishedAt = new Date().toISOString();
+        console.log(`[Inventory Sync] Done: ${summary.checked} checked, ${summary.drafted} drafted, ${summary.reactivated} re-activated, ${summary.failed} failed`);
+        lastRun = summary;
+        return summary;
+    });
+    syncChain = run.catch(() => {});
+
+    return run.finally(() => {
+        activeSyncs--;
+    });
+}
+
+/**
+ * Sync state for the status endpoint
+ * @returns {Object} { running, queued, lastRun, intervalMinutes, threshold, mode }
+ */
+function getInventorySyncStatus() {
+    return {
+        running: activeSyncs > 0,
+        queued: Math.max(0, activeSyncs - 1),
+        lastRun,
+        intervalMinutes: Number.isNaN(SYNC_INTERVAL_MINUTES) ? DEFAULT_SYNC_INTERVAL_MINUTES : SYNC_INTERVAL_MINUTES,
+        threshold: DEFAULT_STOCK_THRESHOLD,
+        mode: DEFAULT_SYNC_MODE
+    };
+}
+
+/**
+ * Start the periodic sync (INVENTORY_SYNC_INTERVAL_MINUTES, 0 disables)
+ * Each run uses the current CJ access token (see cj-auth.js)
+ * @returns {boolean} True if scheduled
+ */
+function scheduleInventorySync() {
+    const { intervalMinutes } = getInventorySyncStatus();
+    if (!isCJAuthConfigured() || intervalMinutes <= 0 || syncTimer) return false;
+
+    syncTimer = setInterval(() => {
+        // Don't stack scheduled runs behind a sync that outlasts the interval
+        if (activeSyncs > 0) {
+            console.log('[Inventory Sync] Previous sync still running, skipping this run');
+            return;
+        }
+        getAccessToken()
+            .then(cjToken => runInventorySync(cjToken))
+            .catch(err => console.error('[Inventory Sync] Scheduled sync failed:', err.message));
+    }, intervalMinutes * 60 * 1000);
+    syncTimer.unref();
+
+    console.log(`[Inventory Sync] Scheduled every ${intervalMinutes} min`);
+    return true;
+}
+
+module.exports = {
+    runInventorySync,
+    getInventorySyncStatus,
+    scheduleInventorySync
+};
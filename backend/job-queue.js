@@ -0,0 +1,166 @@
+/**
+ * Scrape Job Queue
+ * Runs persisted scrape jobs in the background with limited concurrency
+ * and picks unfinished jobs back up after a restart
+ */
+
+const { JOB_STATUS, getJob, saveJob, loadUnfinishedJobs } = require('./job-store');
+const { emitScrapeEvent } = require('./scrape-events');
+
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 1;
+
+const pendingJobIds = [];
+const runningJobIds = new Set();
+const waiters = new Map(); // jobId -> [resolve]
+
+let jobHandler = null;
+
+function isFinished(job) {
+    return job.status === JOB_STATUS.COMPLETED ||
+        job.status === JOB_STATUS.FAILED ||
+        job.status === JOB_STATUS.CANCELLED;
+}
+
+function notifyWaiters(job) {
+    emitScrapeEvent(job.id, 'done', {
+        status: job.status,
+        error: job.error,
+        filtered: job.result ? job.result.filtered : null
+    });
+
+    const resolvers = waiters.get(job.id) || [];
+    waiters.delete(job.id);
+    resolvers.forEach(resolve => resolve(job));
+}
+
+/**
+ * Set the function that does the actual work for a job.
+ * The handler receives the job, may checkpoint it with saveJob(),
+ * and should set job.result before returning.
+ * @param {Function} handler - async (job) => void
+ */
+function setJobHandler(handler) {
+    jobHandler = handler;
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} jobId - Job ID
+ */
+function enqueueJob(jobId) {
+    if (pendingJobIds.includes(jobId) || runningJobIds.has(jobId)) return;
+    pendingJobIds.push(jobId);
+    emitScrapeEvent(jobId, 'status', { status: JOB_STATUS.QUEUED, position: pendingJobIds.length });
+    drainQueue();
+}
+
+function drainQueue() {
+    while (jobHandler && runningJobIds.size < JOB_CONCURRENCY && pendingJobIds.length > 0) {
+        const jobId = pendingJobIds.shift();
+        runningJobIds.add(jobId);
+        runJob(jobId).finally(() => {
+            runningJobIds.delete(jobId);
+            drainQueue();
+        });
+    }
+}
+
+async function runJob(jobId) {
+    const job = await getJob(jobId);
+    if (!job || isFinished(job)) {
+        if (job) notifyWaiters(job);
+        return;
+    }
+
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = job.startedAt || new Date().toISOString();
+    await saveJob(job);
+    emitScrapeEvent(jobId, 'status', { status: job.status, stage: job.checkpoint.stage });
+    console.log(`[Job Queue] ▶ Running job ${jobId} (stage: ${job.checkpoint.stage})`);
+
+    try {
+        await jobHandler(job);
+        job.status = job.cancelRequested ? JOB_STATUS.CANCELLED : JOB_STATUS.COMPLETED;
+    } catch (error) {
+        job.status = job.cancelRequested ? JOB_STATUS.CANCELLED : JOB_STATUS.FAILED;
+        job.error = error.message;
+        console.error(`[Job Queue] ❌ Job ${jobId} failed:`, error.message);
+    }
+
+    job.finishedAt = new Date().toISOString();
+    await saveJob(job);
+    console.log(`[Job Queue] ■ Job ${jobId} ${job.status}`);
+    notifyWaiters(job);
+}
+
+/**
+ * Wait until a job reaches a finished state
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} The finished job
+ */
+async function waitForJob(jobId) {
+    const job = await getJob(jobId);
+    if (!job || isFinished(job)) return job;
+
+    return new Promise(resolve => {
+        if (!waiters.has(jobId)) waiters.set(jobId, []);
+        waiters.get(jobId).push(resolve);
+    });
+}
+
+/**
+ * Request cancellation of a job. Queued jobs are cancelled immediately;
+ * running jobs stop at their next cancellation check.
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>} True if the job was queued or running
+ */
+async function cancelJob(jobId) {
+    const job = await getJob(jobId);
+    if (!job || isFinished(job)) return false;
+
+    job.cancelRequested = true;
+
+    const pendingIndex = pendingJobIds.indexOf(jobId);
+    if (pendingIndex !== -1) {
+        pendingJobIds.splice(pendingIndex, 1);
+    }
+
+    if (!runningJobIds.has(jobId)) {
+        job.status = JOB_STATUS.CANCELLED;
+        job.finishedAt = new Date().toISOString();
+        notifyWaiters(job);
+    }
+
+    await saveJob(job);
+    return true;
+}
+
+/**
+ * Get IDs of all queued and running jobs
+ * @returns {Array<string>} Job IDs
+ */
+function getActiveJobIds() {
+    return [...runningJobIds, ...pendingJobIds];
+}
+
+/**
+ * Re-queue jobs that were queued or running when the process stopped
+ * @returns {Promise<number>} Number of jobs resumed
+ */
+async function resumeJobs() {
+    const unfinished = await loadUnfinishedJobs();
+    unfinished.forEach(job => {
+        console.log(`[Job Queue] ↻ Resuming job ${job.id} from stage "${job.checkpoint.stage}"`);
+        enqueueJob(job.id);
+    });
+    return unfinished.length;
+}
+
+module.exports = {
+    setJobHandler,
+    enqueueJob,
+    waitForJob,
+    cancelJob,
+    getActiveJobIds,
+    resumeJobs
+};
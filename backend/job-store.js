@@ -0,0 +1,283 @@
+/**
+ * Scrape Job Store
+ * Persists scrape jobs as JSON files under backend/cache/jobs
+ * so a browser refresh or a server restart doesn't lose a running scrape.
+ * Fetched CJ products go to an append-only <id>.pages.ndjson file (one line
+ * per page) rather than the job JSON, so checkpointing a page writes that page
+ * and not every product fetched before it.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const JOBS_DIR = path.join(__dirname, 'cache', 'jobs');
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+// Jobs in these states are picked up again after a restart
+const UNFINISHED_STATUSES = [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING];
+
+// In-memory copy of queued and running jobs; finished ones are read from disk when asked for
+const jobs = new Map();
+
+// Listing summaries (no results) of every job seen by this process
+const summaries = new Map();
+
+// Per-job write chain so two saves of the same job never interleave on disk
+const pendingWrites = new Map();
+
+function isValidJobId(jobId) {
+    return typeof jobId === 'string' && /^[\w-]+$/.test(jobId);
+}
+
+function getJobFile(jobId) {
+    return path.join(JOBS_DIR, `${jobId}.json`);
+}
+
+function isUnfinished(job) {
+    return UNFINISHED_STATUSES.includes(job.status);
+}
+
+function getPagesFile(jobId) {
+    return path.join(JOBS_DIR, `${jobId}.pages.ndjson`);
+}
+
+// Run a write after the job's earlier ones
+async function enqueueWrite(jobId, write) {
+    const previous = pendingWrites.get(jobId) || Promise.resolve();
+    const next = previous.then(write);
+    const settled = next.catch(() => {});
+    pendingWrites.set(jobId, settled);
+    try {
+        return await next;
+    } finally {
+        if (pendingWrites.get(jobId) === settled) {
+            pendingWrites.delete(jobId);
+        }
+    }
+}
+
+/**
+ * Create a new queued job and persist it
+ * @param {string} jobId - Job ID (also used as the scrape ID)
+ * @param {Object} params - Scrape request parameters
+ * @returns {Promise<Object>} The created job
+ */
+async function createJob(jobId, params) {
+    const now = new Date().toISOString();
+    const job = {
+        id: jobId,
+        status: JOB_STATUS.QUEUED,
+        params,
+        query: null,            // Parsed keyword/filters/category, set on first run
+        checkpoint: {
+            stage: 'fetch',     // fetch -> vision -> done
+            lastPage: 0,        // Last CJ page stored in `fetched`
+            lastFetchablePage: null,
+            totalRecords: 0,
+            partitions: null,   // Fan-out partitions past the offset cap, each with its own lastPage
+            pagesStored: 0,     // Lines of the pages file that belong to `fetched`
+            nextBatch: 0        // Next Vision batch to process
+        },
+        fetched: [],            // Products fetched from CJ so far (kept in the pages file)
+        passed: [],             // Products that passed Vision so far
+        result: null,
+        error: null,
+        cancelRequested: false,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null
+    };
+
+    await saveJob(job);
+    return job;
+}
+
+/**
+ * Write a job to disk (atomically, via a temp file + rename)
+ * @param {Object} job - Job to save
+ */
+async function saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    if (isUnfinished(job)) jobs.set(job.id, job);
+    summaries.set(job.id, toListingSummary(job));
+
+    await enqueueWrite(job.id, async () => {
+        await fs.mkdir(JOBS_DIR, { recursive: true });
+        const file = getJobFile(job.id);
+        await fs.writeFile(`${file}.tmp`, JSON.stringify({ ...job, fetched: undefined }));
+        await fs.rename(`${file}.tmp`, file);
+        // Only once the checkpoint no longer points at them
+        if (!job.checkpoint.pagesStored) {
+            await fs.unlink(getPagesFile(job.id)).catch(() => {});
+        }
+    }).catch(err => {
+        console.error(`[Job Store] Failed to save job ${job.id}:`, err.message);
+    });
+
+    // A finished job is on disk now; keep it out of memory
+    if (!isUnfinished(job) && jobs.get(job.id) === job) {
+        jobs.delete(job.id);
+    }
+}
+
+/**
+ * Add a page of fetched products to a job - appended to its pages file, and
+ * counted in checkpoint.pagesStored once saveJob() records the checkpoint
+ * @param {Object} job - Job
+ * @param {Array} products - Products from one CJ page
+ */
+async function appendFetched(job, products) {
+    await enqueueWrite(job.id, async () => {
+        await fs.mkdir(JOBS_DIR, { recursive: true });
+        await fs.appendFile(getPagesFile(job.id), JSON.stringify(products) + '\n');
+    });
+    job.fetched.push(...products);
+    job.checkpoint.pagesStored = (job.checkpoint.pagesStored || 0) + 1;
+}
+
+/**
+ * Drop a job's fetched products (once its result is stored); the pages file
+ * is deleted by the next saveJob()
+ * @param {Object} job - Job
+ */
+function clearFetched(job) {
+    job.fetched = [];
+    job.checkpoint.pagesStored = 0;
+}
+
+// Rebuild `fetched` from the pages file; lines past checkpoint.pagesStored were
+// appended after the last saved checkpoint and are cut off, so a resumed fetch
+// doesn't store those pages twice
+async function loadFetched(job) {
+    const stored = job.checkpoint.pagesStored || 0;
+    if (!Array.isArray(job.fetched)) job.fetched = [];
+
+    // Jobs saved before the pages file kept `fetched` in the job JSON
+    if (job.fetched.length > 0 && stored === 0) {
+        await fs.writeFile(getPagesFile(job.id), JSON.stringify(job.fetched) + '\n');
+        job.checkpoint.pagesStored = 1;
+        return;
+    }
+
+    let lines = [];
+    try {
+        lines = (await fs.readFile(getPagesFile(job.id), 'utf8')).split('\n').filter(Boolean);
+    } catch (err) {
+        return; // No pages yet
+    }
+    if (lines.length > stored) {
+        lines = lines.slice(0, stored);
+        await fs.writeFile(getPagesFile(job.id), lines.map(line => line + '\n').join(''));
+    }
+    job.fetched = lines.flatMap(line => JSON.parse(line));
+}
+
+/**
+ * Get a job by ID (from memory, falling back to disk). Only queued and
+ * running jobs stay in memory.
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job or null if not found
+ */
+async function getJob(jobId) {
+    if (!isValidJobId(jobId)) return null;
+    if (jobs.has(jobId)) return jobs.get(jobId);
+
+    try {
+        const data = await fs.readFile(getJobFile(jobId), 'utf8');
+        const job = JSON.parse(data);
+        await loadFetched(job);
+        // Another caller may have loaded it meanwhile; everyone shares one copy
+        if (jobs.has(jobId)) return jobs.get(jobId);
+        if (isUnfinished(job)) jobs.set(jobId, job);
+        summaries.set(jobId, toListingSummary(job));
+        return job;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Summaries of all jobs on disk, newest first (no results - get the job for those)
+ * @returns {Promise<Array>} Job summaries
+ */
+async function listJobSummaries() {
+    let files = [];
+    try {
+        files = await fs.readdir(JOBS_DIR);
+    } catch (err) {
+        return []; // No jobs yet
+    }
+
+    const loaded = await Promise.all(
+        files
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.basename(file, '.json'))
+            .map(async jobId => summaries.get(jobId) || (await getJob(jobId) && summaries.get(jobId)))
+    );
+
+    return loaded
+        .filter(Boolean)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Get jobs that were queued or running when the process last stopped
+ * @returns {Promise<Array>} Unfinished jobs, oldest first
+ */
+async function loadUnfinishedJobs() {
+    const unfinished = (await listJobSummaries()).filter(isUnfinished).reverse();
+    const loaded = await Promise.all(unfinished.map(summary => getJob(summary.id)));
+    return loaded.filter(Boolean);
+}
+
+/**
+ * Public view of a job - leaves out the raw fetched product list
+ * @param {Object} job - Job
+ * @returns {Object} Job summary for API responses
+ */
+function toJobSummary(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        params: job.params,
+        query: job.query,
+        progress: {
+            stage: job.checkpoint.stage,
+            pagesFetched: job.checkpoint.lastPage,
+            totalRecords: job.checkpoint.totalRecords,
+            productsFetched: job.result ? job.result.totalFetched : job.fetched.length,
+            visionBatchesDone: job.checkpoint.nextBatch,
+            passed: job.passed.length
+        },
+        result: job.result,
+        error: job.error,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    };
+}
+
+function toListingSummary(job) {
+    return { ...toJobSummary(job), result: undefined };
+}
+
+module.exports = {
+    JOB_STATUS,
+    createJob,
+    saveJob,
+    appendFetched,
+    clearFetched,
+    getJob,
+    listJobSummaries,
+    loadUnfinishedJobs,
+    toJobSummary
+};
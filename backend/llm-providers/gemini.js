@@ -0,0 +1,45 @@
+/**
+ * Gemini LLM Provider
+ * Google Gemini via @google/generative-ai (GEMINI_API_KEY), asked for a
+ * JSON response. GEMINI_MODEL picks the model (default gemini-2.0-flash).
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY || '';
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.0-flash';
+
+let model = null; // One model client for the whole process
+
+function getModel() {
+    if (!model) {
+        const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
+        model = genAI.getGenerativeModel({
+            model: GEMINI_MODEL,
+            generationConfig: { responseMimeType: 'application/json', temperature: 0.2 }
+        });
+        console.log(`[LLM] Gemini ${GEMINI_MODEL} initialized`);
+    }
+    return model;
+}
+
+module.exports = {
+    name: 'gemini',
+
+    isConfigured() {
+        return Boolean(GEMINI_API_KEY);
+    },
+
+    describe() {
+        return `Gemini (${GEMINI_MODEL})`;
+    },
+
+    /**
+     * @param {string} prompt - Prompt asking for a JSON object
+     * @returns {Promise<string>} Raw response text
+     */
+    async complete(prompt) {
+        const result = await getModel().generateContent(prompt);
+        return result.response.text();
+    }
+};
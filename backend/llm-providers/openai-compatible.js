@@ -0,0 +1,50 @@
+/**
+ * OpenAI-Compatible LLM Provider
+ * Any /chat/completions endpoint: OpenAI itself, or a local llama.cpp
+ * server / Ollama (e.g. LLM_BASE_URL=http://localhost:11434/v1). Asks for
+ * JSON mode; LLM_API_KEY is optional for local servers.
+ */
+
+const axios = require('axios');
+
+const LLM_BASE_URL = (process.env.LLM_BASE_URL || '').replace(/\/+$/, '');
+const LLM_MODEL = process.env.LLM_MODEL || 'gpt-4o-mini';
+const LLM_API_KEY = process.env.LLM_API_KEY || '';
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS, 10) || 60000;
+
+module.exports = {
+    name: 'openai',
+
+    isConfigured() {
+        return Boolean(LLM_BASE_URL);
+    },
+
+    describe() {
+        return `OpenAI-compatible (${LLM_MODEL} at ${LLM_BASE_URL})`;
+    },
+
+    /**
+     * @param {string} prompt - Prompt asking for a JSON object
+     * @returns {Promise<string>} Raw response text
+     */
+    async complete(prompt) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (LLM_API_KEY) headers.Authorization = `Bearer ${LLM_API_KEY}`;
+
+        const response = await axios.post(`${LLM_BASE_URL}/chat/completions`, {
+            model: LLM_MODEL,
+            messages: [
+                { role: 'system', content: 'You reply with a single JSON object and nothing else.' },
+                { role: 'user', content: prompt }
+            ],
+            response_format: { type: 'json_object' },
+            temperature: 0.2
+        }, { headers, timeout: LLM_TIMEOUT_MS });
+
+        const content = response.data?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw new Error('Response has no message content');
+        }
+        return content;
+    }
+};
@@ -0,0 +1,19 @@
+/**
+ * Rules-Only LLM Provider
+ * No model at all: keyword generation falls back to the filter rule sets'
+ * label expansions, and category mapping to matching search words against
+ * CJ category names. Always available.
+ */
+
+module.exports = {
+    name: 'rules',
+    rulesOnly: true,
+
+    isConfigured() {
+        return true;
+    },
+
+    describe() {
+        return 'Rules only (no LLM)';
+    }
+};
@@ -0,0 +1,318 @@
+/**
+ * Price Monitor
+ * Periodically re-checks CJ sell prices for every uploaded product, keeps a
+ * price history, and when a variant's cost moves beyond the tolerance
+ * re-applies the pricing rules the product was uploaded with (the saved rules
+ * for products recorded before those were kept) and updates the Shopify price.
+ * Also reports products whose margin has fallen below target.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getCJProductVariants } = require('./cj-api-scraper');
+const { isCJAuthConfigured, getAccessToken } = require('./cj-auth');
+const { shopifyGraphQL, cleanStoreDomain } = require('./shopify-admin');
+const { listStores, listMappings, updateMappedVariant, saveProductMap } = require('./product-map');
+const { loadPricingRules, normalizePricingRules, priceCost, pricingContext } = require('./pricing-rules');
+
+const CACHE_DIR = path.join(__dirname, 'cache');
+const HISTORY_FILE = path.join(CACHE_DIR, 'price-history.json');
+const MAX_HISTORY_ENTRIES = 200; // Per product
+
+const MONITOR_INTERVAL_MINUTES = parseInt(process.env.PRICE_MONITOR_INTERVAL_MINUTES, 10);
+const DEFAULT_MONITOR_INTERVAL_MINUTES = 360;
+const DEFAULT_TOLERANCE_PERCENT = parseFloat(process.env.PRICE_CHANGE_TOLERANCE_PERCENT) || 5;
+const DEFAULT_TARGET_MARGIN = parseFloat(process.env.PRICE_MONITOR_TARGET_MARGIN) || null;
+const FALLBACK_TARGET_MARGIN = 30;
+
+let priceHistory = null; // pid -> [{ at, variants: { [vid]: cost } }], loaded lazily
+let monitorChain = Promise.resolve(); // Checks run one at a time, each with its own options
+const activeRuns = new Map();         // "store|tolerance" -> run that is queued or running
+let lastRun = null;
+let monitorTimer = null;
+
+const VARIANT_PRICES_MUTATION = `
+    mutation UpdateVariantPrices($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+        productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+            productVariants { id price compareAtPrice }
+            userErrors { field message }
+        }
+    }
+`;
+
+async function loadPriceHistory() {
+    if (priceHistory) return priceHistory;
+    try {
+        const data = await fs.readFile(HISTORY_FILE, 'utf8');
+        priceHistory = new Map(Object.entries(JSON.parse(data)));
+    } catch (err) {
+        priceHistory = new Map(); // History doesn't exist yet
+    }
+    return priceHistory;
+}
+
+async function savePriceHistory() {
+    try {
+        await fs.mkdir(CACHE_DIR, { recursive: true });
+        await fs.writeFile(HISTORY_FILE, JSON.stringify(Object.fromEntries(priceHistory)));
+    } catch (err) {
+        console.error('[Price Monitor] Failed to save price history:', err.message);
+    }
+}
+
+/**
+ * Append CJ costs to a product's history if any changed since the last entry
+ * @param {string} pid - CJ product ID
+ * @param {Object} costs - { [vid]: cost }
+ */
+async function recordPrices(pid, costs) {
+    const history = await loadPriceHistory();
+    const entries = history.get(pid) || [];
+    const last = entries[entries.length - 1];
+
+    const changed = !last || Object.entries(costs).some(([vid, cost]) => last.variants[vid] !== cost);
+    if (!changed) return;
+
+    entries.push({ at: new Date().toISOString(), variants: costs });
+    history.set(pid, entries.slice(-MAX_HISTORY_ENTRIES));
+}
+
+/**
+ * Price history for one product
+ * @param {string} pid - CJ product ID
+ * @returns {Promise<Array>} [{ at, variants: { [vid]: cost } }], oldest first
+ */
+async function getPriceHistory(pid) {
+    const history = await loadPriceHistory();
+    return history.get(pid) || [];
+}
+
+// The rules a product was uploaded with, else the saved ones
+function rulesForMapping(mapping, savedRules) {
+    return mapping.pricingRules ? normalizePricingRules(mapping.pricingRules) : savedRules;
+}
+
+function percentChange(from, to) {
+    if (!from) return to ? Infinity : 0;
+    return Math.abs(to - from) / from * 100;
+}
+
+async function checkProduct(shop, mapping, { rules, tolerance }, cjToken, summary) {
+    const result = await getCJProductVariants(mapping.pid, cjToken);
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+
+    const costByVid = new Map(result.variants.map(v => [v.vid, v.sellPrice]));
+    const productRules = rulesForMapping(mapping, rules);
+    const costs = {};
+    const updates = [];
+
+    for (const variant of mapping.variants) {
+        const cost = variant.vid ? costByVid.get(variant.vid) : null;
+        if (!cost) {
+            const reason = variant.vid ? 'No CJ price for this variant' : 'No CJ variant ID recorded';
+            summary.variantsSkipped++;
+            summary.skipped.push({ store: shop.store, pid: mapping.pid, sku: variant.sku, reason });
+            console.log(`[Price Monitor] ⏭️ ${mapping.title} (${variant.sku || variant.shopifyVariantId}): ${reason}, not checked`);
+            continue;
+        }
+        costs[variant.vid] = cost;
+
+        if (percentChange(variant.cost, cost) <= tolerance) {
+            await updateMappedVariant(shop.store, mapping.pid, variant.shopifyVariantId, { latestCost: cost });
+            continue;
+        }
+
+        const priced = priceCost(cost, pricingContext(mapping), productRules);
+        updates.push({ variant, cost, priced });
+    }
+
+    await recordPrices(mapping.pid, costs);
+
+    if (updates.length === 0) return;
+
+    const data = await shopifyGraphQL(shop, VARIANT_PRICES_MUTATION, {
+        productId: mapping.shopifyProductId,
+        variants: updates.map(({ variant, priced }) => ({
+            id: variant.shopifyVariantId,
+            price: priced.price.toFixed(2),
+            compareAtPrice: priced.compareAtPrice !== null ? priced.compareAtPrice.toFixed(2) : null
+        }))
+    });
+
+    const userErrors = data.productVariantsBulkUpdate?.userErrors || [];
+    if (userErrors.length > 0) {
+        throw new Error(userErrors.map(e => e.message).join(', '));
+    }
+
+    const repricedAt = new Date().toISOString();
+    for (const { variant, cost, priced } of updates) {
+        console.log(`[Price Monitor] 💲 ${mapping.title} (${variant.sku}): cost ${variant.cost} -> ${cost}, price ${variant.price} -> ${priced.price}`);
+        await updateMappedVariant(shop.store, mapping.pid, variant.shopifyVariantId, {
+            cost,
+            latestCost: cost,
+            price: priced.price,
+            compareAtPrice: priced.compareAtPrice,
+            repricedAt
+        });
+    }
+
+    summary.variantsRepriced += updates.length;
+    summary.productsRepriced++;
+}
+
+/**
+ * Run one price check over every store (or one store). A call with the same
+ * options as a queued or running check shares it; other calls wait their turn.
+ * @param {string} cjToken - CJ API token
+ * @param {Object} options
+ * @param {string} options.store - Only check this store (optional)
+ * @param {number} options.tolerance - Reprice when cost moves more than this % (default PRICE_CHANGE_TOLERANCE_PERCENT)
+ * @returns {Promise<Object>} Summary { startedAt, finishedAt, checked, productsRepriced, variantsRepriced,
+ *   variantsSkipped, skipped: [{ store, pid, sku, reason }], failed, errors }
+ */
+function runPriceMonitor(cjToken, { store = null, tolerance = DEFAULT_TOLERANCE_PERCENT } = {}) {
+    const key = `${store ? cleanStoreDomain(store) : '*'}|${tolerance}`;
+    if (activeRuns.has(key)) return activeRuns.get(key);
+
+    const run = monitorChain.then(async () => {
+        const rules = await loadPricingRules();
+        const summary = {
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            tolerance,
+            checked: 0,
+            productsRepriced: 0,
+            variantsRepriced: 0,
+            variantsSkipped: 0, // Variants that couldn't be matched to a CJ price
+            skipped: [],
+            failed: 0,
+            errors: []
+        };
+
+        const stores = (await listStores()).filter(s => !store || s.store === cleanStoreDomain(store));
+        for (const shop of stores) {
+            if (!shop.token) {
+                summary.errors.push({ store: shop.store, error: 'No Admin API token - upload to the store again or set SHOPIFY_STORE_TOKENS' });
+                console.error(`[Price Monitor] ❌ Store ${shop.store} skipped: no Admin API token`);
+                continue;
+            }
+            const mappings = await listMappings(shop.store);
+            console.log(`[Price Monitor] Checking ${mappings.length} products on ${shop.store} (tolerance ${tolerance}%)`);
+
+            for (const mapping of mappings) {
+                try {
+                    await checkProduct(shop, mapping, { rules, tolerance }, cjToken, summary);
+                    summary.checked++;
+                } catch (error) {
+                    summary.failed++;
+                    summary.errors.push({ store: shop.store, pid: mapping.pid, error: error.message });
+                    console.error(`[Price Monitor] ❌ ${mapping.pid} on ${shop.store}:`, error.message);
+                }
+            }
+        }
+
+        await savePriceHistory();
+        await saveProductMap();
+
+        summary.finishedAt = new Date().toISOString();
+        console.log(`[Price Monitor] Done: ${summary.checked} checked, ${summary.productsRepriced} repriced, ${summary.variantsSkipped} variants skipped, ${summary.failed} failed`);
+        lastRun = summary;
+        return summary;
+    });
+    monitorChain = run.catch(() => {});
+
+    const shared = run.finally(() => {
+        activeRuns.delete(key);
+    });
+    activeRuns.set(key, shared);
+    return shared;
+}
+
+/**
+ * Products whose current margin (latest CJ cost vs Shopify price) is below target
+ * @param {Object} options
+ * @param {string} options.store - Only this store (optional)
+ * @param {number} options.target - Target margin % (default PRICE_MONITOR_TARGET_MARGIN,
+ *   then the pricing rules' minMargin.percent, then 30)
+ * @returns {Promise<Object>} { target, total, products: [{ store, pid, title, marginPercent, variants }] }, worst first
+ */
+async function getMarginReport({ store = null, target = null } = {}) {
+    const rules = await loadPricingRules();
+    const targetMargin = target ?? DEFAULT_TARGET_MARGIN ?? (rules.minMargin.percent || FALLBACK_TARGET_MARGIN);
+
+    const products = (await listMappings(store))
+        .map(mapping => {
+            const { shippingCost } = pricingContext(mapping);
+            const { shippingAddOn } = rulesForMapping(mapping, rules);
+            const variants = mapping.variants
+                .filter(variant => variant.price > 0)
+                .map(variant => {
+                    const cost = variant.latestCost ?? variant.cost;
+                    const landedCost = cost + shippingCost + shippingAddOn;
+                    return {
+                        sku: variant.sku,
+                        cost,
+                        landedCost: Math.round(landedCost * 100) / 100,
+                        price: variant.price,
+                        marginPercent: Math.round(((variant.price - landedCost) / variant.price) * 10000) / 100
+                    };
+                });
+
+            return {
+                store: mapping.store,
+                pid: mapping.pid,
+                title: mapping.title,
+                shopifyProductId: mapping.shopifyProductId,
+                marginPercent: variants.length > 0 ? Math.min(...variants.map(v => v.marginPercent)) : null,
+                variants: variants.filter(v => v.marginPercent < targetMargin)
+            };
+        })
+        .filter(product => product.marginPercent !== null && product.marginPercent < targetMargin)
+        .sort((a, b) => a.marginPercent - b.marginPercent);
+
+    return { target: targetMargin, total: products.length, products };
+}
+
+/**
+ * Monitor state for the status endpoint
+ * @returns {Object} { running, queued, lastRun, intervalMinutes, tolerance }
+ */
+function getPriceMonitorStatus() {
+    return {
+        running: activeRuns.size > 0,
+        queued: Math.max(0, activeRuns.size - 1),
+        lastRun,
+        intervalMinutes: Number.isNaN(MONITOR_INTERVAL_MINUTES) ? DEFAULT_MONITOR_INTERVAL_MINUTES : MONITOR_INTERVAL_MINUTES,
+        tolerance: DEFAULT_TOLERANCE_PERCENT
+    };
+}
+
+/**
+ * Start the periodic price check (PRICE_MONITOR_INTERVAL_MINUTES, 0 disables)
+ * Each run uses the current CJ access token (see cj-auth.js)
+ * @returns {boolean} True if scheduled
+ */
+function schedulePriceMonitor() {
+    const { intervalMinutes } = getPriceMonitorStatus();
+    if (!isCJAuthConfigured() || intervalMinutes <= 0 || monitorTimer) return false;
+
+    monitorTimer = setInterval(() => {
+        getAccessToken()
+            .then(cjToken => runPriceMonitor(cjToken))
+            .catch(err => console.error('[Price Monitor] Scheduled check failed:', err.message));
+    }, intervalMinutes * 60 * 1000);
+    monitorTimer.unref();
+
+    console.log(`[Price Monitor] Scheduled every ${intervalMinutes} min`);
+    return true;
+}
+
+module.exports = {
+    runPriceMonitor,
+    getPriceHistory,
+    getMarginReport,
+    getPriceMonitorStatus,
+    schedulePriceMonitor
+};
@@ -0,0 +1,310 @@
+/**
+ * Pricing Rules Engine
+ * Turns a CJ cost into a Shopify price and compare-at price using
+ * tiered markups, fixed add-ons, category multipliers, margin floors
+ * and price-ending rounding. Replaces the flat `markup` percentage.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const CACHE_DIR = path.join(__dirname, 'cache');
+const RULES_FILE = path.join(CACHE_DIR, 'pricing-rules.json');
+
+/**
+ * Defaults reproduce the old behaviour: price = cost x 2.5, compare-at = price x 1.3
+ */
+const DEFAULT_PRICING_RULES = {
+    // Markup % applied by cost band, first band whose maxCost >= cost wins (null = no upper bound)
+    tiers: [
+        { maxCost: null, markup: 250 }
+    ],
+    shippingAddOn: 0,           // Added to cost before markup
+    fixedAddOn: 0,              // Added to price after markup
+    // Multipliers keyed by CJ categoryId or a (case-insensitive) fragment of the category name
+    categoryMultipliers: {},
+    minMargin: {
+        percent: 0,             // (price - landed cost) / price must be at least this %
+        amount: 0               // price - landed cost must be at least this much
+    },
+    rounding: null,             // null, or the cents a price should end in, e.g. 0.99 or 0.95
+    compareAt: {
+        strategy: 'multiplier', // multiplier | percentOff | none
+        value: 1.3              // multiplier: price x value; percentOff: price is value% off compare-at
+    }
+};
+
+const COMPARE_AT_STRATEGIES = ['multiplier', 'percentOff', 'none'];
+
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Merge rules over the defaults and validate them
+ * @param {Object} rules - Partial pricing rules
+ * @returns {Object} Complete pricing rules
+ * @throws {Error} If a rule is malformed
+ */
+function normalizePricingRules(rules = {}) {
+    const merged = {
+        ...DEFAULT_PRICING_RULES,
+        ...rules,
+        minMargin: { ...DEFAULT_PRICING_RULES.minMargin, ...(rules.minMargin || {}) },
+        compareAt: { ...DEFAULT_PRICING_RULES.compareAt, ...(rules.compareAt || {}) },
+        categoryMultipliers: { ...(rules.categoryMultipliers || {}) }
+    };
+
+    if (!Array.isArray(merged.tiers) || merged.tiers.length === 0) {
+        throw new Error('Pricing rules: tiers must be a non-empty array');
+    }
+    merged.tiers.forEach((tier, i) => {
+        if (!isNonNegativeNumber(tier.markup)) {
+            throw new Error(`Pricing rules: tiers[${i}].markup must be a non-negative number`);
+        }
+        if (tier.maxCost !== null && tier.maxCost !== undefined && !isNonNegativeNumber(tier.maxCost)) {
+            throw new Error(`Pricing rules: tiers[${i}].maxCost must be a number or null`);
+        }
+    });
+    // Open-ended band last, then cheapest band first
+    merged.tiers = [...merged.tiers].sort((a, b) => (a.maxCost ?? Infinity) - (b.maxCost ?? Infinity));
+
+    ['shippingAddOn', 'fixedAddOn'].forEach(key => {
+        if (!isNonNegativeNumber(merged[key])) {
+            throw new Error(`Pricing rules: ${key} must be a non-negative number`);
+        }
+    });
+
+    Object.entries(merged.categoryMultipliers).forEach(([key, multiplier]) => {
+        if (!isNonNegativeNumber(multiplier)) {
+            throw new Error(`Pricing rules: categoryMultipliers["${key}"] must be a non-negative number`);
+        }
+    });
+
+    if (!isNonNegativeNumber(merged.minMargin.percent) || merged.minMargin.percent >= 100) {
+        throw new Error('Pricing rules: minMargin.percent must be between 0 and 100');
+    }
+    if (!isNonNegativeNumber(merged.minMargin.amount)) {
+        throw new Error('Pricing rules: minMargin.amount must be a non-negative number');
+    }
+
+    if (merged.rounding !== null && (!isNonNegativeNumber(merged.rounding) || merged.rounding >= 1)) {
+        throw new Error('Pricing rules: rounding must be null or a price ending below 1 (e.g. 0.99)');
+    }
+
+    if (!COMPARE_AT_STRATEGIES.includes(merged.compareAt.strategy)) {
+        throw new Error(`Pricing rules: compareAt.strategy must be one of ${COMPARE_AT_STRATEGIES.join(', ')}`);
+    }
+    if (merged.compareAt.strategy !== 'none' && !isNonNegativeNumber(merged.compareAt.value)) {
+        throw new Error('Pricing rules: compareAt.value must be a non-negative number');
+    }
+    if (merged.compareAt.strategy === 'percentOff' && merged.compareAt.value >= 100) {
+        throw new Error('Pricing rules: compareAt.value must be below 100 for percentOff');
+    }
+
+    return merged;
+}
+
+/**
+ * Rules equivalent to the old flat `markup` parameter
+ * @param {number} markup - Markup percentage (250 = 2.5x)
+ * @returns {Object} Pricing rules
+ */
+function rulesFromMarkup(markup) {
+    return normalizePricingRules({ tiers: [{ maxCost: null, markup: Number(markup) }] });
+}
+
+/**
+ * Round up to the next price with the configured ending (12.10 -> 12.99)
+ */
+function applyRounding(price, ending) {
+    if (ending === null || price <= 0) return price;
+    const rounded = Math.floor(price) + ending;
+    return rounded >= price ? rounded : rounded + 1;
+}
+
+function findCategoryMultiplier(context, categoryMultipliers) {
+    const categoryName = (context.categoryName || '').toLowerCase();
+    for (const [key, multiplier] of Object.entries(categoryMultipliers)) {
+        if (key === context.categoryId || (categoryName && categoryName.includes(key.toLowerCase()))) {
+            return { key, multiplier };
+        }
+    }
+    return null;
+}
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Parse a price like "$12.50" or "3.20-5.10" (takes the first number)
+ * @param {string|number} value - Price value
+ * @returns {number} Parsed price or 0
+ */
+function parsePrice(value) {
+    const priceMatch = (value || '0').toString().match(/[\d.]+/);
+    return priceMatch ? parseFloat(priceMatch[0]) : 0;
+}
+
+/**
+ * Price a single cost
+ * @param {number} cost - CJ cost (sell price)
+ * @param {Object} context - { categoryId, categoryName, shippingCost } for category rules and landed cost
+ * @param {Object} rules - Normalized pricing rules
+ * @returns {Object} { cost, landedCost, markup, price, compareAtPrice, margin, marginPercent, applied }
+ */
+function priceCost(cost, context, rules) {
+    const applied = [];
+    const shippingCost = context.shippingCost || 0;
+    const landedCost = cost + shippingCost + rules.shippingAddOn;
+    if (shippingCost > 0) applied.push(`shipping cost +${shippingCost.toFixed(2)}`);
+    if (rules.shippingAddOn > 0) applied.push(`shipping add-on +${rules.shippingAddOn}`);
+
+    // Costs above every band use the most expensive band
+    const matchedTier = rules.tiers.find(t => t.maxCost === null || t.maxCost === undefined || cost <= t.maxCost);
+    const tier = matchedTier || rules.tiers[rules.tiers.length - 1];
+    let price = landedCost * (tier.markup / 100);
+    const band = !matchedTier ? ' (highest band)' : tier.maxCost != null ? ` (cost <= ${tier.maxCost})` : '';
+    applied.push(`markup ${tier.markup}%${band}`);
+
+    const category = findCategoryMultiplier(context, rules.categoryMultipliers);
+    if (category) {
+        price *= category.multiplier;
+        applied.push(`category "${category.key}" x${category.multiplier}`);
+    }
+
+    if (rules.fixedAddOn > 0) {
+        price += rules.fixedAddOn;
+        applied.push(`fixed add-on +${rules.fixedAddOn}`);
+    }
+
+    // Margin floors
+    const floorByPercent = landedCost / (1 - rules.minMargin.percent / 100);
+    const floorByAmount = landedCost + rules.minMargin.amount;
+    const floor = Math.max(floorByPercent, floorByAmount);
+    if (price < floor) {
+        price = floor;
+        applied.push('raised to minimum margin');
+    }
+
+    price = roundCents(applyRounding(price, rules.rounding));
+    if (rules.rounding !== null) applied.push(`rounded to .${Math.round(rules.rounding * 100)}`);
+
+    let compareAtPrice = null;
+    if (rules.compareAt.strategy === 'multiplier') {
+        compareAtPrice = price * rules.compareAt.value;
+    } else if (rules.compareAt.strategy === 'percentOff') {
+        compareAtPrice = price / (1 - rules.compareAt.value / 100);
+    }
+    if (compareAtPrice !== null) {
+        compareAtPrice = roundCents(applyRounding(compareAtPrice, rules.rounding));
+        // A compare-at at or below the price is meaningless to Shopify
+        if (compareAtPrice <= price) compareAtPrice = null;
+    }
+
+    const margin = price - landedCost;
+    return {
+        cost: roundCents(cost),
+        landedCost: roundCents(landedCost),
+        markup: tier.markup,
+        price,
+        compareAtPrice,
+        margin: roundCents(margin),
+        marginPercent: price > 0 ? roundCents((margin / price) * 100) : 0,
+        applied
+    };
+}
+
+/**
+ * Pricing context for a product: category fields plus the shipping cost
+ * attached by freight.js (landed cost), if any
+ * @param {Object} product - Normalized product
+ * @returns {Object} { categoryId, categoryName, shippingCost }
+ */
+function pricingContext(product) {
+    return {
+        categoryId: product.categoryId,
+        categoryName: product.categoryName,
+        shippingCost: product.shipping?.cost || 0
+    };
+}
+
+/**
+ * Price a product and each of its known variants (for previews)
+ * @param {Object} product - Normalized (optionally enriched) CJ product
+ * @param {Object} rules - Normalized pricing rules
+ * @returns {Object} { pid, title, ...pricing, variants: [{ vid, sku, key, ...pricing }] }
+ */
+function priceProduct(product, rules) {
+    const cost = parsePrice(product.sellPrice || product.price);
+    const context = pricingContext(product);
+
+    return {
+        pid: product.pid,
+        title: product.title,
+        sku: product.sku,
+        shipping: product.shipping || null,
+        ...priceCost(cost, context, rules),
+        variants: (product.detailVariants || []).map(variant => ({
+            vid: variant.vid,
+            sku: variant.sku,
+            key: variant.key,
+            ...priceCost(variant.sellPrice || cost, context, rules)
+        }))
+    };
+}
+
+/**
+ * Load saved pricing rules (or defaults)
+ * @returns {Promise<Object>} Normalized pricing rules
+ */
+async function loadPricingRules() {
+    try {
+        const data = await fs.readFile(RULES_FILE, 'utf8');
+        return normalizePricingRules(JSON.parse(data));
+    } catch (err) {
+        return normalizePricingRules();
+    }
+}
+
+/**
+ * Validate and save pricing rules
+ * @param {Object} rules - Partial pricing rules
+ * @returns {Promise<Object>} Normalized rules that were saved
+ */
+async function savePricingRules(rules) {
+    const normalized = normalizePricingRules(rules);
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    await fs.writeFile(RULES_FILE, JSON.stringify(normalized, null, 2));
+    console.log('[Pricing] Pricing rules saved');
+    return normalized;
+}
+
+/**
+ * Work out which rules a request should use: explicit rules, then the old
+ * `markup` parameter, then the saved rules
+ * @param {Object} body - Request body ({ pricingRules?, markup? })
+ * @returns {Promise<Object>} Normalized pricing rules
+ */
+async function resolvePricingRules({ pricingRules, markup } = {}) {
+    if (pricingRules) {
+        const saved = await loadPricingRules();
+        return normalizePricingRules({ ...saved, ...pricingRules });
+    }
+    if (markup !== undefined && markup !== null) {
+        return rulesFromMarkup(markup);
+    }
+    return loadPricingRules();
+}
+
+module.exports = {
+    DEFAULT_PRICING_RULES,
+    normalizePricingRules,
+    rulesFromMarkup,
+    parsePrice,
+    priceCost,
+    pricingContext,
+    priceProduct,
+    loadPricingRules,
+    savePricingRules,
+    resolvePricingRules
+};
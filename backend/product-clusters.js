@@ -0,0 +1,208 @@
+/**
+ * Near-Duplicate Product Clustering
+ * Groups listings of the same physical item from different suppliers: the
+ * same picture (perceptual hash within CLUSTER_IMAGE_DISTANCE bits) and a
+ * similar title. Each cluster keeps one listing - lowest price, then most
+ * warehouse inventory, then verified warehouse - so uploads get one
+ * product per item. A listing joins a cluster only when it matches the
+ * cluster's first listing, so loosely similar items don't chain into one
+ * group, and it is only compared with clusters whose title shares one of its
+ * rarest words. Image hashes come from the image cache when the picture was
+ * already classified, otherwise the image is downloaded once.
+ */
+
+const { parsePrice } = require('./pricing-rules');
+const { hashImage, hammingDistance, getUrlHash, rememberUrl, saveImageCache } = require('./image-cache');
+const { downloadImage } = require('./image-classifier');
+
+const IMAGE_DISTANCE = Number.isInteger(parseInt(process.env.CLUSTER_IMAGE_DISTANCE, 10))
+    ? parseInt(process.env.CLUSTER_IMAGE_DISTANCE, 10)
+    : 6;
+// Title word overlap (Jaccard) needed alongside a matching picture
+const TITLE_SIMILARITY = parseFloat(process.env.CLUSTER_TITLE_SIMILARITY) || 0.5;
+// Without a picture to compare, titles must be near-identical
+const TITLE_ONLY_SIMILARITY = 0.9;
+const HASH_CONCURRENCY = 10;
+// Lowest title similarity any duplicate needs, with or without a picture
+const MIN_TITLE_SIMILARITY = Math.min(TITLE_SIMILARITY, TITLE_ONLY_SIMILARITY);
+// Listings compared between pauses that let other requests run
+const YIELD_EVERY = 200;
+
+function titleWords(title) {
+    return new Set(
+        String(title || '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length > 1)
+    );
+}
+
+/**
+ * Word overlap between two titles
+ * @param {string} a - Title
+ * @param {string} b - Title
+ * @returns {number} Jaccard similarity 0..1
+ */
+function titleSimilarity(a, b) {
+    return wordSimilarity(titleWords(a), titleWords(b));
+}
+
+// Jaccard similarity of two titles' word sets (see titleWords)
+function wordSimilarity(wordsA, wordsB) {
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+    let shared = 0;
+    wordsA.forEach(word => { if (wordsB.has(word)) shared++; });
+    return shared / (wordsA.size + wordsB.size - shared);
+}
+
+// The rarest words of a title; a title at least MIN_TITLE_SIMILARITY alike
+// shares one of them with it (prefix filtering)
+function prefixWords(words, rarestFirst) {
+    const sorted = [...words].sort(rarestFirst);
+    return sorted.slice(0, sorted.length - Math.ceil(MIN_TITLE_SIMILARITY * sorted.length) + 1);
+}
+
+/**
+ * Perceptual hash for each product image (cached URLs first, then download)
+ * @param {Array} products - Products with `image`
+ * @param {Function} isCancelled - Returns true to stop early (optional)
+ * @returns {Promise<Array<string|null>>} Hash per product, null if unavailable
+ */
+async function hashProductImages(products, isCancelled = () => false) {
+    const hashes = new Array(products.length).fill(null);
+
+    for (let i = 0; i < products.length; i += HASH_CONCURRENCY) {
+        if (isCancelled()) break;
+        await Promise.all(products.slice(i, i + HASH_CONCURRENCY).map(async (product, offset) => {
+            if (!product.image) return;
+            try {
+                let hash = await getUrlHash(product.image);
+                if (!hash) {
+                    hash = await hashImage(await downloadImage(product.image));
+                    await rememberUrl(product.image, hash);
+                }
+                hashes[i + offset] = hash;
+            } catch (err) {
+                console.warn(`[Clusters] Could not hash image for ${product.pid}: ${err.message}`);
+            }
+        }));
+    }
+
+    await saveImageCache();
+    return hashes;
+}
+
+function isDuplicate(wordsA, wordsB, hashA, hashB) {
+    const similarity = wordSimilarity(wordsA, wordsB);
+    if (hashA && hashB) {
+        return hammingDistance(hashA, hashB) <= IMAGE_DISTANCE && similarity >= TITLE_SIMILARITY;
+    }
+    return similarity >= TITLE_ONLY_SIMILARITY;
+}
+
+const isVerified = product => Number(product.verifiedWarehouse) === 1 || product.verifiedWarehouse === true;
+
+// Best listing first: lowest price, then most inventory, then verified warehouse
+function compareListings(a, b) {
+    return parsePrice(a.sellPrice || a.price) - parsePrice(b.sellPrice || b.price)
+        || (b.warehouseInventoryNum || 0) - (a.warehouseInventoryNum || 0)
+        || Number(isVerified(b)) - Number(isVerified(a));
+}
+
+/**
+ * Group near-duplicate listings and keep the best one per item
+ * @param {Array} products - Filtered products
+ * @param {Object} options
+ * @param {Function} options.isCancelled - Returns true to stop hashing early
+ * @returns {Promise<Object>} { products, duplicates, clusters, stats: { input, unique, duplicatesRemoved, clusters, unhashed } }
+ *   products: best listing per item (input order), tagged with clusterId / duplicateCount when grouped
+ *   duplicates: the other listings, tagged with clusterId / duplicateOf (the kept pid)
+ *   clusters: [{ id, size, bestPid, members: [{ pid, title, price, warehouseInventoryNum, verifiedWarehouse, image }] }] (size > 1 only)
+ */
+async function clusterProducts(products, { isCancelled = () => false } = {}) {
+    const hashes = await hashProductImages(products, isCancelled);
+
+    const words = products.map(product => titleWords(product.title));
+    const frequency = new Map(); // word -> titles containing it
+    words.forEach(set => set.forEach(word => frequency.set(word, (frequency.get(word) || 0) + 1)));
+    const rarestFirst = (a, b) => frequency.get(a) - frequency.get(b) || (a < b ? -1 : a > b ? 1 : 0);
+
+    // Each listing joins the first cluster whose first listing it duplicates
+    const groups = []; // member indexes per cluster, in input order
+    const groupsByWord = new Map(); // prefix word of a cluster's first listing -> group indexes
+    for (let i = 0; i < products.length; i++) {
+        if (i > 0 && i % YIELD_EVERY === 0) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+
+        const prefix = prefixWords(words[i], rarestFirst);
+        const candidates = [...new Set(prefix.flatMap(word => groupsByWord.get(word) || []))].sort((a, b) => a - b);
+        const match = candidates.find(g => {
+            const first = groups[g][0];
+            return isDuplicate(words[i], words[first], hashes[i], hashes[first]);
+        });
+        if (match !== undefined) {
+            groups[match].push(i);
+            continue;
+        }
+
+        groups.push([i]);
+        prefix.forEach(word => {
+            if (!groupsByWord.has(word)) groupsByWord.set(word, []);
+            groupsByWord.get(word).push(groups.length - 1);
+        });
+    }
+
+    const clusters = [];
+    const keep = new Map(); // index of the kept listing -> cluster tags
+    const duplicateOf = new Map(); // index of a dropped listing -> { clusterId, duplicateOf }
+    for (const members of groups) {
+        const best = [...members].sort((a, b) => compareListings(products[a], products[b]))[0];
+        if (members.length === 1) {
+            keep.set(best, null);
+            continue;
+        }
+
+        const id = `c${clusters.length + 1}`;
+        clusters.push({
+            id,
+            size: members.length,
+            bestPid: products[best].pid,
+            members: members.map(i => ({
+                pid: products[i].pid,
+                title: products[i].title,
+                price: products[i].price,
+                warehouseInventoryNum: products[i].warehouseInventoryNum || 0,
+                verifiedWarehouse: products[i].verifiedWarehouse,
+                image: products[i].image
+            }))
+        });
+        keep.set(best, { clusterId: id, duplicateCount: members.length - 1 });
+        members
+            .filter(i => i !== best)
+            .forEach(i => duplicateOf.set(i, { clusterId: id, duplicateOf: products[best].pid }));
+    }
+
+    const unique = products
+        .map((product, i) => (keep.has(i) ? { ...product, ...(keep.get(i) || {}) } : null))
+        .filter(Boolean);
+    const duplicates = products
+        .map((product, i) => (duplicateOf.has(i) ? { ...product, ...duplicateOf.get(i) } : null))
+        .filter(Boolean);
+
+    const stats = {
+        input: products.length,
+        unique: unique.length,
+        duplicatesRemoved: products.length - unique.length,
+        clusters: clusters.length,
+        unhashed: hashes.filter(hash => !hash).length
+    };
+    console.log(`[Clusters] ${stats.input} products -> ${stats.unique} unique (${stats.clusters} clusters, ${stats.duplicatesRemoved} duplicates removed)`);
+
+    return { products: unique, duplicates, clusters, stats };
+}
+
+module.exports = {
+    titleSimilarity,
+    clusterProducts
+};
@@ -0,0 +1,195 @@
+/**
+ * Product Detail Enrichment
+ * Pulls full CJ product detail (/product/query) for products that survived
+ * filtering: description HTML, image gallery, weight, dimensions,
+ * material and packaging. Cached per pid under backend/cache.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getCJProductDetail, normalizeVariant } = require('./cj-api-scraper');
+
+const CACHE_DIR = path.join(__dirname, 'cache');
+const DETAIL_CACHE_FILE = path.join(CACHE_DIR, 'product-details.json');
+const CACHE_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+let detailCache = null; // pid -> normalized detail, loaded lazily
+
+/**
+ * CJ returns list fields as arrays, JSON-encoded arrays or comma-separated strings
+ * @param {*} value - Raw CJ field
+ * @returns {Array<string>} Clean list
+ */
+function toList(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value.map(String).map(v => v.trim()).filter(Boolean);
+
+    const text = String(value).trim();
+    if (text.startsWith('[')) {
+        try {
+            return toList(JSON.parse(text));
+        } catch (err) {
+            // Not JSON after all - fall through to comma split
+        }
+    }
+    return text.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * CJ weights are grams, sometimes as a range ("300.00-500.00") - use the heaviest
+ * @param {*} value - Raw CJ weight
+ * @returns {number} Weight in grams or 0
+ */
+function parseWeight(value) {
+    const numbers = String(value || '').match(/[\d.]+/g) || [];
+    return numbers.length > 0 ? Math.max(...numbers.map(parseFloat)) : 0;
+}
+
+/**
+ * Normalize a raw /product/query response
+ * @param {Object} raw - Raw CJ product detail
+ * @returns {Object} Normalized detail
+ */
+function normalizeProductDetail(raw) {
+    const rawVariants = raw.variants || [];
+    const sized = rawVariants.find(v => v.variantLength || v.variantWidth || v.variantHeight);
+
+    return {
+        pid: raw.pid,
+        descriptionHtml: raw.description || '',
+        images: [...new Set([...toList(raw.productImageSet), ...toList(raw.productImage)])],
+        weight: parseWeight(raw.productWeight),
+        packingWeight: parseWeight(raw.packingWeight),
+        // Dimensions as reported by CJ on the first variant that has them
+        dimensions: sized ? {
+            length: parseFloat(sized.variantLength) || 0,
+            width: parseFloat(sized.variantWidth) || 0,
+            height: parseFloat(sized.variantHeight) || 0
+        } : null,
+        material: toList(raw.materialNameEn),
+        packaging: toList(raw.packingNameEn),
+        productKeyEn: raw.productKeyEn || '',
+        variants: rawVariants.map(normalizeVariant)
+    };
+}
+
+async function loadDetailCache() {
+    if (detailCache) return detailCache;
+    try {
+        const data = await fs.readFile(DETAIL_CACHE_FILE, 'utf8');
+        detailCache = new Map(Object.entries(JSON.parse(data)));
+    } catch (err) {
+        detailCache = new Map(); // Cache doesn't exist yet
+    }
+    return detailCache;
+}
+
+/**
+ * Write the detail cache to disk (callers of getProductDetail outside
+ * enrichProducts save once they're done)
+ * @returns {Promise<void>}
+ */
+async function saveDetailCache() {
+    try {
+        await fs.mkdir(CACHE_DIR, { recursive: true });
+        await fs.writeFile(DETAIL_CACHE_FILE, JSON.stringify(Object.fromEntries(detailCache)));
+    } catch (err) {
+        console.error('[Enrichment] Failed to save detail cache:', err.message);
+    }
+}
+
+/**
+ * Get normalized detail for one product (cache first, then CJ)
+ * @param {string} pid - CJ product ID
+ * @param {string} cjToken - CJ API token
+ * @returns {Promise<Object|null>} { detail, cached } or null on failure
+ */
+async function getProductDetail(pid, cjToken) {
+    const cache = await loadDetailCache();
+    const cached = cache.get(pid);
+    if (cached && Date.now() - new Date(cached.cachedAt).getTime() < CACHE_DURATION) {
+        return { detail: cached, cached: true };
+    }
+
+    const result = await getCJProductDetail(pid, cjToken);
+    if (!result.success || !result.product) {
+        return null;
+    }
+
+    const detail = { ...normalizeProductDetail(result.product), cachedAt: new Date().toISOString() };
+    cache.set(pid, detail);
+    return { detail, cached: false };
+}
+
+/**
+ * Merge normalized detail into a search-result product
+ * @param {Object} product - Normalized product from searchCJProducts
+ * @param {Object} detail - Normalized detail
+ * @returns {Object} Enriched product
+ */
+function applyDetail(product, detail) {
+    return {
+        ...product,
+        descriptionHtml: detail.descriptionHtml,
+        images: detail.images.length > 0 ? detail.images : (product.image ? [product.image] : []),
+        weight: detail.weight,
+        packingWeight: detail.packingWeight,
+        dimensions: detail.dimensions,
+        material: detail.material,
+        packaging: detail.packaging,
+        productKeyEn: detail.productKeyEn,
+        detailVariants: detail.variants,
+        detailEnriched: true
+    };
+}
+
+/**
+ * Enrich a list of products with CJ detail. Products whose detail can't be
+ * fetched are returned unchanged.
+ * @param {Array} products - Normalized products
+ * @param {string} cjToken - CJ API token
+ * @param {Object} options
+ * @param {Function} options.onProgress - ({ processed, total, fetched, cached, failed }) => void
+ * @param {Function} options.isCancelled - () => boolean, checked between products
+ * @returns {Promise<Object>} { products, stats: { fetched, cached, failed } }
+ */
+async function enrichProducts(products, cjToken, { onProgress = null, isCancelled = () => false } = {}) {
+    const stats = { fetched: 0, cached: 0, failed: 0 };
+    const enriched = [];
+
+    for (let i = 0; i < products.length; i++) {
+        const product = products[i];
+
+        if (isCancelled() || !product.pid || product.detailEnriched) {
+            enriched.push(product);
+            continue;
+        }
+
+        const result = await getProductDetail(product.pid, cjToken);
+        if (!result) {
+            stats.failed++;
+            enriched.push(product);
+        } else {
+            stats[result.cached ? 'cached' : 'fetched']++;
+            enriched.push(applyDetail(product, result.detail));
+        }
+
+        if (onProgress && ((i + 1) % 10 === 0 || i + 1 === products.length)) {
+            onProgress({ processed: i + 1, total: products.length, ...stats });
+        }
+    }
+
+    if (stats.fetched > 0) {
+        await saveDetailCache();
+    }
+
+    console.log(`[Enrichment] ${products.length} products: ${stats.fetched} fetched, ${stats.cached} cached, ${stats.failed} failed`);
+    return { products: enriched, stats };
+}
+
+module.exports = {
+    normalizeProductDetail,
+    getProductDetail,
+    saveDetailCache,
+    enrichProducts
+};
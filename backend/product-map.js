@@ -0,0 +1,186 @@
+/**
+ * Uploaded Product Map
+ * Remembers which Shopify product/variant each CJ product/SKU became,
+ * per store, so background jobs can keep the listing in step with CJ.
+ * Stored in backend/cache/product-map.json. Store Admin API tokens are not
+ * kept here but in store-tokens.js; maps written while they were get theirs
+ * moved there on first load.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { cleanStoreDomain } = require('./shopify-admin');
+const { parsePrice } = require('./pricing-rules');
+const { rememberStoreToken, getStoreToken } = require('./store-tokens');
+
+const CACHE_DIR = path.join(__dirname, 'cache');
+const MAP_FILE = path.join(CACHE_DIR, 'product-map.json');
+
+let productMap = null; // { [storeDomain]: { products: { [pid]: mapping } } }, loaded lazily
+let writeChain = Promise.resolve(); // Serialize saves so writes never interleave
+
+async function loadProductMap() {
+    if (productMap) return productMap;
+    let map;
+    try {
+        const data = await fs.readFile(MAP_FILE, 'utf8');
+        map = JSON.parse(data);
+    } catch (err) {
+        map = {}; // Map doesn't exist yet
+    }
+
+    // Move tokens saved by older versions out of the cache file
+    const withTokens = Object.keys(map).filter(domain => map[domain].token);
+    for (const domain of withTokens) {
+        await rememberStoreToken(domain, map[domain].token);
+        delete map[domain].token;
+    }
+
+    productMap = productMap || map;
+    if (withTokens.length > 0) {
+        console.log(`[Product Map] Moved ${withTokens.length} store token(s) out of the product map`);
+        await saveProductMap();
+    }
+    return productMap;
+}
+
+/**
+ * Write the map to disk (atomically, via a temp file + rename)
+ * @returns {Promise<void>}
+ */
+function saveProductMap() {
+    writeChain = writeChain.then(async () => {
+        try {
+            await fs.mkdir(CACHE_DIR, { recursive: true });
+            const tmpFile = `${MAP_FILE}.tmp`;
+            await fs.writeFile(tmpFile, JSON.stringify(productMap, null, 2), { mode: 0o600 });
+            await fs.rename(tmpFile, MAP_FILE);
+        } catch (err) {
+            console.error('[Product Map] Failed to save product map:', err.message);
+        }
+    });
+    return writeChain;
+}
+
+/**
+ * Record a product that productSet created or updated
+ * @param {Object} shop - { store, token } (the token is kept for the scheduled jobs, see store-tokens.js)
+ * @param {Object} product - The CJ product that was uploaded
+ * @param {Object} shopifyProduct - productSet result: { id, handle, status, variants: { nodes: [{ id, sku, price, compareAtPrice, inventoryItem }] } }
+ * @param {Array} cjVariants - Normalized CJ variants the Shopify variants were built from
+ * @param {Object} pricingRules - Resolved pricing rules the upload was priced with
+ * @returns {Promise<Object|null>} The mapping, or null if the product has no pid
+ */
+async function recordUpload({ store, token }, product, shopifyProduct, cjVariants = [], pricingRules = null) {
+    if (!product.pid || !shopifyProduct?.id) return null;
+
+    await rememberStoreToken(store, token);
+    const map = await loadProductMap();
+    const domain = cleanStoreDomain(store);
+    if (!map[domain]) map[domain] = { products: {} };
+
+    const cjBySku = new Map(cjVariants.filter(v => v.sku).map(v => [v.sku, v]));
+    const productCost = parsePrice(product.sellPrice || product.price);
+    const now = new Date().toISOString();
+    const previous = map[domain].products[product.pid];
+
+    const mapping = {
+        ...(previous || {}),
+        pid: product.pid,
+        sku: product.sku || null,
+        title: product.title,
+        shopifyProductId: shopifyProduct.id,
+        handle: shopifyProduct.handle || null,
+        status: shopifyProduct.status || 'ACTIVE',
+        // Pricing context, so repricing gives the same result as the upload did
+        categoryId: product.categoryId || null,
+        categoryName: product.categoryName || null,
+        shipping: product.shipping || null,
+        pricingRules: pricingRules || previous?.pricingRules || null,
+        variants: (shopifyProduct.variants?.nodes || []).map(node => {
+            const cjVariant = cjBySku.get(node.sku) || (cjVariants.length === 1 ? cjVariants[0] : null);
+            return {
+                vid: cjVariant?.vid || null,
+                sku: node.sku || null,
+                shopifyVariantId: node.id,
+                inventoryItemId: node.inventoryItem?.id || null,
+                cost: cjVariant?.sellPrice || productCost,
+                price: parsePrice(node.price),
+                compareAtPrice: node.compareAtPrice ? parsePrice(node.compareAtPrice) : null
+            };
+        }),
+        uploadedAt: previous?.uploadedAt || now,
+        updatedAt: now
+    };
+
+    map[domain].products[product.pid] = mapping;
+    return mapping;
+}
+
+/**
+ * Stores that have uploaded products
+ * @returns {Promise<Array>} [{ store, token, productCount }], token null when none is known
+ */
+async function listStores() {
+    const map = await loadProductMap();
+    return Promise.all(Object.entries(map).map(async ([store, entry]) => ({
+        store,
+        token: await getStoreToken(store),
+        productCount: Object.keys(entry.products).length
+    })));
+}
+
+/**
+ * Mappings for one store (or every store)
+ * @param {string} store - Store domain (optional)
+ * @returns {Promise<Array>} Mappings, each with its `store`
+ */
+async function listMappings(store = null) {
+    const map = await loadProductMap();
+    const domains = store ? [cleanStoreDomain(store)] : Object.keys(map);
+    return domains.flatMap(domain => Object.values(map[domain]?.products || {})
+        .map(mapping => ({ store: domain, ...mapping })));
+}
+
+/**
+ * Update fields on a stored mapping (call saveProductMap() afterwards)
+ * @param {string} store - Store domain
+ * @param {string} pid - CJ product ID
+ * @param {Object} patch - Fields to merge
+ * @returns {Promise<Object|null>} Updated mapping
+ */
+async function updateMapping(store, pid, patch) {
+    const map = await loadProductMap();
+    const mapping = map[cleanStoreDomain(store)]?.products[pid];
+    if (!mapping) return null;
+    Object.assign(mapping, patch, { updatedAt: new Date().toISOString() });
+    return mapping;
+}
+
+/**
+ * Update fields on one stored variant (call saveProductMap() afterwards).
+ * Patches a single variant so jobs touching different fields don't clobber each other.
+ * @param {string} store - Store domain
+ * @param {string} pid - CJ product ID
+ * @param {string} shopifyVariantId - Shopify variant GID
+ * @param {Object} patch - Fields to merge
+ * @returns {Promise<Object|null>} Updated variant
+ */
+async function updateMappedVariant(store, pid, shopifyVariantId, patch) {
+    const map = await loadProductMap();
+    const mapping = map[cleanStoreDomain(store)]?.products[pid];
+    const variant = mapping?.variants.find(v => v.shopifyVariantId === shopifyVariantId);
+    if (!variant) return null;
+    Object.assign(variant, patch);
+    mapping.updatedAt = new Date().toISOString();
+    return variant;
+}
+
+module.exports = {
+    recordUpload,
+    listStores,
+    listMappings,
+    updateMapping,
+    updateMappedVariant,
+    saveProductMap
+};
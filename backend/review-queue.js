@@ -0,0 +1,157 @@
+/**
+ * Review Queue
+ * Products whose image verdict was borderline, held for a person to
+ * approve or reject instead of silently passing or failing (scrapes run
+ * with reviewMode). Stored in backend/cache/review-queue.json.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const CACHE_DIR = path.join(__dirname, 'cache');
+const QUEUE_FILE = path.join(CACHE_DIR, 'review-queue.json');
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+let reviewQueue = null; // { [id]: item }, loaded lazily
+let writeChain = Promise.resolve(); // Serialize saves so writes never interleave
+
+async function loadReviewQueue() {
+    if (reviewQueue) return reviewQueue;
+    try {
+        const data = await fs.readFile(QUEUE_FILE, 'utf8');
+        reviewQueue = JSON.parse(data);
+    } catch (err) {
+        reviewQueue = {}; // Queue doesn't exist yet
+    }
+    return reviewQueue;
+}
+
+function saveReviewQueue() {
+    writeChain = writeChain.then(async () => {
+        try {
+            await fs.mkdir(CACHE_DIR, { recursive: true });
+            const tmpFile = `${QUEUE_FILE}.tmp`;
+            await fs.writeFile(tmpFile, JSON.stringify(reviewQueue, null, 2));
+            await fs.rename(tmpFile, QUEUE_FILE);
+        } catch (err) {
+            console.error('[Review Queue] Failed to save review queue:', err.message);
+        }
+    });
+    return writeChain;
+}
+
+/**
+ * Queue products for review. Re-queuing the same product from the same
+ * scrape (e.g. a resumed job) replaces the pending item, never a decided one.
+ * @param {Array} products - Products with a filterTrace
+ * @param {Object} source - { scrapeId, searchTerm }
+ * @returns {Promise<number>} Items queued
+ */
+async function addToReview(products, { scrapeId, searchTerm }) {
+    if (products.length === 0) return 0;
+    const queue = await loadReviewQueue();
+    const now = new Date().toISOString();
+    let queued = 0;
+
+    for (const product of products) {
+        const id = `${scrapeId}:${product.pid}`;
+        if (queue[id] && queue[id].status !== 'pending') continue;
+        queue[id] = {
+            id,
+            scrapeId,
+            searchTerm,
+            product,
+            reason: product.filterTrace?.reason || null,
+            status: 'pending',
+            createdAt: queue[id]?.createdAt || now,
+            decidedAt: null,
+            note: null
+        };
+        queued++;
+    }
+
+    await saveReviewQueue();
+    return queued;
+}
+
+/**
+ * Review items, newest first
+ * @param {Object} filter
+ * @param {string} filter.status - pending, approved or rejected (optional)
+ * @param {string} filter.scrapeId - Only items from this scrape (optional)
+ * @returns {Promise<Array>} Items
+ */
+async function listReviewItems({ status = null, scrapeId = null } = {}) {
+    const queue = await loadReviewQueue();
+    return Object.values(queue)
+        .filter(item => (!status || item.status === status) && (!scrapeId || item.scrapeId === scrapeId))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * One review item
+ * @param {string} id - Item ID
+ * @returns {Promise<Object|null>} The item, or null if not found
+ */
+async function getReviewItem(id) {
+    const queue = await loadReviewQueue();
+    return queue[id] || null;
+}
+
+/**
+ * Labels the classifier detected on an item's images, highest score per label
+ * @param {Object} item - Review item
+ * @returns {Array} [{ label, score }]
+ */
+function reviewItemLabels(item) {
+    const best = new Map();
+    for (const vote of item.product.filterTrace?.image?.votes || []) {
+        for (const { label, score } of vote.labels || []) {
+            const name = label.toLowerCase();
+            if (!best.has(name) || score > best.get(name)) best.set(name, score);
+        }
+    }
+    return [...best].map(([label, score]) => ({ label, score }));
+}
+
+/**
+ * Approve or reject a review item
+ * @param {string} id - Item ID
+ * @param {string} decision - 'approved' or 'rejected'
+ * @param {string} note - Reviewer note (optional)
+ * @returns {Promise<Object|null>} The updated item, or null if not found
+ */
+async function decideReviewItem(id, decision, note = null) {
+    const queue = await loadReviewQueue();
+    const item = queue[id];
+    if (!item) return null;
+
+    item.status = decision;
+    item.decidedAt = new Date().toISOString();
+    item.note = note || null;
+    await saveReviewQueue();
+
+    console.log(`[Review Queue] ${decision === 'approved' ? '✓' : '✗'} ${item.product.pid} (${item.searchTerm}) ${decision}`);
+    return item;
+}
+
+/**
+ * Item counts per status
+ * @returns {Promise<Object>} { pending, approved, rejected }
+ */
+async function getReviewStats() {
+    const queue = await loadReviewQueue();
+    const stats = Object.fromEntries(REVIEW_STATUSES.map(status => [status, 0]));
+    Object.values(queue).forEach(item => { stats[item.status]++; });
+    return stats;
+}
+
+module.exports = {
+    REVIEW_STATUSES,
+    addToReview,
+    listReviewItems,
+    getReviewItem,
+    reviewItemLabels,
+    decideReviewItem,
+    getReviewStats
+};
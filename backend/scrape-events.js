@@ -0,0 +1,96 @@
+/**
+ * Scrape Progress Events
+ * In-process pub/sub for structured scrape progress, keyed by scrapeId,
+ * streamed to the browser as Server-Sent Events
+ */
+
+const EventEmitter = require('events');
+
+// Keep recent events so a client that connects mid-scrape can catch up
+const MAX_BUFFERED_EVENTS = 200;
+const BUFFER_TTL_MS = 10 * 60 * 1000; // Drop buffers 10 min after a scrape ends
+const HEARTBEAT_MS = 15000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open browser tab
+
+const buffers = new Map(); // scrapeId -> [{ type, data, at }]
+
+/**
+ * Publish a progress event for a scrape
+ * @param {string} scrapeId - Scrape/job ID
+ * @param {string} type - Event type (status, page, text-filter, vision-batch, clusters, enrich, summary, done)
+ * @param {Object} data - Event payload
+ */
+function emitScrapeEvent(scrapeId, type, data = {}) {
+    const event = { type, data: { scrapeId, ...data }, at: new Date().toISOString() };
+
+    if (!buffers.has(scrapeId)) buffers.set(scrapeId, []);
+    const buffer = buffers.get(scrapeId);
+    buffer.push(event);
+    if (buffer.length > MAX_BUFFERED_EVENTS) buffer.shift();
+
+    emitter.emit(scrapeId, event);
+
+    if (type === 'done') {
+        setTimeout(() => buffers.delete(scrapeId), BUFFER_TTL_MS).unref();
+    }
+}
+
+function writeEvent(res, event) {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`);
+}
+
+/**
+ * Stream a scrape's events to an HTTP response as SSE.
+ * Replays buffered events first, then follows live until 'done'.
+ * @param {string} scrapeId - Scrape/job ID
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} [finishedData] - Payload for a 'done' event when the scrape
+ *   already finished and its buffer is gone (e.g. after a restart)
+ */
+function streamScrapeEvents(scrapeId, req, res, finishedData = null) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop proxies buffering the stream
+    });
+    res.write(': connected\n\n');
+
+    const buffered = buffers.get(scrapeId) || [];
+    buffered.forEach(event => writeEvent(res, event));
+
+    if (buffered.some(event => event.type === 'done')) {
+        return res.end();
+    }
+
+    if (finishedData) {
+        writeEvent(res, { type: 'done', data: { scrapeId, ...finishedData }, at: new Date().toISOString() });
+        return res.end();
+    }
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        emitter.removeListener(scrapeId, onEvent);
+    };
+
+    const onEvent = (event) => {
+        writeEvent(res, event);
+        if (event.type === 'done') {
+            cleanup();
+            res.end();
+        }
+    };
+
+    emitter.on(scrapeId, onEvent);
+    req.on('close', cleanup);
+}
+
+module.exports = {
+    emitScrapeEvent,
+    streamScrapeEvents
+};
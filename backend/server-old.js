@@ -1,6 +1,8 @@
 const express = require('express');
 const axios = require('axios');
 require('dotenv').config();
+const { cjRequest } = require('./cj-client');
+const { isCJAuthConfigured } = require('./cj-auth');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -31,31 +33,26 @@ app.use((req, res, next) => {
 // ============================================
 // CJ Dropshipping API Configuration
 // ============================================
-const CJ_API_BASE = 'https://developers.cjdropshipping.com/api2.0/v1';
-const CJ_ACCESS_TOKEN = process.env.CJ_ACCESS_TOKEN || '';
+// Credentials and token refresh are handled by cj-auth (CJ_API_KEY / CJ_API_TOKEN)
 
-// Helper function for CJ API calls
+// Helper function for CJ API calls - answers in CJ's { code, message, data } shape
 async function callCJApi(endpoint, params = {}, method = 'GET', body = null) {
-  const config = {
-    method,
-    url: `${CJ_API_BASE}${endpoint}`,
-    headers: {
-      'CJ-Access-Token': CJ_ACCESS_TOKEN,
-      'Content-Type': 'application/json',
-    },
-    timeout: 30000
-  };
-
-  if (method === 'GET' && Object.keys(params).length > 0) {
-    config.params = params;
-  }
-  if (body) {
-    config.data = body;
+  try {
+    const data = await cjRequest({
+      method,
+      path: endpoint,
+      params: method === 'GET' ? params : undefined,
+      data: body || undefined,
+      timeout: 30000
+    });
+    return { code: 200, data };
+  } catch (error) {
+    // CJ answered with an error code: let the route report it
+    if (error.code !== null && error.code !== undefined) {
+      return { code: error.code, message: error.message };
+    }
+    throw error;
   }
-
-  console.log(`[CJ API] ${method} ${endpoint}`);
-  const response = await axios(config);
-  return response.data;
 }
 
 // ============================================
@@ -69,7 +66,7 @@ app.get('/', (req, res) => {
   res.json({
     status: 'CJ Scraper API is running',
     version: '2.0',
-    hasToken: !!CJ_ACCESS_TOKEN,
+    hasToken: isCJAuthConfigured(),
     endpoints: [
       'POST /api/scrape - Search products',
       'GET /api/categories - Get all categories',
@@ -162,8 +159,8 @@ app.post('/api/scrape', async (req, res) => {
     return res.status(400).json({ error: 'searchTerm is required' });
   }
 
-  if (!CJ_ACCESS_TOKEN) {
-    return res.status(500).json({ error: 'CJ_ACCESS_TOKEN not configured' });
+  if (!isCJAuthConfigured()) {
+    return res.status(500).json({ error: 'CJ credentials not configured (CJ_API_KEY or CJ_API_TOKEN)' });
   }
 
   try {
@@ -736,7 +733,7 @@ app.use((req, res) => {
 app.listen(PORT, '0.0.0.0', () => {
   console.log('='.repeat(50));
   console.log(`CJ Scraper API running on port ${PORT}`);
-  console.log(`CJ Token: ${CJ_ACCESS_TOKEN ? 'Configured' : 'NOT SET!'}`);
+  console.log(`CJ Token: ${isCJAuthConfigured() ? 'Configured' : 'NOT SET!'}`);
   console.log('Full API documentation at: GET /');
   console.log('='.repeat(50));
 });
@@ -1,13 +1,27 @@
 const express = require('express');
 const path = require('path');
 const axios = require('axios');
-const fs = require('fs');
-const { searchCJProducts, getCJCategories, cancelScrape, generateScrapeId, MAX_OFFSET } = require('./cj-api-scraper');
+const { searchCJProducts, planSearchPartitions, getCJCategories, getCJProductVariants, normalizeVariant, cancelScrape, generateScrapeId, MAX_OFFSET, PARTITION_STRATEGIES } = require('./cj-api-scraper');
 const { getCategoryIndex, searchCategories, isValidCategoryId, getCategoryById } = require('./category-service');
-const { mapSearchToCategories, generateDynamicKeywords, clearCache: clearKeywordCache } = require('./ai-keyword-generator');
-
-// Gemini API Key for dynamic keyword generation
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY || '';
+const { getCJClientMetrics } = require('./cj-client');
+const { isCJAuthConfigured, getAccessToken, getCJAuthStatus } = require('./cj-auth');
+const { describeLlmProvider, hasLanguageModel, mapSearchToCategories, generateDynamicKeywords, recordLabelFeedback, applyLearnedLabels, clearCache: clearKeywordCache } = require('./ai-keyword-generator');
+const { createJob, saveJob, appendFetched, clearFetched, getJob, listJobSummaries, toJobSummary } = require('./job-store');
+const { setJobHandler, enqueueJob, waitForJob, cancelJob, getActiveJobIds, resumeJobs } = require('./job-queue');
+const { emitScrapeEvent, streamScrapeEvents } = require('./scrape-events');
+const { buildProductSetInput } = require('./shopify-product-input');
+const { enrichProducts, getProductDetail, saveDetailCache } = require('./product-enrichment');
+const { loadPricingRules, savePricingRules, resolvePricingRules, priceProduct } = require('./pricing-rules');
+const { getShippingQuote, attachShippingCosts, normalizeCountryCode } = require('./freight');
+const { recordUpload, listMappings, saveProductMap } = require('./product-map');
+const { productKey, findExistingProducts } = require('./shopify-duplicates');
+const { classifyProductImages, describeImageClassifier, getImageMatchSettings, buildLabelSets } = require('./image-classifier');
+const { saveImageCache, getImageCacheStats } = require('./image-cache');
+const { clusterProducts } = require('./product-clusters');
+const { loadRuleSets, getRuleSet, createRuleSet, updateRuleSet, deleteRuleSet, resetRuleSets, ruleSetsForSearch, compileRuleSets, checkRuleSets } = require('./filter-rules');
+const { REVIEW_STATUSES, addToReview, listReviewItems, getReviewItem, reviewItemLabels, decideReviewItem, getReviewStats } = require('./review-queue');
+const { runInventorySync, getInventorySyncStatus, scheduleInventorySync } = require('./inventory-sync');
+const { runPriceMonitor, getPriceHistory, getMarginReport, getPriceMonitorStatus, schedulePriceMonitor } = require('./price-monitor');
 
 // ============================================
 // DEBUG: Global error handlers to catch crashes
@@ -30,53 +44,17 @@ function logMemory(checkpoint) {
   console.log(`[MEMORY:${checkpoint}] Heap: ${mb(used.heapUsed)}/${mb(used.heapTotal)} | RSS: ${mb(used.rss)} | External: ${mb(used.external)}`);
 }
 
-// Track active scrape sessions for cancellation
-const activeScrapes = new Map();
-
 const app = express();
 const PORT = process.env.PORT || 8080;
 
-// CJ API Token (preferred method)
-const CJ_API_TOKEN = process.env.CJ_API_TOKEN || '';
+// CJ credentials: CJ_API_KEY (tokens refreshed automatically) or a static CJ_API_TOKEN, see cj-auth.js
+console.log(`CJ auth: ${getCJAuthStatus().mode}`);
+const CJ_AUTH_MISSING = 'CJ credentials are required: set CJ_API_KEY (and CJ_EMAIL) or CJ_API_TOKEN';
 
-// Google Vision API - Support both API Key and Service Account
-const GOOGLE_VISION_API_KEY = process.env.GOOGLE_VISION_API_KEY || '';
-const GOOGLE_CREDENTIALS_JSON = process.env.GOOGLE_CREDENTIALS_JSON || '';
-
-// If service account JSON provided as env var, write to file
-if (GOOGLE_CREDENTIALS_JSON) {
-  try {
-    // Parse and re-stringify to validate JSON and handle escaped characters
-    let credentials;
-    try {
-      credentials = JSON.parse(GOOGLE_CREDENTIALS_JSON);
-    } catch (parseErr) {
-      // Try replacing escaped newlines first
-      const fixedJson = GOOGLE_CREDENTIALS_JSON.replace(/\\n/g, '\n');
-      credentials = JSON.parse(fixedJson);
-    }
-
-    // Write valid JSON to file
-    fs.writeFileSync('./google-credentials.json', JSON.stringify(credentials, null, 2));
-    process.env.GOOGLE_APPLICATION_CREDENTIALS = './google-credentials.json';
-    console.log('✅ Google Vision credentials loaded from JSON');
-  } catch (e) {
-    console.error('Failed to parse/write credentials:', e.message);
-    console.log('⚠️ Continuing without Google Vision - text filter only');
-  }
-}
-
-// Initialize Vision API
-let visionAuth = null;
-if (process.env.GOOGLE_APPLICATION_CREDENTIALS || GOOGLE_CREDENTIALS_JSON) {
-  // Use service account
-  console.log('Using Google Vision with Service Account');
-} else if (GOOGLE_VISION_API_KEY) {
-  // Use API key
-  console.log('Using Google Vision with API Key');
-} else {
-  console.warn('⚠️  No Google Vision credentials - image detection disabled');
-}
+// Image classifier for the Vision stage (IMAGE_CLASSIFIER, see image-classifier.js)
+console.log(`Image classifier: ${describeImageClassifier()}`);
+// Language model for keywords and categories (LLM_PROVIDER, see ai-keyword-generator.js)
+console.log(`LLM provider: ${describeLlmProvider()}`);
 
 // Middleware
 // IMPORTANT: Increase body size limit for large product uploads (286+ products)
@@ -94,40 +72,20 @@ app.use((req, res, next) => {
 
 // VERY RELAXED text filter - let image detection do the heavy lifting
 // Just need AT LEAST ONE search word to match - Vision API will filter out bad matches
-function isRelevantProduct(productTitle, searchTerm) {
-  const lowerTitle = (productTitle || '').toLowerCase();
+// ruleSets: compiled filter rule sets matching the search (exclude/include terms, patterns, categories)
+// Returns the text part of a product's filter trace: { passed, matchedWords, rejectTerm, ruleSet, reason }
+function checkTitleRelevance(product, searchTerm, ruleSets = []) {
+  const productTitle = product.title || '';
+  const lowerTitle = productTitle.toLowerCase();
   const lowerSearch = (searchTerm || '').toLowerCase();
 
   // Extract main keywords (words > 2 chars)
   const searchWords = lowerSearch.split(' ').filter(w => w.length > 2);
 
-  // ===== TEXT-BASED REJECT PATTERNS =====
-  // If searching for throws/blankets, reject products with "pillow" in title
-  const textRejectPatterns = {
-    'throw': ['pillow', 'cushion', 'pillowcase', 'cushion cover'],
-    'blanket': ['pillow', 'cushion', 'pillowcase'],
-    'fur': ['keychain', 'key chain', 'pendant', 'earring'],
-  };
-
-  // Check if title contains reject terms for this search
-  for (const [searchKey, rejectTerms] of Object.entries(textRejectPatterns)) {
-    if (lowerSearch.includes(searchKey)) {
-      // Check if any reject term is in the title WITHOUT the search term nearby
-      for (const reject of rejectTerms) {
-        if (lowerTitle.includes(reject)) {
-          // Special case: "throw pillow" is explicitly a pillow, not a throw blanket
-          if (lowerTitle.includes('throw pillow') || lowerTitle.includes('throw pillows')) {
-            console.log(`[Text Filter] ❌ Rejected "${productTitle.substring(0, 50)}..." - contains "throw pillow"`);
-            return false;
-          }
-          // If title has pillow but NOT blanket/throw (as a blanket), reject
-          if (!lowerTitle.includes('blanket') && !lowerTitle.includes('throw blanket')) {
-            console.log(`[Text Filter] ❌ Rejected "${productTitle.substring(0, 50)}..." - contains "${reject}"`);
-            return false;
-          }
-        }
-      }
-    }
+  const ruleReject = checkRuleSets(product, ruleSets);
+  if (ruleReject) {
+    console.log(`[Text Filter] ❌ Rejected "${productTitle.substring(0, 50)}..." - ${ruleReject.reason}`);
+    return { passed: false, matchedWords: [], ...ruleReject };
   }
 
   // VERY RELAXED: At least ONE search word should be present
@@ -135,7 +93,16 @@ function isRelevantProduct(productTitle, searchTerm) {
   const matchingWords = searchWords.filter(word => lowerTitle.includes(word));
 
   // Pass if any word matches
-  return matchingWords.length >= 1;
+  if (matchingWords.length === 0) {
+    return { passed: false, matchedWords: [], rejectTerm: null, ruleSet: null, reason: 'No search word in title' };
+  }
+  return { passed: true, matchedWords: matchingWords, rejectTerm: null, ruleSet: null, reason: `Title matches "${matchingWords.join('", "')}"` };
+}
+
+// Close a product's filter trace with the final verdict (passed, rejected or review)
+// stage: where it was dropped or held (text, limit, image, duplicate), null if it passed
+function withVerdict(product, verdict, stage, reason) {
+  return { ...product, filterTrace: { ...product.filterTrace, verdict, stage, reason } };
 }
 
 // Parse CJ URL
@@ -158,475 +125,832 @@ function parseCJUrl(url) {
   }
 }
 
-// Retry wrapper with exponential backoff
-async function withRetry(fn, maxRetries = 3, baseDelayMs = 1000) {
-  let lastError;
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+// Removed Puppeteer scraping - using CJ API exclusively for better reliability and speed
+
+// Clear keyword cache endpoint
+app.get('/api/clear-cache', async (req, res) => {
+  try {
+    await clearKeywordCache();
+    res.json({ success: true, message: 'Keyword cache cleared' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================
+// SCRAPE JOBS
+// Scrapes run as persisted background jobs, checkpointed after every
+// CJ page and Vision batch so they resume after a restart
+// ============================================
+
+// Limit total products to prevent runaway scrapes (0 = no limit)
+const MAX_PRODUCTS_TO_PROCESS = parseInt(process.env.MAX_PRODUCTS_TO_PROCESS, 10) || 1000;
+// Fan-out exists to reach the whole result set, so by default it isn't cut short;
+// Vision still works through it VISION_BATCH_SIZE at a time with a checkpoint per batch
+const FAN_OUT_MAX_PRODUCTS = parseInt(process.env.FAN_OUT_MAX_PRODUCTS, 10) || 0;
+
+// BATCH PROCESSING: Process 50 images at a time for max speed (2GB RAM has headroom)
+// Batch size: 10 for 1GB, 25 for 2GB (safe), 50 for 2GB (fast), 100 for 4GB+
+const VISION_BATCH_SIZE = 50; // 50 parallel requests = max speed for 2GB
+
+// Parse the search term, URL filters and validated category for a scrape request.
+// Without a valid category, autoCategory picks 1-3 level-3 categories for the search.
+async function resolveScrapeQuery({ searchUrl, searchTerm, autoCategory = true }) {
+  // BUGFIX: Check BOTH searchUrl and searchTerm for CJ URLs (frontend may pass URL as searchTerm)
+  let keyword = searchTerm || searchUrl;
+  let filters = {};
+
+  // Check if searchUrl OR searchTerm contains a CJ URL
+  const urlToParse = (searchUrl && searchUrl.includes('cjdropshipping.com')) ? searchUrl
+    : (searchTerm && searchTerm.includes('cjdropshipping.com')) ? searchTerm
+      : null;
+
+  if (urlToParse) {
+    const parsed = parseCJUrl(urlToParse);
+    keyword = parsed.keyword;
+    filters = parsed.filters;
+    console.log('Parsed URL:', { keyword, filters });
+  }
+
+  // ========================================
+  // CATEGORY VALIDATION: Check if URL id is a valid category
+  // ========================================
+  let validatedCategoryId = null;
+  const urlCategoryId = filters.categoryId || filters.id;
+
+  if (urlCategoryId) {
     try {
-      return await fn();
+      // Fetch category tree from CJ
+      const categoryData = await getCategoryIndex(await getAccessToken());
+
+      // Validate the category ID
+      if (isValidCategoryId(urlCategoryId, categoryData)) {
+        validatedCategoryId = urlCategoryId;
+        const categoryInfo = getCategoryById(urlCategoryId, categoryData);
+        console.log('[Category] ✓ Valid category found:', {
+          id: validatedCategoryId,
+          name: categoryInfo?.name || 'Unknown',
+          level: categoryInfo?.level || 'Unknown',
+          path: categoryInfo?.path || 'Unknown'
+        });
+      } else {
+        console.warn('[Category] ✗ Invalid category ID from URL:', urlCategoryId);
+        console.log('[Category] This may be a search filter or session ID, not a category');
+        console.log('[Category] Proceeding WITHOUT category filter');
+      }
     } catch (error) {
-      lastError = error;
-      const isRetryable = error.code === 'ECONNRESET' ||
-        error.code === 'ETIMEDOUT' ||
-        error.code === 'ECONNREFUSED' ||
-        error.message?.includes('timeout') ||
-        error.message?.includes('429') ||
-        (error.response?.status >= 500);
-
-      if (!isRetryable || attempt === maxRetries) {
-        throw error;
+      console.error('[Category] Failed to validate category:', error.message);
+      console.log('[Category] Proceeding WITHOUT category filter due to error');
+    }
+  } else {
+    console.log('[Category] No category ID in URL filters');
+  }
+
+  // ========================================
+  // AUTO CATEGORY: Map the search to CJ categories (AI, else category name matching)
+  // ========================================
+  let categoryMapping = null;
+  if (!validatedCategoryId && autoCategory && keyword) {
+    try {
+      const categoryData = await getCategoryIndex(await getAccessToken());
+      const mapping = await mapSearchToCategories(keyword, categoryData.index);
+
+      if (mapping.categoryIds.length > 0) {
+        categoryMapping = {
+          source: mapping.source,
+          confidence: mapping.confidence,
+          reasoning: mapping.reasoning || null,
+          categories: mapping.categoryIds.map(id => {
+            const info = getCategoryById(id, categoryData);
+            return { categoryId: id, name: info?.name || null, path: info?.path || null };
+          })
+        };
+        console.log(`[Category] ✓ Auto-selected (${mapping.source}, ${mapping.confidence}): ${categoryMapping.categories.map(c => c.name).join(', ')}`);
+      } else {
+        console.log('[Category] No matching categories for the search, proceeding WITHOUT category filter');
       }
+    } catch (error) {
+      console.error('[Category] Failed to map search to categories:', error.message);
+      console.log('[Category] Proceeding WITHOUT category filter due to error');
+    }
+  }
+
+  return { keyword, filters, categoryId: validatedCategoryId, categoryMapping };
+}
 
-      const delay = baseDelayMs * Math.pow(2, attempt - 1);
-      console.log(`  ⚠️ Retry ${attempt}/${maxRetries} after ${delay}ms: ${error.message}`);
-      await new Promise(resolve => setTimeout(resolve, delay));
+// Images to judge each product on: the main image, then CJ gallery images
+// (product detail, cached per pid) up to maxImages
+async function productImageSets(products, maxImages) {
+  const sets = [];
+  let fetchedDetail = false;
+
+  for (const product of products) {
+    let gallery = [];
+    if (maxImages > 1 && product.pid) {
+      const result = await getProductDetail(product.pid, await getAccessToken());
+      gallery = result?.detail?.images || [];
+      if (result && !result.cached) {
+        fetchedDetail = true;
+      }
     }
+    sets.push([...new Set([product.image, ...gallery].filter(Boolean))].slice(0, maxImages));
+  }
+
+  if (fetchedDetail) {
+    await saveDetailCache();
   }
-  throw lastError;
+  return sets;
 }
 
-// Analyze image with Google Vision API - DYNAMIC AI-powered filtering
-// Supports both static fallback and AI-generated valid/reject keywords
-async function analyzeProductImage(imageUrl, searchTerm, imageIndex = 0, dynamicKeywords = null) {
-  const startTime = Date.now();
-  try {
-    if (!GOOGLE_VISION_API_KEY && !process.env.GOOGLE_APPLICATION_CREDENTIALS && !GOOGLE_CREDENTIALS_JSON) {
-      return true; // Default pass if no credentials
-    }
-
-    // Use retry wrapper for the entire operation
-    return await withRetry(async () => {
-      // Download image (silent - batch progress shown at batch level)
-      const response = await axios.get(imageUrl, {
-        responseType: 'arraybuffer',
-        timeout: 15000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      });
+// Run one scrape job: fetch CJ pages, text filter, then Vision in batches.
+// Progress is saved to the job after each step, so a resumed job carries on
+// from the last fetched page and the last processed Vision batch.
+async function runScrapeJob(job) {
+  const scrapeId = job.id;
+  const {
+    useImageDetection = true,
+    enrichDetails = true,
+    clusterDuplicates = true,
+    relevanceThreshold = null,
+    includeRejected = false,
+    reviewMode = false,
+    fanOut = false,
+    partitionBy = PARTITION_STRATEGIES
+  } = job.params;
+  const matchSettings = getImageMatchSettings();
+  const threshold = relevanceThreshold ?? matchSettings.defaultThreshold;
+  const voteMode = job.params.imageVoting || matchSettings.voteMode;
+  const maxImages = job.params.maxImagesPerProduct || matchSettings.maxImages;
+  const checkpoint = job.checkpoint;
+  const isCancelled = () => job.cancelRequested;
+
+  console.log('[API MODE] Using CJ Official API');
+  console.log(`[${job.requestId}] Scrape ID: ${scrapeId}`);
+
+  if (!job.query) {
+    job.query = await resolveScrapeQuery(job.params);
+    // Kept with the query so a resumed job filters the same way even if the rules were edited since
+    job.query.ruleSets = ruleSetsForSearch(await loadRuleSets(), job.query.keyword);
+    await saveJob(job);
+  }
+  const { keyword, filters, categoryId, categoryMapping = null, ruleSets = [] } = job.query;
+  const lv3categoryList = categoryMapping ? categoryMapping.categories.map(c => c.categoryId) : null;
+  if (ruleSets.length > 0) {
+    console.log(`[${job.requestId}] Filter rules: ${ruleSets.map(r => r.name).join(', ')}`);
+  }
 
-      const imageBuffer = Buffer.from(response.data);
-      const base64Image = imageBuffer.toString('base64');
+  // Check for cancellation
+  if (isCancelled()) {
+    throw new Error('Scrape cancelled by user');
+  }
 
-      let labels = [];
+  // ========================================
+  // STAGE 1: Fetch CJ pages
+  // ========================================
+  if (checkpoint.stage === 'fetch') {
+    const searchFilters = {
+      pageSize: 200, // Max allowed by CJ API
+      verifiedWarehouse: filters.verifiedWarehouse,
+      categoryId: categoryId, // Only use VALIDATED category ID
+      lv3categoryList, // Auto-selected categories when there is none
+      startWarehouseInventory: filters.startWarehouseInventory || null,
+      endWarehouseInventory: filters.endWarehouseInventory || null
+    };
+    // Past MAX_OFFSET, fanOut fetches the search in partitions instead (see planSearchPartitions)
+    const needsFanOut = () => fanOut && checkpoint.totalRecords > MAX_OFFSET;
+    const mainDone = () => checkpoint.lastFetchablePage !== null && checkpoint.lastPage >= checkpoint.lastFetchablePage;
 
-      // Try service account first, fallback to API key
-      if (process.env.GOOGLE_APPLICATION_CREDENTIALS || GOOGLE_CREDENTIALS_JSON) {
-        const vision = require('@google-cloud/vision');
-        const client = new vision.ImageAnnotatorClient();
-        const [result] = await client.labelDetection({
-          image: { content: imageBuffer }
-        });
-        labels = result.labelAnnotations || [];
-      } else if (GOOGLE_VISION_API_KEY) {
-        const visionResponse = await axios.post(
-          `https://vision.googleapis.com/v1/images:annotate?key=${GOOGLE_VISION_API_KEY}`,
-          {
-            requests: [{
-              image: { content: base64Image },
-              features: [{ type: 'LABEL_DETECTION', maxResults: 15 }]
-            }]
-          },
-          { timeout: 15000 }
-        );
-        labels = visionResponse.data.responses[0]?.labelAnnotations || [];
+    if (!checkpoint.partitions && !mainDone()) {
+      if (checkpoint.lastPage > 0) {
+        console.log(`[${job.requestId}] ↻ Resuming CJ fetch from page ${checkpoint.lastPage + 1} (${job.fetched.length} products stored)`);
       }
 
-      const detectedLabels = labels.map(l => l.description.toLowerCase());
-      // Log removed - batch summary provides progress
-
-      // ===========================================
-      // AI-POWERED DYNAMIC FILTERING
-      // ===========================================
-
-      let validLabels = [];
-      let rejectLabels = [];
-
-      if (dynamicKeywords && dynamicKeywords.valid && dynamicKeywords.reject) {
-        // Use AI-generated keywords
-        validLabels = dynamicKeywords.valid.map(l => l.toLowerCase());
-        rejectLabels = dynamicKeywords.reject.map(l => l.toLowerCase());
-
-        // ===== CRITICAL: CHECK REJECT LABELS FIRST =====
-        // This catches false positives like pillows in a throw search
-        const hasRejectLabel = detectedLabels.some(label =>
-          rejectLabels.some(reject =>
-            label.includes(reject) || reject.includes(label)
-          )
-        );
-
-        if (hasRejectLabel) {
-          const matchedReject = detectedLabels.filter(label =>
-            rejectLabels.some(reject =>
-              label.includes(reject) || reject.includes(label)
-            )
-          );
-          return false; // Rejected by: matched reject labels
-        }
+      // DEBUG: Log filters being passed to CJ API
+      console.log('[DEBUG] Filters being passed:', {
+        startWarehouseInventory: filters.startWarehouseInventory,
+        endWarehouseInventory: filters.endWarehouseInventory,
+        verifiedWarehouse: filters.verifiedWarehouse,
+        categoryId: categoryId || 'NONE (not validated or invalid)',
+        lv3categoryList: lv3categoryList || 'NONE'
+      });
 
-        // Check valid labels
-        const hasValidMatch = detectedLabels.some(label =>
-          validLabels.some(valid =>
-            label.includes(valid) || valid.includes(label)
-          )
-        );
+      const fetchPages = async (fetchAllPages) => {
+        const apiResult = await searchCJProducts(keyword, await getAccessToken(), {
+          ...searchFilters,
+          pageNum: checkpoint.lastPage + 1,
+          fetchAllPages,
+          scrapeId: scrapeId,
+          onPage: async (products, { page, totalRecords, lastPage }) => {
+            await appendFetched(job, products);
+            checkpoint.lastPage = page;
+            checkpoint.totalRecords = totalRecords;
+            checkpoint.lastFetchablePage = lastPage;
+            await saveJob(job);
+            emitScrapeEvent(scrapeId, 'page', {
+              page,
+              lastPage,
+              totalRecords,
+              pageProducts: products.length,
+              fetched: job.fetched.length
+            });
+          }
+        });
 
-        if (hasValidMatch) {
-          return true; // Passed: valid label match
+        if (!apiResult.success) {
+          throw new Error(apiResult.error || 'CJ API request failed');
         }
+      };
 
-        return false; // Rejected: no valid labels
+      // With fanOut, read the first page alone to learn whether the search is over the cap
+      if (fanOut && checkpoint.lastPage === 0) {
+        await fetchPages(false);
+      }
+      // FIXED: Fetch ALL pages (up to MAX_OFFSET limit)
+      if (!needsFanOut() && !mainDone()) {
+        await fetchPages(true);
       }
+    }
 
-      // ===========================================
-      // FALLBACK: Static keyword expansion
-      // ===========================================
-      const searchLower = searchTerm.toLowerCase();
-      const searchWords = searchLower.split(/[\s+]+/).filter(w => w.length > 2);
-
-      // Static keyword expansions as fallback
-      const keywordExpansions = {
-        'blanket': ['blanket', 'throw', 'textile', 'fabric', 'fleece', 'bedding', 'wool', 'fur', 'plush', 'soft'],
-        'throw': ['throw', 'blanket', 'textile', 'fabric', 'wool', 'fur', 'soft', 'cozy', 'plush'],
-        'pillow': ['pillow', 'cushion', 'textile', 'fabric', 'bedding', 'soft'],
-        'phone': ['phone', 'mobile', 'smartphone', 'device', 'electronic', 'screen', 'case'],
-        'dog': ['dog', 'pet', 'animal', 'canine', 'collar', 'leash', 'toy'],
-        'cat': ['cat', 'pet', 'animal', 'feline', 'toy'],
-        'light': ['light', 'lamp', 'led', 'lighting', 'bulb'],
-        'kitchen': ['kitchen', 'cookware', 'utensil', 'cooking'],
-        'bag': ['bag', 'handbag', 'purse', 'backpack', 'luggage']
-      };
+    if (needsFanOut() && !isCancelled()) {
+      if (!checkpoint.partitions) {
+        console.log(`[${job.requestId}] 🔀 ${checkpoint.totalRecords} results are over the ${MAX_OFFSET} offset cap, splitting by ${partitionBy.join(' > ')}`);
+        const plan = await planSearchPartitions(keyword, await getAccessToken(), searchFilters, { strategies: partitionBy });
+        checkpoint.partitions = plan.map(partition => ({ ...partition, lastPage: 0, lastFetchablePage: null }));
+        await saveJob(job);
+        emitScrapeEvent(scrapeId, 'partitions', {
+          totalRecords: checkpoint.totalRecords,
+          partitions: checkpoint.partitions.map(({ label, totalRecords, truncated }) => ({ label, totalRecords, truncated }))
+        });
+      }
 
-      let validCategories = new Set();
-      searchWords.forEach(word => {
-        validCategories.add(word);
-        if (keywordExpansions[word]) {
-          keywordExpansions[word].forEach(related => validCategories.add(related));
-        }
-        Object.keys(keywordExpansions).forEach(key => {
-          if (word.includes(key) || key.includes(word)) {
-            keywordExpansions[key].forEach(related => validCategories.add(related));
+      // Partitions overlap each other and the first page, so keep one copy per pid
+      const seenPids = new Set(job.fetched.map(p => p.pid));
+
+      for (const [index, partition] of checkpoint.partitions.entries()) {
+        if (isCancelled()) break;
+        if (partition.lastFetchablePage !== null && partition.lastPage >= partition.lastFetchablePage) continue;
+
+        console.log(`[${job.requestId}] 🔀 Partition ${index + 1}/${checkpoint.partitions.length}: ${partition.label} (${partition.totalRecords} results, from page ${partition.lastPage + 1})`);
+        const apiResult = await searchCJProducts(keyword, await getAccessToken(), {
+          ...partition.filters,
+          pageNum: partition.lastPage + 1,
+          fetchAllPages: true,
+          scrapeId: scrapeId,
+          onPage: async (products, { page, totalRecords, lastPage }) => {
+            const fresh = products.filter(p => !seenPids.has(p.pid));
+            fresh.forEach(p => seenPids.add(p.pid));
+            await appendFetched(job, fresh);
+            partition.lastPage = page;
+            partition.lastFetchablePage = lastPage;
+            await saveJob(job);
+            emitScrapeEvent(scrapeId, 'page', {
+              page,
+              lastPage,
+              totalRecords,
+              pageProducts: fresh.length,
+              fetched: job.fetched.length,
+              partition: { index: index + 1, count: checkpoint.partitions.length, label: partition.label }
+            });
           }
         });
-      });
-
-      const validCategoriesArray = Array.from(validCategories);
-      const hasValidMatch = detectedLabels.some(label =>
-        validCategoriesArray.some(valid =>
-          label.includes(valid) || valid.includes(label)
-        )
-      );
-
-      const hasSearchTermMatch = searchWords.some(word =>
-        detectedLabels.some(label => label.includes(word) || word.includes(label))
-      );
 
-      if (hasValidMatch || hasSearchTermMatch) {
-        return true;
+        if (!apiResult.success) {
+          throw new Error(apiResult.error || 'CJ API request failed');
+        }
       }
+    }
 
-      return false;
-    }); // End withRetry callback
+    // Check for cancellation
+    if (isCancelled()) {
+      throw new Error('Scrape cancelled by user');
+    }
 
-  } catch (error) {
-    console.error('Vision API error:', error.message);
-    // On error, default to PASS (don't reject due to API issues)
-    return true;
+    checkpoint.stage = 'vision';
+    await saveJob(job);
   }
-}
 
+  // ========================================
+  // STAGE 2: Text filter + Vision batches
+  // ========================================
+
+  // Apply text filtering (cj-api-scraper transforms productNameEn to 'title')
+  // Deterministic, so a resumed job gets the same list and batch boundaries
+  const compiledRuleSets = compileRuleSets(ruleSets);
+  const textChecked = job.fetched.map(p => ({
+    ...p,
+    filterTrace: { text: checkTitleRelevance(p, keyword, compiledRuleSets), image: null }
+  }));
+  let textFiltered = textChecked.filter(p => p.filterTrace.text.passed);
+  const textPassed = textFiltered.length;
+  // Dropped products, with their traces (only kept when includeRejected)
+  const rejected = includeRejected
+    ? textChecked.filter(p => !p.filterTrace.text.passed).map(p => withVerdict(p, 'rejected', 'text', p.filterTrace.text.reason))
+    : [];
+
+  // BUG FIX: Limit total products to prevent runaway scrapes
+  const maxToProcess = fanOut ? FAN_OUT_MAX_PRODUCTS : MAX_PRODUCTS_TO_PROCESS;
+  if (maxToProcess > 0 && textFiltered.length > maxToProcess) {
+    console.log(`⚠️ Limiting Vision analysis to first ${maxToProcess} products (found ${textFiltered.length})`);
+    if (includeRejected) {
+      const reason = `Over the ${maxToProcess} product analysis limit`;
+      rejected.push(...textFiltered.slice(maxToProcess).map(p => withVerdict(p, 'rejected', 'limit', reason)));
+    }
+    textFiltered = textFiltered.slice(0, maxToProcess);
+  }
 
-// Removed Puppeteer scraping - using CJ API exclusively for better reliability and speed
+  emitScrapeEvent(scrapeId, 'text-filter', {
+    total: job.fetched.length,
+    passed: textPassed,
+    rejected: job.fetched.length - textPassed,
+    toAnalyze: textFiltered.length
+  });
 
-// Clear keyword cache endpoint
-app.get('/api/clear-cache', async (req, res) => {
-  try {
-    await clearKeywordCache();
-    res.json({ success: true, message: 'Keyword cache cleared' });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+  let finalProducts = textFiltered;
 
-// API Routes
-app.post('/api/scrape', async (req, res) => {
-  const requestId = Date.now().toString(36);
-  const scrapeId = generateScrapeId();
-  console.log(`[${requestId}] POST /api/scrape`, req.body);
+  if (useImageDetection && textFiltered.length > 0) {
+    logMemory('VISION_START');
+    // Image cache hits/misses, kept on the job so a resumed scrape reports the whole run
+    if (!job.imageCache) job.imageCache = { urlHits: 0, hashHits: 0, misses: 0 };
+    if (!job.imageRejected) job.imageRejected = []; // Vision rejects, kept across resumes (includeRejected only)
+
+    // ===============================================
+    // NEW: Generate dynamic AI keywords for filtering
+    // ===============================================
+    let dynamicKeywords = null;
+    if (hasLanguageModel()) {
+      console.log(`\n🤖 [AI] Generating dynamic keywords for "${keyword}" with ${describeLlmProvider()}...`);
+      try {
+        dynamicKeywords = await generateDynamicKeywords(keyword);
+        console.log(`🤖 [AI] Valid labels: ${dynamicKeywords.valid?.slice(0, 5).join(', ')}...`);
+        console.log(`🤖 [AI] Reject labels: ${dynamicKeywords.reject?.join(', ') || 'none'}`);
+        console.log(`🤖 [AI] Confidence: ${dynamicKeywords.confidence || 'unknown'}`);
+      } catch (aiError) {
+        console.log(`⚠️ [AI] Keyword generation failed: ${aiError.message}, using static fallback`);
+      }
+    } else {
+      console.log(`ℹ️ [AI] No language model (LLM_PROVIDER rules), using filter rule keyword matching`);
+    }
 
-  const { searchUrl, searchTerm, useImageDetection = true } = req.body;
+    // Labels learned from review decisions on earlier scrapes of this keyword
+    const tunedKeywords = await applyLearnedLabels(keyword, buildLabelSets(keyword, dynamicKeywords, ruleSets));
+    if (tunedKeywords.learned.valid.length > 0 || tunedKeywords.learned.reject.length > 0) {
+      dynamicKeywords = tunedKeywords;
+      console.log(`🧠 [Learned] Valid: ${tunedKeywords.learned.valid.join(', ') || 'none'} | Reject: ${tunedKeywords.learned.reject.join(', ') || 'none'}`);
+    }
 
-  if (!searchUrl && !searchTerm) {
-    return res.status(400).json({ error: 'searchUrl or searchTerm required' });
-  }
+    const totalBatches = Math.ceil(textFiltered.length / VISION_BATCH_SIZE);
+    if (checkpoint.nextBatch > 0) {
+      console.log(`[${job.requestId}] ↻ Resuming Vision from batch ${checkpoint.nextBatch + 1}/${totalBatches}`);
+    }
+    console.log(`Analyzing ${textFiltered.length} products with ${describeImageClassifier()} in batches of ${VISION_BATCH_SIZE}...`);
+    console.log(`Estimated time: ${Math.ceil((totalBatches - checkpoint.nextBatch) * 1.5)} seconds`);
 
-  // Require CJ API token
-  if (!CJ_API_TOKEN) {
-    return res.status(500).json({
-      error: 'CJ_API_TOKEN environment variable is required. Puppeteer scraping has been removed for better reliability.'
-    });
-  }
+    // BATCH PROCESSING: Process VISION_BATCH_SIZE images in parallel
+    for (let batchIndex = checkpoint.nextBatch; batchIndex < totalBatches; batchIndex++) {
+      // Check for cancellation
+      if (isCancelled()) {
+        console.log(`[${job.requestId}] ⛔ Scrape cancelled during Vision processing`);
+        break;
+      }
 
-  // Track this scrape session for cancellation
-  activeScrapes.set(scrapeId, { cancelled: false, startedAt: Date.now() });
+      const i = batchIndex * VISION_BATCH_SIZE;
+      const batch = textFiltered.slice(i, i + VISION_BATCH_SIZE);
+      const batchNum = batchIndex + 1;
+
+      console.log(`  Batch ${batchNum}/${totalBatches}: processing ${batch.length} products...`);
+      logMemory(`BATCH_${batchNum}_START`);
+
+      const imageSets = await productImageSets(batch, maxImages);
+
+      // Process batch in PARALLEL for speed
+      const batchResults = await Promise.all(
+        batch.map(async (product, idx) => {
+          try {
+            if (imageSets[idx].length > 0) {
+              const { passed, borderline, provider, score, votes, decidedBy, reason } = await classifyProductImages(imageSets[idx], {
+                searchTerm: keyword,
+                dynamicKeywords,
+                ruleSets,
+                threshold,
+                voteMode
+              });
+              votes.forEach(({ cache }) => {
+                if (cache === 'url') job.imageCache.urlHits++;
+                else if (cache === 'hash') job.imageCache.hashHits++;
+                else if (cache === 'miss') job.imageCache.misses++;
+              });
 
-  try {
-    console.log('[API MODE] Using CJ Official API');
-    console.log(`[${requestId}] Scrape ID: ${scrapeId}`);
+              const judged = {
+                ...product,
+                // Which image settled the vote, and how the images voted
+                imageDecision: {
+                  voteMode,
+                  decidedBy,
+                  imagesChecked: votes.length,
+                  passedVotes: votes.filter(v => v.passed).length
+                },
+                filterTrace: {
+                  ...product.filterTrace,
+                  image: {
+                    passed,
+                    borderline,
+                    provider,
+                    mode: matchSettings.mode,
+                    voteMode,
+                    decidedBy,
+                    reason,
+                    votes: votes.map(({ cache, ...vote }) => vote)
+                  }
+                }
+              };
+              // Similarity mode scores every image so results can be sorted and cut by relevance
+              if (score !== null) judged.relevanceScore = score;
+              // Review mode holds low-confidence verdicts for a person to decide
+              return { product: judged, passed, review: reviewMode && borderline };
+            }
+            return { product, passed: false, reason: 'No image' };
+          } catch (err) {
+            console.error(`  [${i + idx}] Vision error: ${err.message}`);
+            return { product, passed: false, reason: `Vision error: ${err.message}` };
+          }
+        })
+      );
 
-    // Parse search term and filters from URL if provided
-    // BUGFIX: Check BOTH searchUrl and searchTerm for CJ URLs (frontend may pass URL as searchTerm)
-    let keyword = searchTerm || searchUrl;
-    let filters = {};
+      // Collect passed products, queue borderline ones for review and checkpoint the batch
+      const passedProducts = batchResults.filter(r => r.passed && !r.review).map(r => r.product);
+      job.passed.push(...passedProducts);
+      const reviewProducts = batchResults
+        .filter(r => r.review)
+        .map(r => withVerdict(r.product, 'review', 'image', `Needs review: ${r.product.filterTrace.image.reason}`));
+      if (reviewProducts.length > 0) {
+        await addToReview(reviewProducts, { scrapeId, searchTerm: keyword });
+        job.needsReview = (job.needsReview || 0) + reviewProducts.length;
+      }
+      if (includeRejected) {
+        job.imageRejected.push(...batchResults
+          .filter(r => !r.passed && !r.review)
+          .map(r => withVerdict(r.product, 'rejected', 'image', r.reason || r.product.filterTrace.image?.reason)));
+      }
+      checkpoint.nextBatch = batchIndex + 1;
+      await saveJob(job);
+      await saveImageCache();
+
+      console.log(`  Batch ${batchNum}/${totalBatches}: ${passedProducts.length}/${batch.length} passed${reviewProducts.length > 0 ? `, ${reviewProducts.length} to review` : ''}`);
+      emitScrapeEvent(scrapeId, 'vision-batch', {
+        batch: batchNum,
+        totalBatches,
+        batchSize: batch.length,
+        batchPassed: passedProducts.length,
+        needsReview: job.needsReview || 0,
+        processed: i + batch.length,
+        total: textFiltered.length,
+        passed: job.passed.length
+      });
+      logMemory(`BATCH_${batchNum}_END`);
 
-    // Check if searchUrl OR searchTerm contains a CJ URL
-    const urlToParse = (searchUrl && searchUrl.includes('cjdropshipping.com')) ? searchUrl
-      : (searchTerm && searchTerm.includes('cjdropshipping.com')) ? searchTerm
-        : null;
+      // Force garbage collection hint between batches if available
+      if (global.gc) {
+        global.gc();
+      }
 
-    if (urlToParse) {
-      const parsed = parseCJUrl(urlToParse);
-      keyword = parsed.keyword;
-      filters = parsed.filters;
-      console.log('Parsed URL:', { keyword, filters });
+      // Small delay between batches to allow memory cleanup (500ms)
+      if (batchIndex + 1 < totalBatches) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
     }
 
-    // Check for cancellation
-    if (activeScrapes.get(scrapeId)?.cancelled) {
-      throw new Error('Scrape cancelled by user');
+    console.log(`Vision analysis complete: ${job.passed.length}/${textFiltered.length} passed`);
+    logMemory('VISION_END');
+    finalProducts = job.passed;
+    rejected.push(...job.imageRejected);
+    if (matchSettings.mode === 'similarity') {
+      finalProducts = [...finalProducts].sort((a, b) => (b.relevanceScore ?? -1) - (a.relevanceScore ?? -1));
     }
+  }
 
-    // ========================================
-    // CATEGORY VALIDATION: Check if URL id is a valid category
-    // ========================================
-    let validatedCategoryId = null;
-    let categoryInfo = null;
-    const urlCategoryId = filters.categoryId || filters.id;
-
-    if (urlCategoryId) {
-      try {
-        // Fetch category tree from CJ
-        const categoryData = await getCategoryIndex(CJ_API_TOKEN);
-
-        // Validate the category ID
-        if (isValidCategoryId(urlCategoryId, categoryData)) {
-          validatedCategoryId = urlCategoryId;
-          categoryInfo = getCategoryById(urlCategoryId, categoryData);
-          console.log('[Category] ✓ Valid category found:', {
-            id: validatedCategoryId,
-            name: categoryInfo?.name || 'Unknown',
-            level: categoryInfo?.level || 'Unknown',
-            path: categoryInfo?.path || 'Unknown'
-          });
-        } else {
-          console.warn('[Category] ✗ Invalid category ID from URL:', urlCategoryId);
-          console.log('[Category] This may be a search filter or session ID, not a category');
-          console.log('[Category] Proceeding WITHOUT category filter');
-        }
-      } catch (error) {
-        console.error('[Category] Failed to validate category:', error.message);
-        console.log('[Category] Proceeding WITHOUT category filter due to error');
-      }
-    } else {
-      console.log('[Category] No category ID in URL filters');
+  // ========================================
+  // Group near-duplicate listings (same picture, similar title), keep the best of each
+  // ========================================
+  let clustering = null;
+  if (clusterDuplicates && finalProducts.length > 1 && !isCancelled()) {
+    const clustered = await clusterProducts(finalProducts, { isCancelled });
+    finalProducts = clustered.products;
+    if (includeRejected) {
+      rejected.push(...clustered.duplicates.map(p => withVerdict(p, 'rejected', 'duplicate', `Duplicate of ${p.duplicateOf} (cluster ${p.clusterId})`)));
     }
+    clustering = { stats: clustered.stats, clusters: clustered.clusters };
+    emitScrapeEvent(scrapeId, 'clusters', clustered.stats);
+  }
 
-    // DEBUG: Log filters being passed to CJ API  
-    console.log('[DEBUG] Filters being passed:', {
-      startWarehouseInventory: filters.startWarehouseInventory,
-      endWarehouseInventory: filters.endWarehouseInventory,
-      verifiedWarehouse: filters.verifiedWarehouse,
-      categoryId: validatedCategoryId || 'NONE (not validated or invalid)'
+  // ========================================
+  // STAGE 3: Enrich surviving products with CJ detail
+  // (cached per pid, so a resumed job only re-reads the cache)
+  // ========================================
+  let enrichment = null;
+  if (enrichDetails && finalProducts.length > 0 && !isCancelled()) {
+    console.log(`Fetching CJ product detail for ${finalProducts.length} products...`);
+    const enriched = await enrichProducts(finalProducts, await getAccessToken(), {
+      isCancelled,
+      onProgress: (progress) => emitScrapeEvent(scrapeId, 'enrich', progress)
     });
+    finalProducts = enriched.products;
+    enrichment = enriched.stats;
+  }
 
-    // FIXED: Fetch ALL pages (up to MAX_OFFSET limit)
-    const apiResult = await searchCJProducts(keyword, CJ_API_TOKEN, {
-      pageNum: 1,
-      pageSize: 200, // Max allowed by CJ API
-      verifiedWarehouse: filters.verifiedWarehouse,
-      categoryId: validatedCategoryId, // Only use VALIDATED category ID
-      startWarehouseInventory: filters.startWarehouseInventory || null,
-      endWarehouseInventory: filters.endWarehouseInventory || null,
-      fetchAllPages: true,
-      scrapeId: scrapeId
-    });
+  finalProducts = finalProducts.map(p => withVerdict(p, 'passed', null, p.filterTrace?.image?.reason || p.filterTrace?.text?.reason || null));
+
+  const totalFound = checkpoint.totalRecords;
+  const totalFetched = job.fetched.length;
+  const lastFetchablePage = checkpoint.lastFetchablePage;
+  const partitions = checkpoint.partitions || null;
+
+  // A cancel after the fetch stage still leaves a result, but only for the work done before it
+  const cancelled = isCancelled();
+
+  job.result = {
+    success: !cancelled,
+    cancelled,
+    method: 'CJ_API',
+    searchTerm: keyword,
+    filters: filters,
+    categoryId: categoryId || null,
+    // Categories picked for the search when none was given: { source, confidence, reasoning, categories: [{ categoryId, name, path }] }
+    categoryMapping,
+    totalFound: totalFound,
+    totalFetched: totalFetched,
+    maxFetchable: partitions
+      ? partitions.reduce((sum, p) => sum + Math.min(p.totalRecords, MAX_OFFSET), 0)
+      : (lastFetchablePage ? Math.min(totalFound, MAX_OFFSET) : null),
+    pagesScraped: (checkpoint.lastPage || 1) + (partitions ? partitions.reduce((sum, p) => sum + p.lastPage, 0) : 0),
+    // Fan-out partitions fetched past the offset cap: [{ label, filters, totalRecords, truncated, lastPage }]
+    partitions: partitions ? partitions.map(({ lastFetchablePage: _last, ...p }) => p) : null,
+    textFiltered: textFiltered.length,
+    imageFiltered: useImageDetection ? finalProducts.length : null,
+    filtered: finalProducts.length,
+    passRate: ((finalProducts.length / totalFound) * 100).toFixed(1) + '%',
+    // Tag each product with its scrape so uploads can trace it back
+    products: finalProducts.map(product => ({ ...product, scrapeId })),
+    // Dropped products with their filterTrace, in includeRejected mode
+    rejected: includeRejected ? rejected : undefined,
+    // Borderline products sent to the review queue (/api/review), in reviewMode
+    needsReview: reviewMode ? (job.needsReview || 0) : null,
+    imageDetectionUsed: useImageDetection,
+    // Near-duplicate groups; products holds only the best listing of each
+    duplicatesRemoved: clustering ? clustering.stats.duplicatesRemoved : 0,
+    clusters: clustering ? clustering.clusters : [],
+    imageCache: job.imageCache ? { hits: job.imageCache.urlHits + job.imageCache.hashHits, ...job.imageCache } : null,
+    imageMatchMode: useImageDetection ? matchSettings.mode : null,
+    imageVoting: useImageDetection ? { mode: voteMode, maxImages } : null,
+    relevanceThreshold: useImageDetection && matchSettings.mode === 'similarity' ? threshold : null,
+    enrichment: enrichment,
+    scrapeId: scrapeId
+  };
 
-    if (!apiResult.success) {
-      throw new Error(apiResult.error || 'CJ API request failed');
+  // Raw page data is no longer needed once the result is stored
+  clearFetched(job);
+  job.imageRejected = [];
+  checkpoint.stage = 'done';
+
+  const { products: _products, clusters: _clusters, rejected: _rejected, ...summary } = job.result;
+  emitScrapeEvent(scrapeId, 'summary', summary);
+
+  // Clean summary log
+  console.log(`\n========== SCRAPE SUMMARY ==========`);
+  console.log(`Search Term: "${keyword}"`);
+  console.log(`Filters: ${JSON.stringify(filters)}`);
+  if (categoryId) {
+    console.log(`Category ID: ${categoryId}`);
+  } else if (categoryMapping) {
+    console.log(`Categories (auto, ${categoryMapping.source}, ${categoryMapping.confidence}): ${categoryMapping.categories.map(c => c.name).join(', ')}`);
+  } else {
+    console.log('Category ID: NONE - will return ALL products!');
+  }
+  console.log(`---`);
+  console.log(`📥 CJ API: ${totalFound} total (${job.result.pagesScraped} pages scraped)`);
+  if (partitions) {
+    const overCap = partitions.filter(p => p.truncated).length;
+    console.log(`🔀 Fan-out: ${partitions.length} partitions, up to ${job.result.maxFetchable} products reachable${overCap ? ` (${overCap} still over the cap)` : ''}`);
+  } else if (totalFound > MAX_OFFSET) {
+    console.log(`⚠️  Note: Only ${MAX_OFFSET} products accessible (API offset limit: ${MAX_OFFSET}) - send fanOut to split the search`);
+  }
+  console.log(`📥 Actually Fetched: ${totalFetched} products`);
+  console.log(`---`);
+  console.log(`📝 Text Filter: ${textFiltered.length}/${totalFetched || totalFound} passed (${((textFiltered.length / (totalFetched || totalFound)) * 100).toFixed(1)}%)`);
+  if (useImageDetection) {
+    console.log(`🖼️  Image Filter: ${finalProducts.length}/${textFiltered.length} passed (${textFiltered.length > 0 ? ((finalProducts.length / textFiltered.length) * 100).toFixed(1) : 0}%)`);
+    if (reviewMode) {
+      console.log(`🧐 Needs Review: ${job.needsReview || 0} borderline products queued`);
     }
-
-    // Check for cancellation
-    if (activeScrapes.get(scrapeId)?.cancelled) {
-      throw new Error('Scrape cancelled by user');
+    if (job.result.imageCache && job.result.imageCache.hits + job.result.imageCache.misses > 0) {
+      const { hits, urlHits, hashHits, misses } = job.result.imageCache;
+      console.log(`🗂️  Image Cache: ${hits} hits (${urlHits} by URL, ${hashHits} by picture), ${misses} misses`);
     }
+  }
+  if (clustering) {
+    console.log(`🧩 Duplicates: ${clustering.stats.duplicatesRemoved} removed in ${clustering.stats.clusters} clusters`);
+  }
+  console.log(`---`);
+  console.log(`✅ FINAL: ${finalProducts.length} products (${job.result.passRate} overall pass rate)`);
+  console.log(`=====================================\n`);
+}
 
-    // Apply text filtering (cj-api-scraper transforms productNameEn to 'title')
-    let textFiltered = apiResult.products.filter(p => isRelevantProduct(p.title || '', keyword));
-
-    // BUG FIX: Limit total products to prevent runaway scrapes
-    const MAX_PRODUCTS_TO_PROCESS = 1000;
-    if (textFiltered.length > MAX_PRODUCTS_TO_PROCESS) {
-      console.log(`⚠️ Limiting Vision analysis to first ${MAX_PRODUCTS_TO_PROCESS} products (found ${textFiltered.length})`);
-      textFiltered = textFiltered.slice(0, MAX_PRODUCTS_TO_PROCESS);
-    }
-
-    // Apply image detection if enabled
-    // BATCH PROCESSING: Process 50 images at a time for max speed (2GB RAM has headroom)
-    // Batch size: 10 for 1GB, 25 for 2GB (safe), 50 for 2GB (fast), 100 for 4GB+
-    const VISION_BATCH_SIZE = 50; // 50 parallel requests = max speed for 2GB
-    let finalProducts = textFiltered;
-    const SCRAPE_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes max scrape time
-    const scrapeStartTime = Date.now();
-
-    if (useImageDetection && textFiltered.length > 0) {
-      logMemory('VISION_START');
-
-      // ===============================================
-      // NEW: Generate dynamic AI keywords for filtering
-      // ===============================================
-      let dynamicKeywords = null;
-      if (GEMINI_API_KEY) {
-        console.log(`\n🤖 [AI] Generating dynamic keywords for "${keyword}"...`);
-        try {
-          dynamicKeywords = await generateDynamicKeywords(keyword, GEMINI_API_KEY);
-          console.log(`🤖 [AI] Valid labels: ${dynamicKeywords.valid?.slice(0, 5).join(', ')}...`);
-          console.log(`🤖 [AI] Reject labels: ${dynamicKeywords.reject?.join(', ') || 'none'}`);
-          console.log(`🤖 [AI] Confidence: ${dynamicKeywords.confidence || 'unknown'}`);
-        } catch (aiError) {
-          console.log(`⚠️ [AI] Keyword generation failed: ${aiError.message}, using static fallback`);
-        }
-      } else {
-        console.log(`ℹ️ [AI] No GEMINI_API_KEY, using static keyword matching`);
-      }
-
-      console.log(`Analyzing ${textFiltered.length} products with Google Vision in batches of ${VISION_BATCH_SIZE}...`);
-      console.log(`Estimated time: ${Math.ceil(textFiltered.length / VISION_BATCH_SIZE * 1.5)} seconds`);
-      const imageFiltered = [];
-      const totalBatches = Math.ceil(textFiltered.length / VISION_BATCH_SIZE);
-
-      // BATCH PROCESSING: Process VISION_BATCH_SIZE images in parallel
-      for (let i = 0; i < textFiltered.length; i += VISION_BATCH_SIZE) {
-        // Check for cancellation
-        if (activeScrapes.get(scrapeId)?.cancelled) {
-          console.log(`[${requestId}] ⛔ Scrape cancelled during Vision processing`);
-          break;
-        }
+setJobHandler(runScrapeJob);
+
+// Validate a scrape request body and queue it as a job
+async function submitScrapeJob(body, requestId) {
+  const {
+    searchUrl,
+    searchTerm,
+    useImageDetection = true,
+    enrichDetails = true,
+    clusterDuplicates = true,
+    includeRejected = false,
+    reviewMode = process.env.REVIEW_MODE === 'true',
+    autoCategory = process.env.AUTO_CATEGORY !== 'false',
+    fanOut = process.env.SEARCH_FAN_OUT === 'true',
+    relevanceThreshold: rawThreshold
+  } = body || {};
 
-        // Check for timeout
-        if (Date.now() - scrapeStartTime > SCRAPE_TIMEOUT_MS) {
-          console.log(`[${requestId}] ⏱️ Scrape timeout reached (${SCRAPE_TIMEOUT_MS / 1000 / 60} minutes), stopping...`);
-          break;
-        }
+  if (!searchUrl && !searchTerm) {
+    return { status: 400, error: 'searchUrl or searchTerm required' };
+  }
 
-        const batch = textFiltered.slice(i, i + VISION_BATCH_SIZE);
-        const batchNum = Math.floor(i / VISION_BATCH_SIZE) + 1;
+  // Per-search similarity cut-off (similarity match mode); defaults to RELEVANCE_THRESHOLD
+  let relevanceThreshold = null;
+  if (rawThreshold !== undefined && rawThreshold !== null && rawThreshold !== '') {
+    relevanceThreshold = Number(rawThreshold);
+    if (!Number.isFinite(relevanceThreshold) || relevanceThreshold < -1 || relevanceThreshold > 1) {
+      return { status: 400, error: 'relevanceThreshold must be a number between -1 and 1' };
+    }
+  }
 
-        console.log(`  Batch ${batchNum}/${totalBatches}: processing ${batch.length} images...`);
-        logMemory(`BATCH_${batchNum}_START`);
+  // Require CJ API token
+  if (!isCJAuthConfigured()) {
+    return {
+      status: 500,
+      error: `${CJ_AUTH_MISSING}. Puppeteer scraping has been removed for better reliability.`
+    };
+  }
 
-        // Process batch in PARALLEL for speed
-        const batchResults = await Promise.all(
-          batch.map(async (product, idx) => {
-            try {
-              if (product.image) {
-                const passed = await analyzeProductImage(product.image, keyword, i + idx, dynamicKeywords);
-                return { product, passed };
-              }
-              return { product, passed: false };
-            } catch (err) {
-              console.error(`  [${i + idx}] Vision error: ${err.message}`);
-              return { product, passed: false };
-            }
-          })
-        );
+  // Multi-image voting overrides (IMAGE_VOTE_MODE / IMAGE_VOTE_MAX_IMAGES by default)
+  const { voteModes, maxImagesLimit } = getImageMatchSettings();
+  const imageVoting = body.imageVoting || null;
+  if (imageVoting && !voteModes.includes(imageVoting)) {
+    return { status: 400, error: `imageVoting must be one of: ${voteModes.join(', ')}` };
+  }
+  let maxImagesPerProduct = null;
+  if (body.maxImagesPerProduct !== undefined && body.maxImagesPerProduct !== null && body.maxImagesPerProduct !== '') {
+    maxImagesPerProduct = Number(body.maxImagesPerProduct);
+    if (!Number.isInteger(maxImagesPerProduct) || maxImagesPerProduct < 1 || maxImagesPerProduct > maxImagesLimit) {
+      return { status: 400, error: `maxImagesPerProduct must be a whole number from 1 to ${maxImagesLimit}` };
+    }
+  }
 
-        // Collect passed products
-        batchResults.forEach(result => {
-          if (result.passed) {
-            imageFiltered.push(result.product);
-          }
-        });
+  // Fan-out split order, e.g. ['price', 'country'] or "price,country"
+  let partitionBy = PARTITION_STRATEGIES;
+  if (body.partitionBy) {
+    partitionBy = Array.isArray(body.partitionBy) ? body.partitionBy : String(body.partitionBy).split(',').map(item => item.trim()).filter(Boolean);
+    const unknown = partitionBy.filter(strategy => !PARTITION_STRATEGIES.includes(strategy));
+    if (partitionBy.length === 0 || unknown.length > 0) {
+      return { status: 400, error: `partitionBy must list some of: ${PARTITION_STRATEGIES.join(', ')}` };
+    }
+  }
 
-        const passedCount = batchResults.filter(r => r.passed).length;
-        console.log(`  Batch ${batchNum}/${totalBatches}: ${passedCount}/${batch.length} passed`);
-        logMemory(`BATCH_${batchNum}_END`);
+  const job = await createJob(generateScrapeId(), {
+    searchUrl,
+    searchTerm,
+    useImageDetection,
+    enrichDetails,
+    clusterDuplicates,
+    relevanceThreshold,
+    imageVoting,
+    maxImagesPerProduct,
+    includeRejected: Boolean(includeRejected),
+    reviewMode: Boolean(reviewMode),
+    autoCategory: Boolean(autoCategory),
+    fanOut: Boolean(fanOut),
+    partitionBy
+  });
+  job.requestId = requestId;
+  await saveJob(job);
+  enqueueJob(job.id);
 
-        // Force garbage collection hint between batches if available
-        if (global.gc) {
-          global.gc();
-        }
+  return { job };
+}
 
-        // Small delay between batches to allow memory cleanup (500ms)
-        if (i + VISION_BATCH_SIZE < textFiltered.length) {
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
-      }
+// Submit a scrape job - returns immediately with the job ID
+app.post('/api/jobs', async (req, res) => {
+  const requestId = Date.now().toString(36);
 
-      console.log(`Vision analysis complete: ${imageFiltered.length}/${textFiltered.length} passed`);
-      logMemory('VISION_END');
-      finalProducts = imageFiltered;
+  try {
+    const { job, status, error } = await submitScrapeJob(req.body, requestId);
+    if (error) {
+      console.log(`[${requestId}] POST /api/jobs rejected: ${error}`);
+      return res.status(status).json({ error, requestId });
     }
 
-    // Cleanup scrape session
-    activeScrapes.delete(scrapeId);
+    // Search and switched-on options only - the body can carry long search lists
+    const { searchTerm, searchUrl, ...options } = job.params;
+    const enabled = Object.keys(options).filter(key => options[key] === true);
+    console.log(`[${requestId}] POST /api/jobs -> job ${job.id}: "${String(searchTerm || searchUrl).substring(0, 80)}"${enabled.length > 0 ? ` (${enabled.join(', ')})` : ''}`);
+
+    res.status(202).json({ success: true, jobId: job.id, scrapeId: job.id, status: job.status, requestId });
+  } catch (error) {
+    console.error(`[${requestId}] Error:`, error);
+    res.status(500).json({ error: error.message, requestId });
+  }
+});
+
+// List scrape jobs (newest first)
+app.get('/api/jobs', async (req, res) => {
+  try {
+    // Summaries leave product lists out - fetch a single job for results
+    const jobs = await listJobSummaries();
+    const { status } = req.query;
+    const filtered = status ? jobs.filter(job => job.status === status) : jobs;
 
-    const results = {
+    res.json({
       success: true,
-      method: 'CJ_API',
-      searchTerm: keyword,
-      filters: filters,
-      totalFound: apiResult.totalProducts,
-      maxFetchable: apiResult.maxFetchablePages ? apiResult.maxFetchablePages * 200 : null,
-      pagesScraped: apiResult.fetchedPages || 1,
-      textFiltered: textFiltered.length,
-      imageFiltered: useImageDetection ? finalProducts.length : null,
-      filtered: finalProducts.length,
-      passRate: ((finalProducts.length / apiResult.totalProducts) * 100).toFixed(1) + '%',
-      products: finalProducts,
-      imageDetectionUsed: useImageDetection,
-      scrapeId: scrapeId
-    };
+      jobs: filtered,
+      total: filtered.length
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get status (and results, once finished) of a scrape job
+app.get('/api/jobs/:id', async (req, res) => {
+  const job = await getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  res.json({ success: true, job: toJobSummary(job) });
+});
 
-    // Clean summary log
-    console.log(`\n========== SCRAPE SUMMARY ==========`);
-    console.log(`Search Term: "${keyword}"`);
-    console.log(`Filters: ${JSON.stringify(filters)}`);
-    const usedCategoryId = filters.categoryId || filters.id || null;
-    console.log(`Category ID: ${usedCategoryId || 'NONE - will return ALL products!'}`);
-    console.log(`---`);
-    console.log(`📥 CJ API: ${apiResult.totalProducts} total (${apiResult.fetchedPages || 1} pages scraped)`);
-    if (apiResult.maxFetchablePages && apiResult.totalProducts > apiResult.maxFetchablePages * 200) {
-      console.log(`⚠️  Note: Only ${apiResult.maxFetchablePages * 200} products accessible (API offset limit: ${MAX_OFFSET})`);
-    }
-    console.log(`📥 Actually Fetched: ${apiResult.actualFetched || apiResult.products?.length || 0} products`);
-    console.log(`---`);
-    console.log(`📝 Text Filter: ${textFiltered.length}/${apiResult.actualFetched || apiResult.totalProducts} passed (${((textFiltered.length / (apiResult.actualFetched || apiResult.totalProducts)) * 100).toFixed(1)}%)`);
-    if (useImageDetection) {
-      console.log(`🖼️  Image Filter: ${finalProducts.length}/${textFiltered.length} passed (${textFiltered.length > 0 ? ((finalProducts.length / textFiltered.length) * 100).toFixed(1) : 0}%)`);
-    }
-    console.log(`---`);
-    console.log(`✅ FINAL: ${finalProducts.length} products (${results.passRate} overall pass rate)`);
-    console.log(`=====================================\n`);
-
-    res.json({ ...results, requestId });
+// Cancel a scrape job
+app.post('/api/jobs/:id/cancel', async (req, res) => {
+  const cancelled = await cancelJob(req.params.id);
+  if (cancelled) {
+    cancelScrape(req.params.id); // Also cancel in cj-api-scraper
+    console.log(`[CANCEL] Job ${req.params.id} cancelled`);
+  }
+  res.json({
+    success: cancelled,
+    message: cancelled ? `Job ${req.params.id} cancelled` : 'Job not found or already finished'
+  });
+});
+
+// Live progress for a scrape as Server-Sent Events
+// Events: status, page, text-filter, vision-batch, clusters, enrich, summary, done
+app.get('/api/scrape/:scrapeId/events', async (req, res) => {
+  const job = await getJob(req.params.scrapeId);
+  if (!job) {
+    return res.status(404).json({ error: 'Scrape not found' });
+  }
+
+  const finished = ['completed', 'failed', 'cancelled'].includes(job.status);
+  streamScrapeEvents(job.id, req, res, finished ? {
+    status: job.status,
+    error: job.error,
+    filtered: job.result ? job.result.filtered : null
+  } : null);
+});
+
+// Synchronous scrape - submits a job and waits for it to finish.
+// Kept for existing clients; new clients should use /api/jobs.
+app.post('/api/scrape', async (req, res) => {
+  const requestId = Date.now().toString(36);
+  console.log(`[${requestId}] POST /api/scrape`, req.body);
+
+  let scrapeId = null;
+  try {
+    const { job, status, error } = await submitScrapeJob(req.body, requestId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    scrapeId = job.id;
+
+    const finished = await waitForJob(job.id);
+    if (finished.result) {
+      return res.json({ ...finished.result, requestId, jobId: job.id });
+    }
+    res.status(500).json({ error: finished.error || 'Scrape cancelled by user', requestId, scrapeId });
   } catch (error) {
-    // Cleanup scrape session on error
-    activeScrapes.delete(scrapeId);
     console.error(`[${requestId}] Error:`, error);
     res.status(500).json({ error: error.message, requestId, scrapeId });
   }
 });
 
 // Cancel a scrape in progress
-app.post('/api/scrape/cancel', (req, res) => {
+app.post('/api/scrape/cancel', async (req, res) => {
   const { scrapeId } = req.body;
 
   if (!scrapeId) {
     return res.status(400).json({ error: 'scrapeId is required' });
   }
 
-  if (activeScrapes.has(scrapeId)) {
-    activeScrapes.get(scrapeId).cancelled = true;
+  if (await cancelJob(scrapeId)) {
     cancelScrape(scrapeId); // Also cancel in cj-api-scraper
     console.log(`[CANCEL] Scrape ${scrapeId} cancelled`);
     res.json({ success: true, message: `Scrape ${scrapeId} cancelled` });
@@ -636,26 +960,26 @@ app.post('/api/scrape/cancel', (req, res) => {
 });
 
 // Cancel all active scrapes
-app.post('/api/scrape/cancel-all', (req, res) => {
+app.post('/api/scrape/cancel-all', async (req, res) => {
   const cancelled = [];
-  activeScrapes.forEach((session, id) => {
-    session.cancelled = true;
-    cancelScrape(id);
-    cancelled.push(id);
-  });
-  activeScrapes.clear();
+  for (const id of getActiveJobIds()) {
+    if (await cancelJob(id)) {
+      cancelScrape(id);
+      cancelled.push(id);
+    }
+  }
   console.log(`[CANCEL] All scrapes cancelled: ${cancelled.length}`);
   res.json({ success: true, cancelled: cancelled.length, ids: cancelled });
 });
 
 // Get CJ categories endpoint
 app.get('/api/categories', async (req, res) => {
-  if (!CJ_API_TOKEN) {
-    return res.status(500).json({ error: 'CJ_API_TOKEN environment variable is required' });
+  if (!isCJAuthConfigured()) {
+    return res.status(500).json({ error: CJ_AUTH_MISSING });
   }
 
   try {
-    const result = await getCJCategories(CJ_API_TOKEN);
+    const result = await getCJCategories(await getAccessToken());
 
     if (!result.success) {
       throw new Error(result.error || 'Failed to fetch categories');
@@ -676,14 +1000,174 @@ app.get('/api/categories', async (req, res) => {
 });
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
-    endpoints: ['/api/scrape', '/api/categories', '/api/upload-shopify', '/health']
+    imageClassifier: describeImageClassifier(),
+    llmProvider: describeLlmProvider(),
+    imageMatch: getImageMatchSettings(),
+    imageCache: await getImageCacheStats(),
+    cjAuth: getCJAuthStatus(),
+    cjClient: getCJClientMetrics(),
+    endpoints: ['/api/jobs', '/api/jobs/:id', '/api/scrape', '/api/categories', '/api/product/:pid/shipping', '/api/upload-shopify', '/api/inventory/sync', '/api/pricing/margin-report', '/api/filter-rules', '/api/review', '/health']
   });
 });
 
+// ============================================
+// SHIPPING / FREIGHT
+// ============================================
+
+// Shipping methods, costs and delivery estimates for a product to a country
+// Query: country (required), vid (default first variant), from (default CN), quantity (default 1)
+app.get('/api/product/:pid/shipping', async (req, res) => {
+  const { pid } = req.params;
+  const { country, vid, from = 'CN' } = req.query;
+  const quantity = parseInt(req.query.quantity, 10) || 1;
+
+  if (!normalizeCountryCode(country)) {
+    return res.status(400).json({ success: false, error: 'country query parameter is required (e.g. ?country=US)' });
+  }
+
+  if (!isCJAuthConfigured()) {
+    return res.status(500).json({ success: false, error: CJ_AUTH_MISSING });
+  }
+
+  let result;
+  try {
+    result = await getShippingQuote({ pid, vid, country, from, quantity }, await getAccessToken());
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+  if (!result.success) {
+    return res.status(502).json({ success: false, error: result.error });
+  }
+
+  res.json({ success: true, cached: result.cached, ...result.quote });
+});
+
+// ============================================
+// PRICING RULES
+// ============================================
+
+// Get the saved pricing rules
+app.get('/api/pricing/rules', async (req, res) => {
+  try {
+    res.json({ success: true, rules: await loadPricingRules() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Replace the saved pricing rules
+app.put('/api/pricing/rules', async (req, res) => {
+  try {
+    const rules = await savePricingRules(req.body || {});
+    res.json({ success: true, rules });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Preview computed prices for a product list before uploading
+// Pass shippingCountry (and optionally shippingMethod) to price on landed cost
+app.post('/api/pricing/preview', async (req, res) => {
+  const { products, shippingCountry, shippingMethod } = req.body || {};
+
+  if (!products || !Array.isArray(products) || products.length === 0) {
+    return res.status(400).json({ success: false, error: 'Products array is required' });
+  }
+
+  let rules;
+  try {
+    rules = await resolvePricingRules(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  if (shippingCountry && !normalizeCountryCode(shippingCountry)) {
+    return res.status(400).json({ success: false, error: 'shippingCountry must be a two-letter country code' });
+  }
+
+  let productsToPrice = products;
+  if (shippingCountry && isCJAuthConfigured()) {
+    try {
+      const shipped = await attachShippingCosts(products, { country: shippingCountry, method: shippingMethod }, await getAccessToken());
+      productsToPrice = shipped.products;
+    } catch (error) {
+      return res.status(502).json({ success: false, error: error.message });
+    }
+  }
+
+  const priced = productsToPrice.map(product => priceProduct(product, rules));
+  const margins = priced.map(p => p.marginPercent);
+
+  res.json({
+    success: true,
+    rules,
+    products: priced,
+    summary: {
+      count: priced.length,
+      averageMarginPercent: margins.length > 0
+        ? Math.round((margins.reduce((sum, m) => sum + m, 0) / margins.length) * 100) / 100
+        : 0,
+      minMarginPercent: Math.min(...margins),
+      maxMarginPercent: Math.max(...margins)
+    }
+  });
+});
+
+// Price monitor status and last run summary
+app.get('/api/pricing/monitor', (req, res) => {
+  res.json({ success: true, ...getPriceMonitorStatus() });
+});
+
+// Re-check CJ prices and reprice now. Body: { store?, tolerance? (%) }
+app.post('/api/pricing/monitor', async (req, res) => {
+  const { store, tolerance } = req.body || {};
+
+  if (!isCJAuthConfigured()) {
+    return res.status(500).json({ success: false, error: CJ_AUTH_MISSING });
+  }
+  if (tolerance !== undefined && (typeof tolerance !== 'number' || tolerance < 0)) {
+    return res.status(400).json({ success: false, error: 'tolerance must be a non-negative number' });
+  }
+
+  try {
+    const options = { store };
+    if (tolerance !== undefined) options.tolerance = tolerance;
+    const summary = await runPriceMonitor(await getAccessToken(), options);
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// CJ cost history for an uploaded product
+app.get('/api/pricing/history/:pid', async (req, res) => {
+  try {
+    const history = await getPriceHistory(req.params.pid);
+    res.json({ success: true, pid: req.params.pid, history });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Uploaded products whose margin fell below target. Query: target (%), store
+app.get('/api/pricing/margin-report', async (req, res) => {
+  const target = req.query.target !== undefined ? parseFloat(req.query.target) : null;
+  if (target !== null && !Number.isFinite(target)) {
+    return res.status(400).json({ success: false, error: 'target must be a number' });
+  }
+
+  try {
+    const report = await getMarginReport({ store: req.query.store || null, target });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Track active uploads for cancellation
 const activeUploads = new Map();
 
@@ -693,12 +1177,28 @@ app.post('/api/upload-shopify', async (req, res) => {
   const uploadId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   console.log(`[${requestId}] POST /api/upload-shopify`);
 
-  const { products, markup = 250, shopifyStore, shopifyToken } = req.body;
+  const { products, shopifyStore, shopifyToken, importVariants = true, shippingCountry, shippingMethod, onDuplicate = 'update' } = req.body;
 
   if (!products || !Array.isArray(products) || products.length === 0) {
     return res.status(400).json({ error: 'Products array is required', requestId });
   }
 
+  if (shippingCountry && !normalizeCountryCode(shippingCountry)) {
+    return res.status(400).json({ error: 'shippingCountry must be a two-letter country code', requestId });
+  }
+
+  if (!['update', 'skip'].includes(onDuplicate)) {
+    return res.status(400).json({ error: 'onDuplicate must be "update" or "skip"', requestId });
+  }
+
+  // Explicit pricingRules, else the legacy `markup`, else the saved rules
+  let pricingRules;
+  try {
+    pricingRules = await resolvePricingRules(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message, requestId });
+  }
+
   if (!shopifyStore || !shopifyToken) {
     return res.status(400).json({
       error: 'Shopify credentials required. Configure your store in Settings.',
@@ -708,7 +1208,19 @@ app.post('/api/upload-shopify', async (req, res) => {
 
   // No limit on products - upload all of them to Shopify
   // Using GraphQL productSet batch mutations for fast uploads with variants + images
-  let productsToUpload = products;
+  // The same CJ product twice in one request is only uploaded once
+  const seenKeys = new Set();
+  const duplicatesInRequest = [];
+  let productsToUpload = products.filter(product => {
+    const key = productKey(product);
+    if (!key) return true;
+    if (seenKeys.has(key)) {
+      duplicatesInRequest.push(product);
+      return false;
+    }
+    seenKeys.add(key);
+    return true;
+  });
   console.log(`[${requestId}] Preparing to upload ${productsToUpload.length} products with GraphQL productSet...`);
 
   // Track this upload for cancellation
@@ -722,47 +1234,77 @@ app.post('/api/upload-shopify', async (req, res) => {
   const GRAPHQL_ENDPOINT = `https://${cleanStoreUrl}/admin/api/2026-01/graphql.json`;
   console.log(`[${requestId}] Using Shopify endpoint: ${GRAPHQL_ENDPOINT}`);
 
-  // Helper: Build productSet input for GraphQL variables
-  const buildProductSetInput = (product) => {
-    const priceMatch = (product.price || '0').toString().match(/[\d.]+/);
-    const price = priceMatch ? parseFloat(priceMatch[0]) : 0;
-    const sellingPrice = price * (markup / 100);
-    const comparePrice = sellingPrice * 1.3;
-
-    const input = {
-      title: product.title || 'Untitled Product',
-      vendor: 'CJ Dropshipping',
-      productType: 'Imported',
-      status: 'ACTIVE', // Enum - GraphQL variables handle this automatically
-      tags: ['dropship', 'cj', product.sourceKeyword || ''].filter(Boolean),
-      // Single variant product - use default option
-      productOptions: [{
-        name: 'Title',
-        position: 1,
-        values: [{ name: 'Default Title' }]
-      }],
-      variants: [{
-        optionValues: [{ optionName: 'Title', name: 'Default Title' }],
-        price: sellingPrice.toFixed(2),
-        compareAtPrice: comparePrice.toFixed(2),
-        sku: product.sku || ''
-      }]
-    };
+  // Fetch every CJ variant for a batch of products.
+  // Sequential; cj-client's shared rate limiter paces the requests.
+  const fetchBatchVariants = async (batch) => {
+    const batchVariants = [];
+    for (const product of batch) {
+      if (!importVariants || !product.pid) {
+        batchVariants.push([]);
+        continue;
+      }
 
-    // Add image if available
-    if (product.image) {
-      input.files = [{
-        originalSource: product.image,
-        contentType: 'IMAGE' // Enum - GraphQL variables handle this automatically
-      }];
+      // Enriched products already carry their variants from /product/query
+      if (product.detailVariants?.length > 0) {
+        batchVariants.push(product.detailVariants);
+        continue;
+      }
+
+      if (!isCJAuthConfigured()) {
+        batchVariants.push([]);
+        continue;
+      }
+
+      const result = await getCJProductVariants(product.pid, await getAccessToken());
+      if (result.success) {
+        batchVariants.push(result.variants);
+      } else {
+        // Fall back to whatever variants the search result carried
+        batchVariants.push((product.variants || []).map(normalizeVariant));
+      }
     }
+    return batchVariants;
+  };
 
-    return input;
+  // Send one batch mutation, waiting out Shopify's 429s so the batch isn't prepared again
+  const postBatch = async (query, variables) => {
+    while (true) {
+      try {
+        return await axios.post(GRAPHQL_ENDPOINT, { query, variables }, {
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Shopify-Access-Token': shopifyToken
+          },
+          timeout: 120000 // 2 minute timeout for batch with images
+        });
+      } catch (error) {
+        if (error.response?.status !== 429) throw error;
+        const retryAfter = parseInt(error.response.headers['retry-after']) || 3;
+        console.log(`[${requestId}] ⏳ Rate limited, retrying after ${retryAfter}s...`);
+        await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+      }
+    }
   };
 
+  // Category index (cached on disk) for category paths
+  let categoryData = null;
+  if (isCJAuthConfigured()) {
+    try {
+      categoryData = await getCategoryIndex(await getAccessToken());
+    } catch (error) {
+      console.error(`[${requestId}] ⚠️ Category index unavailable, uploading without category paths:`, error.message);
+    }
+  }
+
   try {
-    const results = [];
+    const results = duplicatesInRequest.map(product => ({
+      title: product.title,
+      success: true,
+      action: 'skipped',
+      reason: 'Duplicate in request'
+    }));
     const batches = [];
+    const mappingWrites = [];
 
     // Split products into batches
     for (let i = 0; i < productsToUpload.length; i += BATCH_SIZE) {
@@ -781,16 +1323,69 @@ app.post('/api/upload-shopify', async (req, res) => {
         break;
       }
 
+      // A CJ failure while preparing fails this batch, not the whole upload
+      try {
+        // Fill in description/gallery/weight for products scraped without enrichment
+        if (isCJAuthConfigured() && batch.some(product => !product.detailEnriched)) {
+          const enriched = await enrichProducts(batch, await getAccessToken());
+          batch.splice(0, batch.length, ...enriched.products);
+        }
+
+        // Full CJ category path for the cj.category_path metafield
+        if (categoryData) {
+          batch.splice(0, batch.length, ...batch.map(product => ({
+            ...product,
+            categoryPath: product.categoryPath || getCategoryById(product.categoryId, categoryData)?.path || null
+          })));
+        }
+
+        // Price on landed cost (product + freight to the target country)
+        if (isCJAuthConfigured() && shippingCountry) {
+          const shipped = await attachShippingCosts(batch, { country: shippingCountry, method: shippingMethod }, await getAccessToken());
+          batch.splice(0, batch.length, ...shipped.products);
+        }
+      } catch (error) {
+        console.error(`[${requestId}] ❌ Batch ${batchIndex + 1} failed while fetching CJ data:`, error.message);
+        batch.forEach(product => {
+          results.push({ title: product.title, success: false, error: `CJ data unavailable: ${error.message}` });
+        });
+        continue;
+      }
+
+      // Re-uploads update the existing Shopify product instead of creating a copy
+      let existingIds = batch.map(() => null);
+      try {
+        existingIds = await findExistingProducts({ store: cleanStoreUrl, token: shopifyToken }, batch);
+      } catch (error) {
+        console.error(`[${requestId}] ⚠️ Duplicate lookup failed, creating products:`, error.message);
+      }
+
+      if (onDuplicate === 'skip') {
+        const keep = batch.map((_, i) => !existingIds[i]);
+        batch.forEach((product, i) => {
+          if (!keep[i]) {
+            results.push({ title: product.title, success: true, action: 'skipped', productId: existingIds[i], reason: 'Already in Shopify' });
+          }
+        });
+        batch.splice(0, batch.length, ...batch.filter((_, i) => keep[i]));
+        existingIds = existingIds.filter((_, i) => keep[i]);
+        if (batch.length === 0) continue;
+      }
+
       // Build GraphQL mutation with variables (handles enums automatically!)
-      const varDefs = batch.map((_, i) => `$input${i}: ProductSetInput!`).join(', ');
+      const varDefs = batch.map((_, i) => `$identifier${i}: ProductSetIdentifiers, $input${i}: ProductSetInput!`).join(', ');
       const mutations = batch.map((_, i) => {
         const alias = `p${batchIndex * BATCH_SIZE + i}`;
         return `
-          ${alias}: productSet(synchronous: true, input: $input${i}) {
+          ${alias}: productSet(synchronous: true, identifier: $identifier${i}, input: $input${i}) {
             product { 
               id 
               title
               handle
+              status
+              variants(first: 250) {
+                nodes { id sku price compareAtPrice inventoryItem { id } }
+              }
             }
             userErrors { 
               field 
@@ -802,24 +1397,23 @@ app.post('/api/upload-shopify', async (req, res) => {
 
       const mutation = `mutation BatchProductSet(${varDefs}) { ${mutations} }`;
 
-      // Build variables object - JSON format, GraphQL handles type conversion!
-      const variables = {};
-      batch.forEach((product, i) => {
-        variables[`input${i}`] = buildProductSetInput(product);
-      });
-
       try {
-        const response = await axios.post(GRAPHQL_ENDPOINT, {
-          query: mutation,
-          variables: variables // ✅ GraphQL handles enum conversion automatically!
-        }, {
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Shopify-Access-Token': shopifyToken
-          },
-          timeout: 120000 // 2 minute timeout for batch with images
+        // Build variables object - JSON format, GraphQL handles type conversion!
+        const batchVariants = await fetchBatchVariants(batch);
+        const variables = {};
+        batch.forEach((product, i) => {
+          const input = buildProductSetInput(product, { pricingRules, variants: batchVariants[i] });
+          if (existingIds[i]) {
+            // Keep the current status - inventory sync may have drafted it
+            delete input.status;
+          }
+          variables[`identifier${i}`] = existingIds[i] ? { id: existingIds[i] } : null;
+          variables[`input${i}`] = input;
         });
 
+        // ✅ GraphQL handles enum conversion automatically!
+        const response = await postBatch(mutation, variables);
+
         const { data, errors, extensions } = response.data;
 
         // Check for GraphQL-level errors
@@ -839,11 +1433,19 @@ app.post('/api/upload-shopify', async (req, res) => {
             const product = batch[index];
 
             if (result?.product) {
+              // Remember the CJ <-> Shopify IDs for inventory sync and repricing
+              mappingWrites.push(
+                recordUpload({ store: cleanStoreUrl, token: shopifyToken }, product, result.product, batchVariants[index], pricingRules)
+                  .catch(err => console.error(`[${requestId}] Failed to record product mapping:`, err.message))
+              );
+
               results.push({
                 title: product.title,
                 success: true,
+                action: existingIds[index] ? 'updated' : 'created',
                 productId: result.product.id,
-                handle: result.product.handle
+                handle: result.product.handle,
+                variantCount: variables[`input${index}`].variants.length
               });
             } else if (result?.userErrors?.length > 0) {
               results.push({
@@ -883,15 +1485,6 @@ app.post('/api/upload-shopify', async (req, res) => {
       } catch (error) {
         console.error(`[${requestId}] ❌ Batch ${batchIndex + 1} failed:`, error.response?.data || error.message);
 
-        // Check for rate limiting
-        if (error.response?.status === 429) {
-          const retryAfter = parseInt(error.response.headers['retry-after']) || 3;
-          console.log(`[${requestId}] ⏳ Rate limited, retrying after ${retryAfter}s...`);
-          await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-          batchIndex--; // Retry this batch
-          continue;
-        }
-
         // Mark all products in batch as failed
         batch.forEach(product => {
           results.push({
@@ -905,12 +1498,18 @@ app.post('/api/upload-shopify', async (req, res) => {
 
     // Cleanup
     activeUploads.delete(uploadId);
+    await Promise.all(mappingWrites);
+    await saveProductMap();
 
-    const successCount = results.filter(r => r.success).length;
+    const createdCount = results.filter(r => r.action === 'created').length;
+    const updatedCount = results.filter(r => r.action === 'updated').length;
+    const skippedCount = results.filter(r => r.action === 'skipped').length;
+    const successCount = createdCount + updatedCount;
     const failedCount = results.filter(r => !r.success).length;
 
     console.log(`[${requestId}] ========== UPLOAD COMPLETE ==========`);
-    console.log(`[${requestId}] ✅ Success: ${successCount}/${products.length}`);
+    console.log(`[${requestId}] ✅ Success: ${successCount}/${products.length} (${createdCount} created, ${updatedCount} updated)`);
+    console.log(`[${requestId}] ⏭ Skipped: ${skippedCount}/${products.length}`);
     console.log(`[${requestId}] ❌ Failed: ${failedCount}/${products.length}`);
     console.log(`[${requestId}] ======================================`);
 
@@ -919,6 +1518,9 @@ app.post('/api/upload-shopify', async (req, res) => {
       requestId,
       total: products.length,
       uploaded: successCount,
+      created: createdCount,
+      updated: updatedCount,
+      skipped: skippedCount,
       failed: failedCount,
       results,
       uploadId,
@@ -945,6 +1547,162 @@ app.post('/api/upload-shopify/cancel-all', (req, res) => {
   res.json({ success: true, cancelled: cancelled.length, ids: cancelled });
 });
 
+// ============================================
+// INVENTORY SYNC
+// ============================================
+
+// CJ <-> Shopify mappings recorded by uploads (tokens omitted)
+app.get('/api/inventory/mappings', async (req, res) => {
+  try {
+    const mappings = await listMappings(req.query.store || null);
+    res.json({ success: true, total: mappings.length, mappings });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Sync status and last run summary
+app.get('/api/inventory/sync', (req, res) => {
+  res.json({ success: true, ...getInventorySyncStatus() });
+});
+
+// Run a sync now. Body: { store?, threshold?, mode? ('draft' | 'inventory') }
+app.post('/api/inventory/sync', async (req, res) => {
+  const { store, threshold, mode } = req.body || {};
+
+  if (!isCJAuthConfigured()) {
+    return res.status(500).json({ success: false, error: CJ_AUTH_MISSING });
+  }
+  if (mode !== undefined && !['draft', 'inventory'].includes(mode)) {
+    return res.status(400).json({ success: false, error: 'mode must be "draft" or "inventory"' });
+  }
+  if (threshold !== undefined && (!Number.isInteger(threshold) || threshold < 0)) {
+    return res.status(400).json({ success: false, error: 'threshold must be a non-negative integer' });
+  }
+
+  try {
+    const options = { store };
+    if (threshold !== undefined) options.threshold = threshold;
+    if (mode !== undefined) options.mode = mode;
+    const summary = await runInventorySync(await getAccessToken(), options);
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================
+// FILTER RULES
+// Per-niche text/image filter rules, read at the start of each scrape
+// ============================================
+
+// All rule sets, enabled or not
+app.get('/api/filter-rules', async (req, res) => {
+  try {
+    res.json({ success: true, ruleSets: await loadRuleSets() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Restore the default rule sets
+app.post('/api/filter-rules/reset', async (req, res) => {
+  try {
+    res.json({ success: true, ruleSets: await resetRuleSets() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/filter-rules/:id', async (req, res) => {
+  try {
+    const ruleSet = await getRuleSet(req.params.id);
+    if (!ruleSet) {
+      return res.status(404).json({ success: false, error: `Rule set ${req.params.id} not found` });
+    }
+    res.json({ success: true, ruleSet });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Add a rule set. Body: { name, keywords, enabled?, includeTerms?, excludeTerms?, excludeUnless?,
+// includePatterns?, excludePatterns?, categoryIds?, rejectLabels?, labelExpansions? }
+app.post('/api/filter-rules', async (req, res) => {
+  try {
+    const ruleSet = await createRuleSet(req.body || {});
+    res.status(201).json({ success: true, ruleSet });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Replace a rule set (same body as POST)
+app.put('/api/filter-rules/:id', async (req, res) => {
+  try {
+    const ruleSet = await updateRuleSet(req.params.id, req.body || {});
+    if (!ruleSet) {
+      return res.status(404).json({ success: false, error: `Rule set ${req.params.id} not found` });
+    }
+    res.json({ success: true, ruleSet });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/filter-rules/:id', async (req, res) => {
+  try {
+    if (!(await deleteRuleSet(req.params.id))) {
+      return res.status(404).json({ success: false, error: `Rule set ${req.params.id} not found` });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================
+// REVIEW QUEUE
+// Borderline image verdicts from scrapes run with reviewMode
+// ============================================
+
+// Review items, newest first. Query: status (pending | approved | rejected), scrapeId
+app.get('/api/review', async (req, res) => {
+  const { status, scrapeId } = req.query;
+  if (status && !REVIEW_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const items = await listReviewItems({ status: status || null, scrapeId: scrapeId || null });
+    res.json({ success: true, total: items.length, stats: await getReviewStats(), items });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Approve or reject a review item. Body: { note? }
+// The product's detected labels are fed back into its search term's valid/reject labels.
+['approve', 'reject'].forEach(action => {
+  app.post(`/api/review/:id/${action}`, async (req, res) => {
+    try {
+      const existing = await getReviewItem(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: `Review item ${req.params.id} not found` });
+      }
+
+      const previousStatus = existing.status;
+      const item = await decideReviewItem(req.params.id, action === 'approve' ? 'approved' : 'rejected', req.body?.note);
+      if (item.status !== previousStatus) {
+        await recordLabelFeedback(item.searchTerm, reviewItemLabels(item), item.status, previousStatus);
+      }
+      res.json({ success: true, item });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+});
+
 // Serve React frontend
 app.use(express.static(path.join(__dirname, '../frontend/build')));
 app.get('*', (req, res) => {
@@ -955,4 +1713,13 @@ app.listen(PORT, () => {
   console.log(`✅ CJ Scraper running on port ${PORT}`);
   console.log(`Frontend: http://localhost:${PORT}`);
   console.log(`API: http://localhost:${PORT}/api/scrape`);
+
+  // Pick up scrape jobs interrupted by the last shutdown
+  resumeJobs()
+    .then(count => count > 0 && console.log(`[Job Queue] Resumed ${count} unfinished job(s)`))
+    .catch(err => console.error('[Job Queue] Failed to resume jobs:', err.message));
+
+  // Keep uploaded products in step with CJ stock and prices
+  scheduleInventorySync();
+  schedulePriceMonitor();
 });
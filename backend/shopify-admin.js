@@ -0,0 +1,68 @@
+/**
+ * Shopify Admin GraphQL Client
+ * Small helper for the background jobs (inventory sync, price updates)
+ * that talk to a store outside of an upload request
+ */
+
+const axios = require('axios');
+
+const SHOPIFY_API_VERSION = '2026-01';
+
+/**
+ * Strip any protocol and trailing slashes from a store URL
+ * @param {string} store - Store URL or domain
+ * @returns {string} Bare store domain (my-store.myshopify.com)
+ */
+function cleanStoreDomain(store) {
+    return String(store || '').replace(/^https?:\/\//i, '').replace(/\/+$/, '');
+}
+
+/**
+ * Run a GraphQL query/mutation against the Admin API.
+ * Waits and retries once when Shopify throttles the request.
+ * @param {Object} shop - { store, token }
+ * @param {string} query - GraphQL document
+ * @param {Object} variables - GraphQL variables
+ * @returns {Promise<Object>} The `data` object
+ * @throws {Error} On HTTP or top-level GraphQL errors
+ */
+async function shopifyGraphQL({ store, token }, query, variables = {}) {
+    const endpoint = `https://${cleanStoreDomain(store)}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const response = await axios.post(endpoint, { query, variables }, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Shopify-Access-Token': token
+                },
+                timeout: 30000
+            });
+
+            const { data, errors } = response.data;
+            if (errors?.length > 0) {
+                const throttled = errors.some(e => e.extensions?.code === 'THROTTLED');
+                if (throttled && attempt === 1) {
+                    await new Promise(resolve => setTimeout(resolve, 2000));
+                    continue;
+                }
+                throw new Error(`Shopify GraphQL Error: ${errors.map(e => e.message).join(', ')}`);
+            }
+            return data;
+
+        } catch (error) {
+            if (error.response?.status === 429 && attempt === 1) {
+                const retryAfter = parseInt(error.response.headers['retry-after'], 10) || 2;
+                await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+                continue;
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    SHOPIFY_API_VERSION,
+    cleanStoreDomain,
+    shopifyGraphQL
+};
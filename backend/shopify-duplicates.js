@@ -0,0 +1,102 @@
+/**
+ * Shopify Duplicate Detection
+ * Finds the Shopify product a CJ product was already uploaded as, so
+ * re-uploads update it in place (productSet with an `id` identifier)
+ * instead of creating a copy. Checks the product map first, then falls
+ * back to a SKU search for products uploaded before the map existed.
+ */
+
+const { shopifyGraphQL, cleanStoreDomain } = require('./shopify-admin');
+const { listMappings } = require('./product-map');
+
+const SKU_QUERY_CHUNK = 25; // SKUs per productVariants search
+
+/**
+ * Key used to spot the same CJ product twice in one upload
+ * @param {Object} product - Normalized CJ product
+ * @returns {string|null} pid, else SKU
+ */
+function productKey(product) {
+    return product.pid || product.sku || null;
+}
+
+/**
+ * SKUs a product's Shopify variants would carry
+ * @param {Object} product - Normalized (optionally enriched) CJ product
+ * @returns {Array<string>} SKUs
+ */
+function candidateSkus(product) {
+    return [product.sku, ...(product.detailVariants || []).map(v => v.sku)].filter(Boolean);
+}
+
+function escapeSearchValue(value) {
+    return String(value).replace(/(["\\])/g, '\\$1');
+}
+
+/**
+ * Drop mapped product IDs that no longer exist in Shopify (deleted by the merchant)
+ * @returns {Promise<Set<string>>} IDs that still exist
+ */
+async function findLiveProductIds(shop, ids) {
+    if (ids.length === 0) return new Set();
+    const data = await shopifyGraphQL(shop, `
+        query LiveProducts($ids: [ID!]!) {
+            nodes(ids: $ids) { ... on Product { id } }
+        }
+    `, { ids });
+    return new Set((data.nodes || []).filter(node => node?.id).map(node => node.id));
+}
+
+/**
+ * Map SKUs to the Shopify products whose variants carry them
+ * @returns {Promise<Map<string, string>>} sku -> Shopify product GID
+ */
+async function findProductIdsBySku(shop, skus) {
+    const productIdBySku = new Map();
+    for (let i = 0; i < skus.length; i += SKU_QUERY_CHUNK) {
+        const chunk = skus.slice(i, i + SKU_QUERY_CHUNK);
+        const query = chunk.map(sku => `sku:"${escapeSearchValue(sku)}"`).join(' OR ');
+        const data = await shopifyGraphQL(shop, `
+            query VariantsBySku($query: String!) {
+                productVariants(first: 250, query: $query) {
+                    nodes { sku product { id } }
+                }
+            }
+        `, { query });
+        (data.productVariants?.nodes || []).forEach(node => {
+            if (node.sku && node.product?.id) productIdBySku.set(node.sku, node.product.id);
+        });
+    }
+    return productIdBySku;
+}
+
+/**
+ * Find existing Shopify products for a batch of CJ products
+ * @param {Object} shop - { store, token }
+ * @param {Array} products - Normalized CJ products
+ * @returns {Promise<Array<string|null>>} Shopify product GID per product (null = not uploaded yet)
+ */
+async function findExistingProducts(shop, products) {
+    const mapped = new Map((await listMappings(cleanStoreDomain(shop.store)))
+        .map(mapping => [mapping.pid, mapping.shopifyProductId]));
+
+    const fromMap = products.map(product => (product.pid && mapped.get(product.pid)) || null);
+    const liveIds = await findLiveProductIds(shop, [...new Set(fromMap.filter(Boolean))]);
+    const existing = fromMap.map(id => (id && liveIds.has(id) ? id : null));
+
+    const unresolved = products.filter((_, i) => !existing[i]);
+    const skus = [...new Set(unresolved.flatMap(candidateSkus))];
+    if (skus.length === 0) return existing;
+
+    const productIdBySku = await findProductIdsBySku(shop, skus);
+    return existing.map((id, i) => {
+        if (id) return id;
+        const match = candidateSkus(products[i]).find(sku => productIdBySku.has(sku));
+        return match ? productIdBySku.get(match) : null;
+    });
+}
+
+module.exports = {
+    productKey,
+    findExistingProducts
+};
@@ -0,0 +1,246 @@
+/**
+ * Shopify Product Input Builder
+ * Turns normalized CJ products into Shopify GraphQL productSet inputs,
+ * mapping every CJ variant to a priced Shopify variant
+ */
+
+const { parsePrice, priceCost, pricingContext, normalizePricingRules } = require('./pricing-rules');
+
+// Shopify limits for productSet
+const MAX_OPTIONS = 3;
+const MAX_VARIANTS = 2048;
+
+const METAFIELD_NAMESPACE = 'cj';
+
+/**
+ * Price a CJ cost with the pricing rules, formatted for Shopify
+ * @param {number} cost - CJ sell price
+ * @param {Object} product - Product (category fields and shipping quote feed the rules)
+ * @param {Object} rules - Normalized pricing rules
+ * @returns {Object} { price, compareAtPrice? } as fixed-2 strings
+ */
+function calculatePrices(cost, product, rules) {
+    const { price, compareAtPrice } = priceCost(cost, pricingContext(product), rules);
+
+    const prices = { price: price.toFixed(2) };
+    if (compareAtPrice !== null) {
+        prices.compareAtPrice = compareAtPrice.toFixed(2);
+    }
+    return prices;
+}
+
+/**
+ * Work out Shopify option names and per-variant option values.
+ * CJ encodes options in variantKey ("Black-XL") and, when we have product
+ * detail, names them in productKeyEn ("Color-Size").
+ * @param {Object} product - Normalized CJ product
+ * @param {Array} variants - Normalized CJ variants
+ * @returns {Object} { optionNames: [], rows: [{ variant, values: [] }] }
+ */
+function buildOptionMatrix(product, variants) {
+    const knownNames = (product.productKeyEn || '')
+        .split('-')
+        .map(name => name.trim())
+        .filter(Boolean);
+
+    const keyOf = (variant) => variant.key || variant.name || variant.sku || variant.vid;
+    const keyParts = variants.map(variant => keyOf(variant).split('-').map(part => part.trim()));
+    const optionCount = knownNames.length || keyParts[0].length;
+
+    const splitsCleanly = optionCount <= MAX_OPTIONS &&
+        keyParts.every(parts => parts.length === optionCount && parts.every(Boolean));
+
+    let optionNames;
+    let rows;
+
+    if (splitsCleanly) {
+        optionNames = knownNames.length === optionCount
+            ? knownNames
+            : Array.from({ length: optionCount }, (_, i) => `Option ${i + 1}`);
+        rows = variants.map((variant, i) => ({ variant, values: keyParts[i] }));
+    } else {
+        // Values contain dashes or the counts don't line up - use one option holding the full key
+        optionNames = [knownNames.length === 1 ? knownNames[0] : 'Variant'];
+        rows = variants.map(variant => ({ variant, values: [keyOf(variant)] }));
+    }
+
+    // Shopify rejects duplicate option combinations - keep the first of each
+    const seen = new Set();
+    rows = rows.filter(row => {
+        const combo = row.values.join('\u0000').toLowerCase();
+        if (seen.has(combo)) return false;
+        seen.add(combo);
+        return true;
+    });
+
+    return { optionNames, rows };
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * CJ description HTML followed by a spec list from the enriched detail
+ * @param {Object} product - Enriched product (see product-enrichment.js)
+ * @returns {string} HTML, empty if the product has no detail
+ */
+function buildDescriptionHtml(product) {
+    const specs = [];
+    if (product.material?.length > 0) {
+        specs.push(['Material', product.material.join(', ')]);
+    }
+    if (product.packaging?.length > 0) {
+        specs.push(['Packaging', product.packaging.join(', ')]);
+    }
+    if (product.weight > 0) {
+        specs.push(['Weight', `${product.weight} g`]);
+    }
+    const { length, width, height } = product.dimensions || {};
+    if (length && width && height) {
+        specs.push(['Dimensions', `${length} x ${width} x ${height}`]);
+    }
+
+    const specHtml = specs.length > 0
+        ? `<ul>${specs.map(([label, value]) => `<li><strong>${label}:</strong> ${escapeHtml(value)}</li>`).join('')}</ul>`
+        : '';
+
+    return `${product.descriptionHtml || ''}${specHtml}`;
+}
+
+/**
+ * CJ source metadata as `cj` namespace metafields, so a Shopify product can
+ * be traced back to the CJ listing (and scrape) it came from
+ * @param {Object} product - Normalized (optionally enriched) CJ product
+ * @returns {Array} MetafieldInput list, empty values omitted
+ */
+function buildMetafields(product) {
+    const cost = parsePrice(product.sellPrice || product.price);
+    const fields = [
+        ['pid', 'single_line_text_field', product.pid],
+        ['sku', 'single_line_text_field', product.sku],
+        ['source_url', 'url', product.url],
+        ['category_id', 'single_line_text_field', product.categoryId],
+        ['category_path', 'single_line_text_field', product.categoryPath || product.categoryName],
+        ['original_cost', 'number_decimal', cost > 0 ? cost.toFixed(2) : null],
+        ['warehouse', 'single_line_text_field', product.warehouse || product.shipping?.from],
+        ['scrape_id', 'single_line_text_field', product.scrapeId]
+    ];
+
+    return fields
+        .filter(([, , value]) => value !== null && value !== undefined && String(value).trim() !== '')
+        .map(([key, type, value]) => ({ namespace: METAFIELD_NAMESPACE, key, type, value: String(value) }));
+}
+
+function buildWeight(grams) {
+    return grams > 0
+        ? { measurement: { weight: { value: grams, unit: 'GRAMS' } } }
+        : null;
+}
+
+/**
+ * Build the productSet input for one product
+ * @param {Object} product - Normalized CJ product (from searchCJProducts)
+ * @param {Object} options
+ * @param {Object} options.pricingRules - Pricing rules (see pricing-rules.js)
+ * @param {Array} options.variants - Normalized CJ variants (see normalizeVariant)
+ * @returns {Object} ProductSetInput for GraphQL variables
+ */
+function buildProductSetInput(product, { pricingRules = normalizePricingRules(), variants = [] } = {}) {
+    const productCost = parsePrice(product.price);
+    // Enriched products carry the full CJ gallery; otherwise just the search image
+    const images = product.images?.length > 0 ? [...product.images] : (product.image ? [product.image] : []);
+
+    const input = {
+        title: product.title || 'Untitled Product',
+        vendor: 'CJ Dropshipping',
+        productType: 'Imported',
+        status: 'ACTIVE', // Enum - GraphQL variables handle this automatically
+        tags: ['dropship', 'cj', product.sourceKeyword || ''].filter(Boolean)
+    };
+
+    const metafields = buildMetafields(product);
+    if (metafields.length > 0) {
+        input.metafields = metafields;
+    }
+
+    const descriptionHtml = buildDescriptionHtml(product);
+    if (descriptionHtml) {
+        input.descriptionHtml = descriptionHtml;
+    }
+
+    if (variants.length > 1) {
+        // Multi-variant product - one Shopify variant per CJ variant
+        const { optionNames, rows } = buildOptionMatrix(product, variants.slice(0, MAX_VARIANTS));
+
+        input.productOptions = optionNames.map((name, i) => ({
+            name,
+            position: i + 1,
+            values: [...new Set(rows.map(row => row.values[i]))].map(value => ({ name: value }))
+        }));
+
+        input.variants = rows.map(({ variant, values }) => {
+            const variantInput = {
+                optionValues: optionNames.map((optionName, i) => ({ optionName, name: values[i] })),
+                ...calculatePrices(variant.sellPrice || productCost, product, pricingRules),
+                sku: variant.sku || ''
+            };
+
+            const inventoryItem = buildWeight(variant.weight || product.weight);
+            if (inventoryItem) {
+                variantInput.inventoryItem = inventoryItem;
+            }
+
+            if (variant.image) {
+                // Variant images must also be among the product's files
+                variantInput.file = { originalSource: variant.image, contentType: 'IMAGE' };
+                images.push(variant.image);
+            }
+
+            return variantInput;
+        });
+    } else {
+        // Single variant product - use default option
+        const [variant] = variants;
+        const defaultVariant = {
+            optionValues: [{ optionName: 'Title', name: 'Default Title' }],
+            ...calculatePrices(variant?.sellPrice || productCost, product, pricingRules),
+            sku: variant?.sku || product.sku || ''
+        };
+
+        const inventoryItem = buildWeight(variant?.weight || product.weight);
+        if (inventoryItem) {
+            defaultVariant.inventoryItem = inventoryItem;
+        }
+
+        input.productOptions = [{
+            name: 'Title',
+            position: 1,
+            values: [{ name: 'Default Title' }]
+        }];
+        input.variants = [defaultVariant];
+    }
+
+    // Add images if available (product gallery first, then variant images)
+    const uniqueImages = [...new Set(images)];
+    if (uniqueImages.length > 0) {
+        input.files = uniqueImages.map(src => ({
+            originalSource: src,
+            contentType: 'IMAGE' // Enum - GraphQL variables handle this automatically
+        }));
+    }
+
+    return input;
+}
+
+module.exports = {
+    calculatePrices,
+    buildOptionMatrix,
+    buildDescriptionHtml,
+    buildMetafields,
+    buildProductSetInput
+};
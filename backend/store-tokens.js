@@ -0,0 +1,87 @@
+/**
+ * Shopify Store Tokens
+ * Admin API tokens the scheduled jobs (inventory sync, price monitor) use to
+ * reach a store without a browser request to take one from. Tokens set in
+ * SHOPIFY_STORE_TOKENS ("my-store.myshopify.com=shpat_...,other.myshopify.com=...")
+ * always win; otherwise the token of the store's last upload is kept in
+ * backend/secrets/store-tokens.json (or STORE_TOKENS_FILE) - outside the
+ * cache directory, readable by the server's user only.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { cleanStoreDomain } = require('./shopify-admin');
+
+const TOKENS_FILE = process.env.STORE_TOKENS_FILE || path.join(__dirname, 'secrets', 'store-tokens.json');
+
+let storedTokens = null; // storeDomain -> token, loaded lazily
+let writeChain = Promise.resolve(); // Serialize saves so writes never interleave
+
+// Tokens from SHOPIFY_STORE_TOKENS, parsed once
+const envTokens = new Map(
+    String(process.env.SHOPIFY_STORE_TOKENS || '')
+        .split(',')
+        .map(pair => pair.split('=').map(part => part.trim()))
+        .filter(([store, token]) => store && token)
+        .map(([store, token]) => [cleanStoreDomain(store), token])
+);
+
+async function loadTokens() {
+    if (storedTokens) return storedTokens;
+    try {
+        const data = await fs.readFile(TOKENS_FILE, 'utf8');
+        storedTokens = new Map(Object.entries(JSON.parse(data)));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.error('[Store Tokens] Failed to read store tokens:', err.message);
+        }
+        storedTokens = new Map();
+    }
+    return storedTokens;
+}
+
+function saveTokens() {
+    writeChain = writeChain.then(async () => {
+        try {
+            await fs.mkdir(path.dirname(TOKENS_FILE), { recursive: true, mode: 0o700 });
+            const tmpFile = `${TOKENS_FILE}.tmp`;
+            await fs.writeFile(tmpFile, JSON.stringify(Object.fromEntries(storedTokens), null, 2), { mode: 0o600 });
+            await fs.rename(tmpFile, TOKENS_FILE);
+        } catch (err) {
+            console.error('[Store Tokens] Failed to save store tokens:', err.message);
+        }
+    });
+    return writeChain;
+}
+
+/**
+ * Keep a store's token for the scheduled jobs (no-op when SHOPIFY_STORE_TOKENS sets it)
+ * @param {string} store - Store URL or domain
+ * @param {string} token - Admin API access token
+ * @returns {Promise<void>}
+ */
+async function rememberStoreToken(store, token) {
+    const domain = cleanStoreDomain(store);
+    if (!domain || !token || envTokens.has(domain)) return;
+
+    const tokens = await loadTokens();
+    if (tokens.get(domain) === token) return;
+    tokens.set(domain, token);
+    await saveTokens();
+}
+
+/**
+ * Token for a store: SHOPIFY_STORE_TOKENS first, then the stored one
+ * @param {string} store - Store URL or domain
+ * @returns {Promise<string|null>} Admin API access token
+ */
+async function getStoreToken(store) {
+    const domain = cleanStoreDomain(store);
+    if (envTokens.has(domain)) return envTokens.get(domain);
+    return (await loadTokens()).get(domain) || null;
+}
+
+module.exports = {
+    rememberStoreToken,
+    getStoreToken
+};
@@ -8,15 +8,16 @@
 require('dotenv').config();
 const { searchCJProducts, getCJCategories } = require('./cj-api-scraper');
 const { getCategoryIndex, isValidCategoryId, getCategoryById } = require('./category-service');
+const { isCJAuthConfigured, getAccessToken } = require('./cj-auth');
 
-const CJ_TOKEN = process.env.CJ_API_TOKEN;
-
-if (!CJ_TOKEN) {
-    console.error('❌ Missing CJ_API_TOKEN in environment');
+if (!isCJAuthConfigured()) {
+    console.error('❌ Missing CJ_API_KEY or CJ_API_TOKEN in environment');
     process.exit(1);
 }
 
 async function runTests() {
+    const CJ_TOKEN = await getAccessToken();
+
     console.log('==============================================');
     console.log('  CJ API Integration Tests');
     console.log('==============================================\n');
@@ -0,0 +1,129 @@
+/**
+ * CJ Client Test Script
+ * Runs cjRequest() against a mock transport: token renewal, rate-limit
+ * backoff and parameter errors, with no calls to the real CJ API
+ *
+ * Run with: npm test (or node test-cj-client.js)
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Renewals save the session; keep it in a temp directory, away from the real one
+const AUTH_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cj-client-test-'));
+process.env.CJ_AUTH_FILE = path.join(AUTH_DIR, 'cj-auth.json');
+
+// Managed auth so a rejected token gets renewed; one retry keeps the backoff test short
+process.env.CJ_API_KEY = 'test-api-key';
+process.env.CJ_EMAIL = '';
+process.env.CJ_MAX_RETRIES = '1';
+process.env.CJ_LOG_REQUESTS = 'false';
+
+const {
+    CJ_API_BASE,
+    cjRequest,
+    getCJClientMetrics,
+    setCJTransport,
+    CJRateLimitError,
+    CJParamError,
+    CJUpstreamError
+} = require('./cj-client');
+
+const validTokens = new Set();
+let issuedTokens = 0;
+let authAvailable = true;
+let replies = []; // Replies handed out for /product/query, in order
+const calls = [];
+
+const cjReply = (status, body, headers = {}) => ({ status, data: body, headers });
+
+setCJTransport(async ({ method, url, headers }) => {
+    const requestPath = url.replace(CJ_API_BASE, '').split('?')[0];
+    calls.push({ method, path: requestPath, token: headers['CJ-Access-Token'] || null, at: Date.now() });
+
+    if (requestPath.startsWith('/authentication/')) {
+        if (!authAvailable) return cjReply(500, 'auth service down');
+        const accessToken = `issued-${++issuedTokens}`;
+        validTokens.add(accessToken);
+        const in15Days = new Date(Date.now() + 15 * 24 * 60 * 60 * 1000).toISOString();
+        return cjReply(200, { code: 200, data: { accessToken, accessTokenExpiryDate: in15Days, refreshToken: 'refresh', refreshTokenExpiryDate: in15Days } });
+    }
+
+    if (!validTokens.has(headers['CJ-Access-Token'])) {
+        return cjReply(401, { code: 1600001, message: 'Invalid API key or access token' });
+    }
+    return replies.shift() || cjReply(200, { code: 200, data: { pid: 'p1' } });
+});
+
+const productCalls = () => calls.filter(call => call.path === '/product/query');
+
+const tests = [
+    ['401 renews the token and retries the request', async () => {
+        const result = await cjRequest({ path: '/product/query', params: { pid: 'p1' }, token: 'stale-token' });
+
+        assert.deepStrictEqual(result, { pid: 'p1' });
+        assert.deepStrictEqual(productCalls().map(call => call.token), ['stale-token', 'issued-1']);
+        assert.strictEqual(getCJClientMetrics().authRenewals, 1);
+    }],
+
+    ['failed renewal is counted and rethrown', async () => {
+        validTokens.delete('issued-1');
+        authAvailable = false;
+        const failedBefore = getCJClientMetrics().failed;
+
+        await assert.rejects(cjRequest({ path: '/product/query', params: { pid: 'p1' }, token: 'issued-1' }), CJUpstreamError);
+        assert.strictEqual(productCalls().length, 1);
+        assert.strictEqual(getCJClientMetrics().failed, failedBefore + 1);
+        authAvailable = true;
+    }],
+
+    ['429 backs off, then fails with CJRateLimitError', async () => {
+        validTokens.add('valid-token');
+        const rateLimited = () => cjReply(429, { code: 1600200, message: 'Too many requests' }, { 'retry-after': '1' });
+        replies = [rateLimited(), rateLimited()];
+
+        const error = await cjRequest({ path: '/product/query', params: { pid: 'p1' }, token: 'valid-token' }).catch(err => err);
+
+        assert.ok(error instanceof CJRateLimitError, `expected CJRateLimitError, got ${error && error.name}`);
+        assert.strictEqual(error.retryAfterMs, 1000);
+        const [first, retry] = productCalls();
+        assert.strictEqual(productCalls().length, 2);
+        assert.ok(retry.at - first.at >= 1000, `retried after ${retry.at - first.at}ms`);
+        assert.strictEqual(getCJClientMetrics().rateLimited, 2);
+    }],
+
+    ['400 fails with CJParamError and no retry', async () => {
+        replies = [cjReply(400, { code: 1600100, message: 'Param error: pid' })];
+        const retriesBefore = getCJClientMetrics().retries;
+
+        await assert.rejects(cjRequest({ path: '/product/query', params: { pid: '' }, token: 'valid-token' }), CJParamError);
+        assert.strictEqual(productCalls().length, 1);
+        assert.strictEqual(getCJClientMetrics().retries, retriesBefore);
+    }]
+];
+
+async function runTests() {
+    let failures = 0;
+    try {
+        for (const [name, test] of tests) {
+            calls.length = 0;
+            replies = [];
+            try {
+                await test();
+                console.log(`✅ ${name}`);
+            } catch (error) {
+                failures++;
+                console.error(`❌ ${name}\n   ${error.message}`);
+            }
+        }
+    } finally {
+        fs.rmSync(AUTH_DIR, { recursive: true, force: true });
+    }
+
+    console.log(`\n${tests.length - failures}/${tests.length} passed`);
+    process.exitCode = failures > 0 ? 1 : 0;
+}
+
+runTests();
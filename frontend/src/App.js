@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import './App.css';
 import BatchSearch from './BatchSearch';
+import ReviewQueue from './ReviewQueue';
+import FilterRules from './FilterRules';
 
 // API URL - uses env var in production, proxy in development
 const rawApiUrl = process.env.REACT_APP_API_URL || '';
@@ -167,6 +169,18 @@ function App() {
           >
             📦 Batch Search
           </button>
+          <button
+            className={`tab ${activeTab === 'review' ? 'active' : ''}`}
+            onClick={() => setActiveTab('review')}
+          >
+            🧐 Review
+          </button>
+          <button
+            className={`tab ${activeTab === 'rules' ? 'active' : ''}`}
+            onClick={() => setActiveTab('rules')}
+          >
+            🧰 Filter Rules
+          </button>
         </div>
 
         <div className="header-actions">
@@ -292,6 +306,10 @@ function App() {
             activeStoreId={activeStoreId}
             setActiveStoreId={setActiveStoreId}
           />
+        ) : activeTab === 'review' ? (
+          <ReviewQueue activeStore={activeStore} />
+        ) : activeTab === 'rules' ? (
+          <FilterRules />
         ) : (
           <>
             <form onSubmit={handleScrape} className="search-form">
@@ -316,6 +334,11 @@ function App() {
 
             {results && (
               <div className="results">
+                {results.cancelled && (
+                  <div className="error">
+                    ⚠️ Scrape cancelled - these are partial results
+                  </div>
+                )}
                 <div className="stats">
                   <div className="stat">
                     <span className="stat-label">Search Term:</span>
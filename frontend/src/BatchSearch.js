@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
 import './BatchSearch.css';
 
@@ -9,20 +9,154 @@ const API_URL = rawApiUrl && !rawApiUrl.startsWith('http')
   ? `https://${rawApiUrl}`
   : rawApiUrl;
 
+// Scrape jobs from the running batch, kept so a page refresh can reattach to them
+// (removed once every job has finished)
+const SAVED_JOBS_KEY = 'batchScrapeJobs';
+const JOB_POLL_INTERVAL_MS = 2000;
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Poll a scrape job until it finishes
+const waitForJob = async (jobId) => {
+  while (true) {
+    const response = await axios.get(`${API_URL}/api/jobs/${jobId}`);
+    const job = response.data.job;
+    if (FINISHED_JOB_STATUSES.includes(job.status)) {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+  }
+};
+
+// Rejected products listed per result (the rest stay in the API response)
+const MAX_REJECTED_SHOWN = 200;
+
+// Progress events streamed from /api/scrape/:scrapeId/events
+const PROGRESS_EVENT_TYPES = ['status', 'page', 'text-filter', 'vision-batch', 'clusters', 'enrich', 'summary', 'done'];
+
+// Fold one progress event into a search's progress state
+const reduceProgress = (current = {}, type, data) => {
+  switch (type) {
+    case 'status':
+      return { ...current, status: data.status, stage: data.stage || current.stage };
+    case 'page':
+      return {
+        ...current,
+        stage: 'fetch',
+        page: data.page,
+        lastPage: data.lastPage,
+        totalRecords: data.totalRecords,
+        fetched: data.fetched,
+        partition: data.partition || null
+      };
+    case 'text-filter':
+      return {
+        ...current,
+        stage: 'vision',
+        textTotal: data.total,
+        textPassed: data.passed,
+        processed: 0,
+        total: data.toAnalyze,
+        passed: 0
+      };
+    case 'vision-batch':
+      return {
+        ...current,
+        stage: 'vision',
+        batch: data.batch,
+        totalBatches: data.totalBatches,
+        processed: data.processed,
+        total: data.total,
+        passed: data.passed
+      };
+    case 'clusters':
+      return { ...current, passed: data.unique, duplicatesRemoved: data.duplicatesRemoved };
+    case 'enrich':
+      return { ...current, stage: 'enrich', enriched: data.processed, enrichTotal: data.total };
+    case 'summary':
+      return { ...current, stage: 'done', passed: data.filtered };
+    case 'done':
+      return { ...current, stage: 'done', status: data.status };
+    default:
+      return current;
+  }
+};
+
+// Bar split: fetching pages 0-40%, Vision 40-85%, detail enrichment 85-100%
+const progressPercent = (progress) => {
+  if (!progress) return 0;
+  if (progress.stage === 'done') return 100;
+  if (progress.stage === 'enrich') {
+    return progress.enrichTotal ? 85 + (progress.enriched / progress.enrichTotal) * 15 : 85;
+  }
+  if (progress.stage === 'vision') {
+    return progress.total ? 40 + (progress.processed / progress.total) * 45 : 40;
+  }
+  if (progress.partition) {
+    const { index, count } = progress.partition;
+    return ((index - 1 + (progress.lastPage ? progress.page / progress.lastPage : 0)) / count) * 40;
+  }
+  return progress.lastPage ? (progress.page / progress.lastPage) * 40 : 0;
+};
+
+const describeProgress = (progress) => {
+  if (!progress || progress.status === 'queued') return 'Queued...';
+  if (progress.stage === 'done') {
+    return progress.status === 'completed'
+      ? `Done - ${progress.passed ?? 0} passed`
+      : `Stopped (${progress.status || 'finished'})`;
+  }
+  if (progress.stage === 'enrich') {
+    return `Fetching product details ${progress.enriched}/${progress.enrichTotal} · ${progress.passed ?? 0} passed`;
+  }
+  if (progress.stage === 'vision') {
+    const textInfo = progress.textTotal !== undefined
+      ? ` · text filter ${progress.textPassed}/${progress.textTotal}`
+      : '';
+    return `Vision ${progress.processed ?? 0}/${progress.total ?? '?'} · ${progress.passed ?? 0} passed${textInfo}`;
+  }
+  if (progress.partition) {
+    const { index, count, label } = progress.partition;
+    return `Part ${index}/${count} (${label}) · CJ page ${progress.page}/${progress.lastPage} · ${progress.fetched} products`;
+  }
+  if (progress.page) {
+    return `CJ page ${progress.page}/${progress.lastPage} · ${progress.fetched} products`;
+  }
+  return 'Starting...';
+};
+
+// Turn a finished job into a batch result row
+const toBatchResult = (savedJob, job) => (
+  job.result
+    ? { keyword: savedJob.keyword, url: savedJob.url, success: true, data: job.result }
+    : {
+      keyword: savedJob.keyword || 'URL provided',
+      url: savedJob.url,
+      success: false,
+      error: job.error || `Scrape ${job.status}`
+    }
+);
+
 function BatchSearch({ stores, activeStore, activeStoreId, setActiveStoreId }) {
   const [searches, setSearches] = useState([
-    { keyword: '', url: '', enabled: true }
+    { keyword: '', url: '', minScore: '', enabled: true }
   ]);
   const [loading, setLoading] = useState(false);
   const [results, setResults] = useState([]);
   const [error, setError] = useState(null);
   const [uploading, setUploading] = useState(false);
   const [expandedResults, setExpandedResults] = useState({}); // Track which results are expanded
+  const [includeRejected, setIncludeRejected] = useState(false); // Also return dropped products with reasons
+  const [reviewMode, setReviewMode] = useState(false); // Send borderline products to the review queue
+  const [autoCategory, setAutoCategory] = useState(true); // Let the server pick CJ categories for searches without one
+  const [fanOut, setFanOut] = useState(false); // Split searches with more than 6000 results
   const [isCancelling, setIsCancelling] = useState(false);
   const [isUploadCancelling, setIsUploadCancelling] = useState(false);
+  const [activeJobs, setActiveJobs] = useState([]); // Jobs in the running batch
+  const [progress, setProgress] = useState({}); // jobId -> live progress
+  const progressSources = useRef([]);
 
   const addSearch = () => {
-    setSearches([...searches, { keyword: '', url: '', enabled: true }]);
+    setSearches([...searches, { keyword: '', url: '', minScore: '', enabled: true }]);
   };
 
   const removeSearch = (index) => {
@@ -57,6 +191,85 @@ function BatchSearch({ stores, activeStore, activeStoreId, setActiveStoreId }) {
     }
   };
 
+  // Open an SSE stream for a job and fold its events into `progress`
+  const subscribeToProgress = (jobId) => {
+    const source = new EventSource(`${API_URL}/api/scrape/${jobId}/events`);
+    PROGRESS_EVENT_TYPES.forEach(type => {
+      source.addEventListener(type, (event) => {
+        const data = JSON.parse(event.data);
+        setProgress(prev => ({ ...prev, [jobId]: reduceProgress(prev[jobId], type, data) }));
+        if (type === 'done') {
+          source.close();
+        }
+      });
+    });
+    progressSources.current.push(source);
+  };
+
+  const closeProgressStreams = () => {
+    progressSources.current.forEach(source => source.close());
+    progressSources.current = [];
+  };
+
+  // Close any open streams when leaving the page
+  useEffect(() => closeProgressStreams, []);
+
+  // Wait for each saved job in order, showing results as they finish
+  const collectJobResults = async (savedJobs) => {
+    const batchResults = [];
+    let unreachable = false; // A job we lost contact with may still be running
+
+    setProgress({});
+    setActiveJobs(savedJobs.filter(savedJob => savedJob.jobId));
+    savedJobs.forEach(savedJob => savedJob.jobId && subscribeToProgress(savedJob.jobId));
+
+    for (const savedJob of savedJobs) {
+      if (!savedJob.jobId) {
+        batchResults.push(savedJob.result);
+      } else {
+        try {
+          const job = await waitForJob(savedJob.jobId);
+          batchResults.push(toBatchResult(savedJob, job));
+        } catch (err) {
+          if (!err.response) unreachable = true;
+          batchResults.push({
+            keyword: savedJob.keyword || 'URL provided',
+            url: savedJob.url,
+            success: false,
+            error: err.response?.data?.error || `${err.message} (Status: ${err.response?.status || 'unknown'})`
+          });
+        }
+      }
+
+      // Update progress
+      setResults([...batchResults]);
+    }
+
+    closeProgressStreams();
+    setActiveJobs([]);
+    // Every job has finished, so there's nothing left to reattach to
+    if (!unreachable) {
+      localStorage.removeItem(SAVED_JOBS_KEY);
+    }
+  };
+
+  // Reattach to the last batch's jobs after a page refresh
+  useEffect(() => {
+    let savedJobs = [];
+    try {
+      savedJobs = JSON.parse(localStorage.getItem(SAVED_JOBS_KEY) || '[]');
+    } catch (e) {
+      console.error('Error loading saved jobs:', e);
+    }
+    if (savedJobs.length === 0) return;
+
+    setLoading(true);
+    collectJobResults(savedJobs)
+      .catch(err => setError('Failed to reload scrape jobs: ' + err.message))
+      .finally(() => setLoading(false));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []); // Only run on mount
+
   const handleBatchScrape = async (e) => {
     e.preventDefault();
 
@@ -72,8 +285,8 @@ function BatchSearch({ stores, activeStore, activeStoreId, setActiveStoreId }) {
     setResults([]);
 
     try {
-      // Process each search sequentially
-      const batchResults = [];
+      // Submit every search as a background job up front - the server queues them
+      const savedJobs = [];
 
       for (let i = 0; i < activeSearches.length; i++) {
         const search = activeSearches[i];
@@ -96,66 +309,49 @@ function BatchSearch({ stores, activeStore, activeStoreId, setActiveStoreId }) {
             searchTerm: searchTerm || 'fleece throw blanket' // Fallback
           }
           : { searchTerm: search.keyword.trim() };
-
-        // Debug logging
-        const requestUrl = `${API_URL}/api/scrape`;
-        console.log('='.repeat(60));
-        console.log('[BatchSearch] Making request:', {
-          url: requestUrl,
-          method: 'POST',
-          body: requestBody,
-          searchIndex: i + 1,
-          totalSearches: activeSearches.length
-        });
-        console.log('='.repeat(60));
+        if (search.minScore !== '') {
+          requestBody.relevanceThreshold = parseFloat(search.minScore);
+        }
+        if (includeRejected) {
+          requestBody.includeRejected = true;
+        }
+        if (reviewMode) {
+          requestBody.reviewMode = true;
+        }
+        if (!autoCategory) {
+          requestBody.autoCategory = false;
+        }
+        if (fanOut) {
+          requestBody.fanOut = true;
+        }
 
         try {
-          const response = await axios.post(requestUrl, requestBody);
-
-          console.log('[BatchSearch] SUCCESS Response:', {
-            status: response.status,
-            data: response.data,
-            requestId: response.data?.requestId
-          });
+          const response = await axios.post(`${API_URL}/api/jobs`, requestBody);
 
-          batchResults.push({
+          savedJobs.push({
             keyword: search.keyword,
             url: search.url,
-            success: true,
-            data: response.data
+            label: searchTerm || search.keyword || search.url,
+            jobId: response.data.jobId
           });
         } catch (err) {
-          // Detailed error logging
-          console.error('[BatchSearch] ERROR:', {
-            message: err.message,
-            status: err.response?.status,
-            statusText: err.response?.statusText,
-            data: err.response?.data,
-            headers: err.response?.headers,
-            config: {
-              url: err.config?.url,
-              method: err.config?.method,
-              data: err.config?.data
-            }
-          });
-
-          batchResults.push({
-            keyword: search.keyword || 'URL provided',
+          savedJobs.push({
+            keyword: search.keyword,
             url: search.url,
-            success: false,
-            error: err.response?.data?.error || `${err.message} (Status: ${err.response?.status || 'unknown'})`
+            jobId: null,
+            result: {
+              keyword: search.keyword || 'URL provided',
+              url: search.url,
+              success: false,
+              error: err.response?.data?.error || `${err.message} (Status: ${err.response?.status || 'unknown'})`
+            }
           });
         }
-
-        // Update progress
-        setResults([...batchResults]);
-
-        // Small delay between requests to avoid rate limiting
-        if (i < activeSearches.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
       }
 
+      localStorage.setItem(SAVED_JOBS_KEY, JSON.stringify(savedJobs));
+      await collectJobResults(savedJobs);
+
     } catch (err) {
       setError('Batch scraping failed: ' + err.message);
     } finally {
@@ -224,13 +420,14 @@ function BatchSearch({ stores, activeStore, activeStoreId, setActiveStoreId }) {
       const response = await axios.post(`${API_URL}/api/upload-shopify`, {
         products: allProducts,
         shopifyStore: activeStore.url,
-        shopifyToken: activeStore.token,
-        markup: 250 // Default 250% markup
+        shopifyToken: activeStore.token
+        // Prices come from the server's saved pricing rules (/api/pricing/rules)
       }, {
         timeout: 600000 // 10 minutes timeout for large uploads
       });
 
-      alert(`Successfully uploaded ${response.data.uploaded}/${allProducts.length} products to Shopify!`);
+      const { created = 0, updated = 0, skipped = 0 } = response.data;
+      alert(`Successfully uploaded ${response.data.uploaded}/${allProducts.length} products to Shopify! (${created} created, ${updated} updated, ${skipped} skipped)`);
       if (response.data.limitApplied) {
         alert(`Note: ${response.data.limitApplied}`);
       }
@@ -278,6 +475,7 @@ function BatchSearch({ stores, activeStore, activeStoreId, setActiveStoreId }) {
         <div className="searches-container">
           <div className="searches-header">
             <span className="col-url">🔗 CJ Search URL (required)</span>
+            <span className="col-score">Min score</span>
             <span className="col-actions">Actions</span>
           </div>
 
@@ -298,6 +496,18 @@ function BatchSearch({ stores, activeStore, activeStoreId, setActiveStoreId }) {
                 className="search-url"
                 disabled={loading || !search.enabled}
               />
+              <input
+                type="number"
+                value={search.minScore}
+                onChange={(e) => updateSearch(index, 'minScore', e.target.value)}
+                placeholder="Default"
+                min="0"
+                max="1"
+                step="0.01"
+                className="search-score"
+                disabled={loading || !search.enabled}
+                title="Minimum image relevance score (similarity match mode only)"
+              />
               <button
                 type="button"
                 onClick={() => removeSearch(index)}
@@ -312,6 +522,44 @@ function BatchSearch({ stores, activeStore, activeStoreId, setActiveStoreId }) {
         </div>
 
         <div className="batch-actions">
+          <div className="batch-options">
+            <label className="option-toggle" title="Also list dropped products and why they were dropped">
+              <input
+                type="checkbox"
+                checked={includeRejected}
+                onChange={(e) => setIncludeRejected(e.target.checked)}
+                disabled={loading}
+              />
+              Show rejected products
+            </label>
+            <label className="option-toggle" title="Hold products the image check isn't sure about for manual review">
+              <input
+                type="checkbox"
+                checked={reviewMode}
+                onChange={(e) => setReviewMode(e.target.checked)}
+                disabled={loading}
+              />
+              Review borderline products
+            </label>
+            <label className="option-toggle" title="For searches without a CJ category, search only the 1-3 categories that best match the keyword">
+              <input
+                type="checkbox"
+                checked={autoCategory}
+                onChange={(e) => setAutoCategory(e.target.checked)}
+                disabled={loading}
+              />
+              Auto-pick categories
+            </label>
+            <label className="option-toggle" title="CJ only returns the first 6000 results; split bigger searches by category, price and warehouse to reach the rest">
+              <input
+                type="checkbox"
+                checked={fanOut}
+                onChange={(e) => setFanOut(e.target.checked)}
+                disabled={loading}
+              />
+              Fetch past 6000 results
+            </label>
+          </div>
           <button type="button" onClick={addSearch} disabled={loading} className="add-btn">
             ➕ Add Search
           </button>
@@ -337,6 +585,28 @@ function BatchSearch({ stores, activeStore, activeStoreId, setActiveStoreId }) {
         </div>
       </form>
 
+      {loading && activeJobs.length > 0 && (
+        <div className="job-progress-list">
+          {activeJobs.map(savedJob => {
+            const jobProgress = progress[savedJob.jobId];
+            return (
+              <div key={savedJob.jobId} className="job-progress">
+                <div className="job-progress-header">
+                  <span className="job-progress-label">{savedJob.label || savedJob.keyword || savedJob.url}</span>
+                  <span className="job-progress-counts">{describeProgress(jobProgress)}</span>
+                </div>
+                <div className="progress-bar">
+                  <div
+                    className={`progress-bar-fill ${jobProgress?.stage || ''}`}
+                    style={{ width: `${progressPercent(jobProgress)}%` }}
+                  />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
       {error && (
         <div className="error">
           ❌ {error}
@@ -395,13 +665,25 @@ function BatchSearch({ stores, activeStore, activeStoreId, setActiveStoreId }) {
             <div key={index} className={`result-item ${result.success ? 'success' : 'failed'}`}>
               <div className="result-header">
                 <h4>
-                  {result.success ? '✅' : '❌'} {result.keyword}
+                  {result.success ? (result.data?.cancelled ? '⚠️' : '✅') : '❌'} {result.keyword}
                   {result.store && <span className="store-badge">{result.store}</span>}
                 </h4>
                 {result.success && result.data && (
                   <div className="result-stats">
+                    {result.data.cancelled && <span>Cancelled - partial results</span>}
                     <span>{result.data.filtered} products found</span>
                     <span>{result.data.passRate} pass rate</span>
+                    {result.data.duplicatesRemoved > 0 && (
+                      <span>{result.data.duplicatesRemoved} duplicates merged</span>
+                    )}
+                    {result.data.needsReview > 0 && (
+                      <span>{result.data.needsReview} need review</span>
+                    )}
+                    {result.data.categoryMapping && (
+                      <span title={result.data.categoryMapping.categories.map(c => c.path).join('\n')}>
+                        📂 {result.data.categoryMapping.categories.map(c => c.name).join(', ')} ({result.data.categoryMapping.confidence})
+                      </span>
+                    )}
                   </div>
                 )}
               </div>
@@ -409,10 +691,20 @@ function BatchSearch({ stores, activeStore, activeStoreId, setActiveStoreId }) {
               {result.success && result.data && result.data.products && result.data.products.length > 0 ? (
                 <div className="mini-product-grid">
                   {(expandedResults[index] ? result.data.products : result.data.products.slice(0, 6)).map((product, pidx) => (
-                    <div key={pidx} className="mini-product-card">
+                    <div key={pidx} className="mini-product-card" title={product.filterTrace?.reason || undefined}>
                       <div className="mini-product-title">{product.title}</div>
+                      {product.duplicateCount > 0 && (
+                        <div className="mini-duplicates" title="Other listings of this item, not shown">
+                          +{product.duplicateCount} similar listing{product.duplicateCount === 1 ? '' : 's'}
+                        </div>
+                      )}
                       <div className="mini-product-info">
                         <span className="mini-price">{product.price}</span>
+                        {product.relevanceScore != null && (
+                          <span className="mini-score" title="Image relevance score">
+                            {product.relevanceScore.toFixed(2)}
+                          </span>
+                        )}
                         <a href={product.url} target="_blank" rel="noopener noreferrer" className="mini-link">
                           View →
                         </a>
@@ -435,6 +727,28 @@ function BatchSearch({ stores, activeStore, activeStoreId, setActiveStoreId }) {
                   {result.error}
                 </div>
               ) : null}
+
+              {result.success && result.data?.rejected?.length > 0 && (
+                <details className="rejected-list">
+                  <summary>🚫 {result.data.rejected.length} rejected products</summary>
+                  {result.data.rejected.slice(0, MAX_REJECTED_SHOWN).map((product, ridx) => (
+                    <div key={ridx} className="rejected-item">
+                      <span className={`rejected-stage ${product.filterTrace?.stage || ''}`}>
+                        {product.filterTrace?.stage || 'rejected'}
+                      </span>
+                      <a href={product.url} target="_blank" rel="noopener noreferrer" className="rejected-title">
+                        {product.title}
+                      </a>
+                      <span className="rejected-reason">{product.filterTrace?.reason}</span>
+                    </div>
+                  ))}
+                  {result.data.rejected.length > MAX_REJECTED_SHOWN && (
+                    <div className="rejected-more">
+                      Showing the first {MAX_REJECTED_SHOWN} - the full list is in the scrape result
+                    </div>
+                  )}
+                </details>
+              )}
             </div>
           ))}
         </div>
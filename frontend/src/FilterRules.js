@@ -0,0 +1,270 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import './FilterRules.css';
+
+// API URL - uses env var in production, proxy in development
+const rawApiUrl = process.env.REACT_APP_API_URL || '';
+const API_URL = rawApiUrl && !rawApiUrl.startsWith('http')
+  ? `https://${rawApiUrl}`
+  : rawApiUrl;
+
+// Comma-separated fields, and regexes one per line (they may contain commas)
+const LIST_FIELDS = [
+  { field: 'keywords', label: 'Applies to searches containing', placeholder: 'throw, blanket' },
+  { field: 'excludeTerms', label: 'Reject titles containing', placeholder: 'pillow, cushion' },
+  { field: 'excludeUnless', label: '...unless the title also contains', placeholder: 'blanket' },
+  { field: 'includeTerms', label: 'Title must contain one of', placeholder: 'fleece, sherpa' },
+  { field: 'categoryIds', label: 'Only these CJ category IDs', placeholder: 'Leave empty for any category' },
+  { field: 'rejectLabels', label: 'Reject image labels', placeholder: 'cushion, curtain' }
+];
+const PATTERN_FIELDS = [
+  { field: 'excludePatterns', label: 'Reject titles matching (regex, one per line)', placeholder: 'throw pillows?' },
+  { field: 'includePatterns', label: 'Title must match one of (regex, one per line)', placeholder: '\\d+\\s?x\\s?\\d+' }
+];
+
+const splitList = (text) => text.split(',').map(s => s.trim()).filter(Boolean);
+const splitLines = (text) => text.split('\n').map(s => s.trim()).filter(Boolean);
+
+// Rule set <-> editable text fields
+const toForm = (ruleSet) => ({
+  id: ruleSet.id,
+  name: ruleSet.name,
+  enabled: ruleSet.enabled,
+  ...Object.fromEntries(LIST_FIELDS.map(({ field }) => [field, ruleSet[field].join(', ')])),
+  ...Object.fromEntries(PATTERN_FIELDS.map(({ field }) => [field, ruleSet[field].join('\n')])),
+  labelExpansions: Object.entries(ruleSet.labelExpansions)
+    .map(([word, labels]) => `${word}: ${labels.join(', ')}`)
+    .join('\n')
+});
+
+const fromForm = (form) => ({
+  name: form.name,
+  enabled: form.enabled,
+  ...Object.fromEntries(LIST_FIELDS.map(({ field }) => [field, splitList(form[field])])),
+  ...Object.fromEntries(PATTERN_FIELDS.map(({ field }) => [field, splitLines(form[field])])),
+  labelExpansions: Object.fromEntries(
+    splitLines(form.labelExpansions)
+      .filter(line => line.includes(':'))
+      .map(line => {
+        const [word, labels] = line.split(/:(.*)/);
+        return [word.trim(), splitList(labels)];
+      })
+  )
+});
+
+const EMPTY_RULE_SET = {
+  id: null,
+  name: '',
+  enabled: true,
+  keywords: [],
+  excludeTerms: [],
+  excludeUnless: [],
+  includeTerms: [],
+  categoryIds: [],
+  rejectLabels: [],
+  excludePatterns: [],
+  includePatterns: [],
+  labelExpansions: {}
+};
+
+function FilterRules() {
+  const [ruleSets, setRuleSets] = useState([]);
+  const [form, setForm] = useState(null); // Rule set being edited
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadRuleSets = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/filter-rules`);
+      setRuleSets(response.data.ruleSets);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRuleSets();
+  }, [loadRuleSets]);
+
+  const edit = (ruleSet) => {
+    setForm(toForm(ruleSet));
+    setError(null);
+    setMessage(null);
+  };
+
+  const updateField = (field, value) => setForm(current => ({ ...current, [field]: value }));
+
+  const save = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const body = fromForm(form);
+      const response = form.id
+        ? await axios.put(`${API_URL}/api/filter-rules/${encodeURIComponent(form.id)}`, body)
+        : await axios.post(`${API_URL}/api/filter-rules`, body);
+      setForm(toForm(response.data.ruleSet));
+      setMessage(`✅ Saved "${response.data.ruleSet.name}" - used from the next search`);
+      await loadRuleSets();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`Delete the "${form.name}" rules?`)) return;
+    try {
+      await axios.delete(`${API_URL}/api/filter-rules/${encodeURIComponent(form.id)}`);
+      setForm(null);
+      setMessage(`🗑️ Deleted "${form.name}"`);
+      await loadRuleSets();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const toggleEnabled = async (ruleSet) => {
+    try {
+      await axios.put(`${API_URL}/api/filter-rules/${encodeURIComponent(ruleSet.id)}`, { ...ruleSet, enabled: !ruleSet.enabled });
+      await loadRuleSets();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const resetDefaults = async () => {
+    if (!window.confirm('Replace all rule sets with the defaults? Your edits will be lost.')) return;
+    try {
+      const response = await axios.post(`${API_URL}/api/filter-rules/reset`);
+      setRuleSets(response.data.ruleSets);
+      setForm(null);
+      setMessage('↩️ Restored the default rules');
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  return (
+    <div className="filter-rules">
+      <div className="filter-rules-header">
+        <h2>🧰 Filter Rules</h2>
+        <p>Per-niche rules for the title and image filters. A rule set applies when the search contains one of its keywords.</p>
+      </div>
+
+      {error && (
+        <div className="error">
+          ❌ {error}
+        </div>
+      )}
+      {message && <div className="filter-rules-message">{message}</div>}
+
+      <div className="filter-rules-layout">
+        <div className="rule-set-list">
+          {ruleSets.map(ruleSet => (
+            <div
+              key={ruleSet.id}
+              className={`rule-set-item ${form?.id === ruleSet.id ? 'active' : ''} ${ruleSet.enabled ? '' : 'disabled'}`}
+              onClick={() => edit(ruleSet)}
+            >
+              <input
+                type="checkbox"
+                checked={ruleSet.enabled}
+                onClick={(e) => e.stopPropagation()}
+                onChange={() => toggleEnabled(ruleSet)}
+                title={ruleSet.enabled ? 'Enabled' : 'Disabled'}
+              />
+              <div>
+                <strong>{ruleSet.name}</strong>
+                <span>{ruleSet.keywords.join(', ')}</span>
+              </div>
+            </div>
+          ))}
+          <button className="btn-new-rule-set" onClick={() => edit(EMPTY_RULE_SET)}>
+            ➕ New Rule Set
+          </button>
+          <button className="btn-reset-rules" onClick={resetDefaults}>
+            ↩️ Reset to Defaults
+          </button>
+        </div>
+
+        {form ? (
+          <div className="rule-set-form">
+            <div className="form-group">
+              <label>Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => updateField('name', e.target.value)}
+                placeholder="e.g., Blankets & throws"
+              />
+            </div>
+
+            <label className="rule-set-enabled">
+              <input
+                type="checkbox"
+                checked={form.enabled}
+                onChange={(e) => updateField('enabled', e.target.checked)}
+              />
+              Enabled
+            </label>
+
+            {LIST_FIELDS.map(({ field, label, placeholder }) => (
+              <div key={field} className="form-group">
+                <label>{label}</label>
+                <input
+                  type="text"
+                  value={form[field]}
+                  onChange={(e) => updateField(field, e.target.value)}
+                  placeholder={placeholder}
+                />
+              </div>
+            ))}
+
+            {PATTERN_FIELDS.map(({ field, label, placeholder }) => (
+              <div key={field} className="form-group">
+                <label>{label}</label>
+                <textarea
+                  rows={2}
+                  value={form[field]}
+                  onChange={(e) => updateField(field, e.target.value)}
+                  placeholder={placeholder}
+                />
+              </div>
+            ))}
+
+            <div className="form-group">
+              <label>Image label expansions (one search word per line)</label>
+              <textarea
+                rows={4}
+                value={form.labelExpansions}
+                onChange={(e) => updateField('labelExpansions', e.target.value)}
+                placeholder="blanket: blanket, throw, textile, fleece"
+              />
+              <small>Labels an image may show for that word. Used when there are no AI-generated keywords.</small>
+            </div>
+
+            <div className="rule-set-actions">
+              <button className="btn-save-rules" onClick={save} disabled={saving}>
+                {saving ? '⏳ Saving...' : '💾 Save'}
+              </button>
+              {form.id && (
+                <button className="btn-delete-rules" onClick={remove}>
+                  🗑️ Delete
+                </button>
+              )}
+              <button className="btn-cancel-rules" onClick={() => setForm(null)}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="rule-set-placeholder">Select a rule set to edit, or add a new one.</div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default FilterRules;
@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import './ReviewQueue.css';
+
+// API URL - uses env var in production, proxy in development
+const rawApiUrl = process.env.REACT_APP_API_URL || '';
+const API_URL = rawApiUrl && !rawApiUrl.startsWith('http')
+  ? `https://${rawApiUrl}`
+  : rawApiUrl;
+
+const STATUS_TABS = [
+  { status: 'pending', label: '🧐 Pending' },
+  { status: 'approved', label: '✅ Approved' },
+  { status: 'rejected', label: '❌ Rejected' }
+];
+
+// Labels and scores from every image the classifier looked at
+const detectedLabels = (item) => {
+  const votes = item.product.filterTrace?.image?.votes || [];
+  return votes.flatMap(vote => vote.labels || []);
+};
+
+function ReviewQueue({ activeStore }) {
+  const [status, setStatus] = useState('pending');
+  const [items, setItems] = useState([]);
+  const [stats, setStats] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadItems = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get(`${API_URL}/api/review`, { params: { status } });
+      setItems(response.data.items);
+      setStats(response.data.stats);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    loadItems();
+  }, [loadItems]);
+
+  const decide = async (item, action) => {
+    try {
+      await axios.post(`${API_URL}/api/review/${encodeURIComponent(item.id)}/${action}`);
+      await loadItems();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const uploadApproved = async () => {
+    if (!activeStore) {
+      alert('Please add a Shopify store first (click Settings)');
+      return;
+    }
+
+    setUploading(true);
+    setError(null);
+    try {
+      const response = await axios.post(`${API_URL}/api/upload-shopify`, {
+        products: items.map(item => ({ ...item.product, sourceKeyword: item.searchTerm })),
+        shopifyStore: activeStore.url,
+        shopifyToken: activeStore.token
+      }, {
+        timeout: 600000 // 10 minutes timeout for large uploads
+      });
+
+      const { created = 0, updated = 0, skipped = 0 } = response.data;
+      alert(`Uploaded ${response.data.uploaded}/${items.length} approved products to ${activeStore.name} (${created} created, ${updated} updated, ${skipped} skipped)`);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <div className="review-queue">
+      <div className="review-header">
+        <h2>🧐 Review Queue</h2>
+        <p>Products the image check wasn't sure about. Approve the ones that match their search.</p>
+      </div>
+
+      <div className="review-tabs">
+        {STATUS_TABS.map(tab => (
+          <button
+            key={tab.status}
+            className={`review-tab ${status === tab.status ? 'active' : ''}`}
+            onClick={() => setStatus(tab.status)}
+          >
+            {tab.label} ({stats[tab.status] || 0})
+          </button>
+        ))}
+        <button className="review-refresh" onClick={loadItems} disabled={loading}>
+          🔄 Refresh
+        </button>
+        {status === 'approved' && items.length > 0 && (
+          <button
+            className="review-upload"
+            onClick={uploadApproved}
+            disabled={uploading}
+            title={activeStore ? `Upload to ${activeStore.name}` : 'Add a store first'}
+          >
+            {uploading ? '⏳ Uploading...' : `🛒 Upload ${items.length} to ${activeStore ? activeStore.name : 'Shopify'}`}
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="error">
+          ❌ {error}
+        </div>
+      )}
+
+      {!loading && items.length === 0 && (
+        <div className="review-empty">Nothing here - run a batch search with "Review borderline products" ticked.</div>
+      )}
+
+      <div className="review-list">
+        {items.map(item => (
+          <div key={item.id} className="review-item">
+            <a href={item.product.url} target="_blank" rel="noopener noreferrer" className="review-image">
+              {item.product.image ? <img src={item.product.image} alt={item.product.title} /> : <span>No image</span>}
+            </a>
+
+            <div className="review-details">
+              <div className="review-title">{item.product.title}</div>
+              <div className="review-meta">
+                <span className="review-search">🔍 {item.searchTerm}</span>
+                <span className="review-price">{item.product.price}</span>
+                {item.product.relevanceScore != null && (
+                  <span className="review-score">{item.product.relevanceScore.toFixed(2)}</span>
+                )}
+              </div>
+              <div className="review-reason">{item.reason}</div>
+              <div className="review-labels">
+                {detectedLabels(item).map((label, lidx) => (
+                  <span key={lidx} className="review-label">
+                    {label.label} <small>{Math.round(label.score * 100)}%</small>
+                  </span>
+                ))}
+              </div>
+            </div>
+
+            <div className="review-actions">
+              {item.status !== 'approved' && (
+                <button className="review-approve" onClick={() => decide(item, 'approve')}>
+                  ✅ Approve
+                </button>
+              )}
+              {item.status !== 'rejected' && (
+                <button className="review-reject" onClick={() => decide(item, 'reject')}>
+                  ❌ Reject
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ReviewQueue;